@@ -14,6 +14,7 @@
 pragma solidity =0.8.12;
 
 import "../Num.sol";
+import "../LogExpMath.sol";
 
 // Contract to wrap internal functions for testing
 
@@ -35,10 +36,26 @@ contract TMath {
         return Num.mul(a, b);
     }
 
+    function calcMulTruncated(uint a, uint b) external pure returns (uint) {
+        return Num.mulTruncated(a, b);
+    }
+
     function calcDiv(uint a, uint b) external pure returns (uint) {
         return Num.div(a, b);
     }
 
+    function calcDivTruncated(uint a, uint b) external pure returns (uint) {
+        return Num.divTruncated(a, b);
+    }
+
+    function calcDivInt256(int a, int b) external pure returns (int) {
+        return Num.divInt256(a, b);
+    }
+
+    function calcPositivePart(int a) external pure returns (uint) {
+        return Num.positivePart(a);
+    }
+
     function calcPowi(uint a, uint n) external pure returns (uint) {
         return Num.powi(a, n);
     }
@@ -50,4 +67,20 @@ contract TMath {
     function calcPowApprox(uint base, uint exp, uint precision) external pure returns (uint) {
         return Num.powApprox(base, exp, precision);
     }
+
+    function calcLogExpPow(uint x, uint y) external pure returns (uint) {
+        return LogExpMath.pow(x, y);
+    }
+
+    function calcExp(int x) external pure returns (int) {
+        return LogExpMath.exp(x);
+    }
+
+    function calcLn(int a) external pure returns (int) {
+        return LogExpMath.ln(a);
+    }
+
+    function calcLog(int arg, int base) external pure returns (int) {
+        return LogExpMath.log(arg, base);
+    }
 }
@@ -1,6 +1,7 @@
 const Decimal = require('decimal.js');
 const truffleAssert = require('truffle-assertions');
 const { calcRelativeDiff } = require('./lib/calc_comparisons');
+const { getRoundDataFromRounds, getMaxRelativePriceInLastBlock } = require('./lib/chainlink_utils');
 
 const TChainlinkUtils = artifacts.require('TChainlinkUtils');
 const TOracle = artifacts.require('TOracle');
@@ -59,6 +60,20 @@ contract('Chainlink Utils', async (accounts) => {
 			console.log(`relDif: ${relDif}`);
 		}
 		assert.isAtMost(relDif.toNumber(), errorDelta);
+
+		// JS model on the raw rounds: TOracle's timestamps are ages relative to the current block
+		const blockTimestamp = (await web3.eth.getBlock('latest')).timestamp;
+		const toRounds = (prices, ages) => prices.map((price, i) => ({
+			roundId: roundId - i, price, timestamp: blockTimestamp - ages[i]
+		}));
+		const inRounds = toRounds(inPrices, inTimestamps);
+		const outRounds = toRounds(outPrices, outTimestamps);
+		const expectedWei = getMaxRelativePriceInLastBlock(
+			inRounds[0], inDecimals, getRoundDataFromRounds(inRounds),
+			outRounds[0], outDecimals, getRoundDataFromRounds(outRounds),
+			blockTimestamp
+		);
+		assert.equal(actual.toString(), expectedWei.toString());
 	}
 
     describe('Chainlink Utils', () => {
@@ -81,6 +96,8 @@ contract('Chainlink Utils', async (accounts) => {
 
 			[[20, 10, 1], [0, 1, 1], 0, [1, 1, 1], [0, 0, 2], 1, 10, 1],
 			[[20, 10, 30], [1, 1, 1], 0, [1, 1, 1], [0, 0, 2], 1, 20, 1],
+
+			[[3, 2, 1], [0, 1, 1], 2, [10, 20, 40], [0, 2, 2], 0, 2, 20],
 		].forEach(async t => {
 
 			const [
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+	parseRoundId, toRoundId,
+	findPhaseLatestRoundId, readOracleHistory
+} = require('./lib/data');
+
+const TOracle = artifacts.require('TOracle');
+
+contract('Oracle history reader', async (accounts) => {
+
+	const decimals = 8;
+
+	// TOracle's rounds roundId, roundId - 1, ... with the given prices, updated 10 seconds apart
+	async function deployTOracle(prices, roundId) {
+		return TOracle.new(prices, prices.map((_, i) => i * 10), decimals, roundId.toString());
+	}
+
+	// web3 whose BatchRequests record the number of requests they execute
+	function getCountingWeb3(batches) {
+		return {
+			BatchRequest: function () {
+				const batch = new web3.BatchRequest();
+				let count = 0;
+				return {
+					add: request => {
+						count += 1;
+						batch.add(request);
+					},
+					execute: () => {
+						batches.push(count);
+						return batch.execute();
+					}
+				};
+			}
+		};
+	}
+
+	it('Reads the rounds in batches', async () => {
+		const prices = [...Array(10).keys()].map(i => 100000000 + i);
+		const oracle = await deployTOracle(prices, 20);
+
+		const batches = [];
+		const history = await readOracleHistory(oracle, 10, 1, { batchSize: 4, web3: getCountingWeb3(batches) });
+		assert.deepEqual(history.rounds.map(r => r.roundId), [...Array(10).keys()].map(i => String(20 - i)));
+		assert.deepEqual(history.rounds.map(r => r.price), prices.map(String));
+		assert.deepEqual(history.gaps, []);
+		assert.deepEqual(history.incompleteRounds, []);
+		// the latest round comes from latestRoundData and the last one is read alone
+		assert.deepEqual(batches, [4, 4]);
+	});
+
+	it('Reports a missing round as a gap', async () => {
+		const oracle = await deployTOracle([300000000000, 0, 310000000000], 12);
+
+		const history = await readOracleHistory(oracle, 3, 1);
+		assert.deepEqual(history.rounds.map(r => r.roundId), ['12', '10']);
+		assert.equal(history.gaps.length, 1);
+		assert.equal(history.gaps[0].roundId, '11');
+		assert.equal(history.gaps[0].reason, 'null price');
+
+		const strictHistory = await readOracleHistory(oracle, 3, 1, { stopAtFirstGap: true });
+		assert.deepEqual(strictHistory.rounds.map(r => r.roundId), ['12']);
+		assert.deepEqual(strictHistory.gaps.map(g => g.roundId), ['11']);
+	});
+
+	it('Crosses a phase boundary', async () => {
+		// a Chainlink proxy dispatching the round ids to the aggregator of their phase
+		const aggregators = {
+			1: await deployTOracle([103, 102, 101], toRoundId(1, 3)),
+			2: await deployTOracle([202, 201], toRoundId(2, 2))
+		};
+		const proxy = {
+			address: aggregators[2].address,
+			methods: {
+				getRoundData: roundId => aggregators[parseRoundId(roundId).phaseId].contract.methods.getRoundData(roundId),
+				latestRoundData: () => aggregators[2].contract.methods.latestRoundData()
+			}
+		};
+
+		assert.equal(await findPhaseLatestRoundId(proxy, 1), 3n);
+
+		const history = await readOracleHistory(proxy, 5, 1);
+		assert.deepEqual(history.rounds.map(r => r.price), ['202', '201', '103', '102', '101']);
+		assert.deepEqual(
+			history.rounds.map(r => parseRoundId(r.roundId)),
+			[[2, 2], [2, 1], [1, 3], [1, 2], [1, 1]].map(([phaseId, aggregatorRoundId]) => ({
+				phaseId: BigInt(phaseId),
+				aggregatorRoundId: BigInt(aggregatorRoundId)
+			}))
+		);
+		assert.deepEqual(
+			history.phaseBoundaries,
+			[{ fromRoundId: toRoundId(2, 1).toString(), toRoundId: toRoundId(1, 3).toString() }]
+		);
+	});
+
+	it('Caches the history', async () => {
+		const oracle = await deployTOracle([300000000000, 310000000000, 320000000000], 12);
+		const cacheDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'swaap-oracle-cache-'));
+		try {
+			const history = await readOracleHistory(oracle, 3, 1, { fromRoundId: 12, cacheDirectory });
+			assert.equal(fs.readdirSync(cacheDirectory).length, 1);
+
+			// the second read does not call the oracle
+			const unreachableOracle = {
+				address: oracle.address,
+				methods: {
+					getRoundData: () => { throw new Error('Not cached'); }
+				}
+			};
+			const cachedHistory = await readOracleHistory(unreachableOracle, 3, 1, { fromRoundId: 12, cacheDirectory });
+			assert.deepEqual(cachedHistory, history);
+		} finally {
+			fs.rmSync(cacheDirectory, { recursive: true, force: true });
+		}
+	});
+
+});
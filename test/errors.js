@@ -1,5 +1,10 @@
+const fs = require('fs');
+const path = require('path');
 const TErr = artifacts.require('TErr');
 const truffleAssert = require('truffle-assertions');
+const {
+    SWAAP_ERRORS, Err, getSwaapError, parseSwaapError, expectSwaapRevert
+} = require('./lib/errors');
 
 contract('Errors Library', async (accounts) => {
 
@@ -32,4 +37,49 @@ contract('Errors Library', async (accounts) => {
         });
 
     });
+
+    describe('JS errors table', () => {
+
+        // active constants of Errors.sol, commented ones are skipped
+        const solidityErrors = fs.readFileSync(path.join(__dirname, '..', 'contracts', 'Errors.sol'), 'utf8')
+            .split('\n')
+            .map(line => /^\s*uint256\s+internal\s+constant\s+(\w+)\s*=\s*(\d+)\s*;/.exec(line))
+            .filter(match => match !== null)
+            .map(match => ({ name: match[1], code: parseInt(match[2]) }));
+
+        it('Knows every error code of Errors.sol', async () => {
+            assert.isAbove(solidityErrors.length, 0);
+            solidityErrors.forEach(({ name, code }) => {
+                const error = getSwaapError(code);
+                assert.isNotNull(error, `SWAAP#${code} (${name}) is missing from test/lib/errors.js`);
+                assert.equal(error.name, name, `SWAAP#${code}`);
+                assert.equal(Err[name], code, name);
+            });
+            assert.equal(SWAAP_ERRORS.length, solidityErrors.length, 'test/lib/errors.js has codes absent from Errors.sol');
+        });
+
+        it('Parses the revert reason of a failed transaction', async () => {
+            try {
+                await terr._requireTest(false, 44);
+                assert.fail('did not revert');
+            } catch (e) {
+                const error = parseSwaapError(e);
+                assert.isNotNull(error, e.message);
+                assert.equal(error.code, 44);
+                assert.equal(error.name, 'MAX_PRICE_UNPEG_RATIO');
+            }
+        });
+
+        it('expectSwaapRevert accepts a constant name, a code or a reason', async () => {
+            await expectSwaapRevert(terr._requireTest(false, 44), 'MAX_PRICE_UNPEG_RATIO');
+            await expectSwaapRevert(terr._requireTest(false, 20), Err.NOT_PENDING_SWAAPLABS);
+            await expectSwaapRevert(terr._requireTest(false, 0), 'SWAAP#00');
+        });
+
+        it('expectSwaapRevert fails on another error or without revert', async () => {
+            await truffleAssert.fails(expectSwaapRevert(terr._requireTest(false, 1), 'MAX_PRICE_UNPEG_RATIO'));
+            await truffleAssert.fails(expectSwaapRevert(terr._requireTest(true, 44), 'MAX_PRICE_UNPEG_RATIO'));
+        });
+
+    });
 });
@@ -4,9 +4,15 @@ const TToken = artifacts.require('TToken');
 const TConstantOracle = artifacts.require('TConstantOracle');
 const truffleAssert = require('truffle-assertions');
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
 const {
     advanceTimeAndBlock
 } = require('./lib/time');
+const { EventStore, Indexer } = require('./lib/indexer');
+const { readAuditTrail } = require('./lib/log_call');
 
 
 contract('Factory', async (accounts) => {
@@ -113,6 +119,28 @@ contract('Factory', async (accounts) => {
             assert.equal(coverageParams.maxPriceUnpegRatio, toWei('1.03'));
         });
 
+        it('audit trail of the calls received by the pool', async () => {
+            const trail = await readAuditTrail([POOL], { poolAbi: Pool.abi });
+            assert.deepEqual(
+                trail.map(call => call.method),
+                [
+                    'bindMMM', 'bindMMM', 'finalize', 'joinPool', 'exitPool',
+                    'setSwapFee', 'setDynamicCoverageFeesZ', 'setDynamicCoverageFeesHorizon',
+                    'setPriceStatisticsLookbackInRound', 'setPriceStatisticsLookbackInSec',
+                    'setPriceStatisticsLookbackStepInRound', 'setMaxPriceUnpegRatio'
+                ]
+            );
+            const [bindWETH] = trail;
+            assert.equal(bindWETH.caller, admin);
+            assert.deepEqual(
+                bindWETH.args,
+                { token: WETH, balance: toWei('5'), denorm: toWei('5'), priceFeedAddress: wethOracle.address }
+            );
+            const [setSwapFee] = await readAuditTrail([POOL], { poolAbi: Pool.abi, methods: ['setSwapFee'] });
+            assert.equal(setSwapFee.caller, factory.address);
+            assert.equal(setSwapFee.args.swapFee, toWei('0.01'));
+        });
+
         it('nonadmin fails to set pool parameters', async () => {
             await truffleAssert.reverts(factory.setPoolSwapFee(POOL, toWei('0.01'), {from: user2}), 'SWAAP#34');
             await truffleAssert.reverts(factory.setPoolDynamicCoverageFeesZ(POOL, toWei('0.2'), {from: user2}), 'SWAAP#34');
@@ -167,5 +195,47 @@ contract('Factory', async (accounts) => {
             assert.equal(blab, user2);
         });
 
+        it('indexes the factory and pool events', async () => {
+            const rpc = (method, params = []) => new Promise((resolve, reject) => {
+                web3.currentProvider.send(
+                    { jsonrpc: '2.0', method, params, id: new Date().getTime() },
+                    (err, result) => err ? reject(err) : resolve(result.result)
+                );
+            });
+            const store = new EventStore(path.join(os.tmpdir(), `swaap-events-${Date.now()}.jsonl`));
+            const indexer = new Indexer({
+                store, factory: factory.address, factoryAbi: Factory.abi, poolAbi: Pool.abi, confirmations: 3, batchSize: 50
+            });
+            try {
+                await indexer.sync();
+                const poolEvents = (name) => store.events.filter(e => e.address == POOL.toLowerCase() && e.event == name);
+                assert.include(store.getPools(), POOL.toLowerCase());
+                assert.lengthOf(poolEvents('LOG_NEW_ORACLE_STATE'), 2);
+                assert.lengthOf(poolEvents('LOG_JOIN'), 2);
+                assert.lengthOf(poolEvents('LOG_EXIT'), 2);
+                assert.equal(poolEvents('LOG_CALL').find(e => e.call.method == 'finalize').args.caller, admin);
+                const requested = store.events.filter(e => e.event == 'LOG_TRANSFER_REQUESTED');
+                assert.equal(requested[requested.length - 1].args.to, user2);
+                const joins = poolEvents('LOG_JOIN').length;
+
+                // the join is mined then reorganized away
+                const snapshotId = await rpc('evm_snapshot');
+                await pool.joinPool(toWei('1'), [MAX, MAX], { from: nonAdmin });
+                await indexer.sync();
+                assert.lengthOf(poolEvents('LOG_JOIN'), joins + 2);
+                await rpc('evm_revert', [snapshotId]);
+                await weth.mint(admin, toWei('1'));
+                await weth.mint(admin, toWei('1'));
+
+                const { events } = await indexer.sync();
+                assert.equal(events, 0);
+                assert.lengthOf(poolEvents('LOG_JOIN'), joins);
+                // the store replays to the same state
+                assert.deepEqual(new EventStore(store.file).events, store.events);
+            } finally {
+                fs.rmSync(store.file, { force: true });
+            }
+        });
+
     });
 });
@@ -4,16 +4,20 @@ const { calcRelativeDiff } = require('./lib/calc_comparisons');
 const { getOracleDataHistoryAsList } = require('./lib/data');
 const {
 	getParametersEstimation,
+	getPairwiseParametersEstimation,
 	getSeries,
 	getStatistics,
 	getStartIndices
 } = require('./lib/gbm_oracle');
+const { generateGBMPath } = require('./lib/gbm_paths');
+const { deployTOracleFromHistory } = require('./lib/oracle_history');
 
 const TGeometricBrownianMotionOracle = artifacts.require('TGeometricBrownianMotionOracle');
 const TWETHOracle = artifacts.require('TWETHOracle');
 const TWBTCOracle = artifacts.require('TWBTCOracle');
 const TDAIOracle = artifacts.require('TDAIOracle');
 const TConstantOracle = artifacts.require('TConstantOracle');
+const TOracle = artifacts.require('TOracle');
 
 const errorDelta = 10 ** -8;
 const varianceErrorDelta = 2 * 10 ** -6;
@@ -273,6 +277,48 @@ contract('GeometricBrownianMotionOracle', async (accounts) => {
 				})
 			});
 
+			it('getPairwiseParametersEstimation', async () => {
+
+				const histories = Object.fromEntries(Object.entries(testData).map(([currency, { data }]) => [
+					currency,
+					[data.map(v => parseFloat(v["price"])), data.map(v => parseFloat(v["timestamp"]))]
+				]));
+				const copies = JSON.parse(JSON.stringify(histories));
+
+				[1, 3, 4, 5].forEach(priceStatisticsLookbackInRound => {
+					[1800, 3600, 7200].forEach(priceStatisticsLookbackInSec => {
+						const estimations = getPairwiseParametersEstimation(
+							histories, priceStatisticsLookbackInRound, priceStatisticsLookbackInSec, now
+						);
+						// histories are left untouched
+						assert.deepEqual(histories, copies);
+
+						["ETH", "BTC", "DAI"].forEach(inCurrency => {
+							["ETH", "BTC", "DAI"].filter(c => c != inCurrency).forEach(outCurrency => {
+								const [, inPrices, inTimestamps, , outPrices, outTimestamps] = getHistoricalData(
+									inCurrency, outCurrency
+								)
+								const [inStartIndex, outStartIndex] = getStartIndices(
+									inTimestamps, outTimestamps,
+									priceStatisticsLookbackInRound, priceStatisticsLookbackInSec, now
+								)
+								const [expectedMean, expectedVariance] = getParametersEstimation(
+									inPrices, inTimestamps, inStartIndex,
+									outPrices, outTimestamps, outStartIndex,
+									priceStatisticsLookbackInSec, now
+								);
+								assert.deepEqual(
+									estimations[inCurrency][outCurrency],
+									{ mean: expectedMean, variance: expectedVariance },
+									`${inCurrency}-${outCurrency} ${priceStatisticsLookbackInRound} ${priceStatisticsLookbackInSec}`
+								);
+							});
+						});
+					});
+				});
+
+			});
+
 			it('getSeries', async () => {
 
 				const wethOraclePrices = testData["ETH"]["data"].map(v => parseFloat(v["price"]))
@@ -397,4 +443,113 @@ contract('GeometricBrownianMotionOracle', async (accounts) => {
 		})
 	})
 
+
+	describe('Synthetic GBM paths', () => {
+
+		const trueMean = 10 ** -6;
+		const trueVariance = 2 * 10 ** -8;
+		const nRounds = 250;
+
+		// estimation on the latest lookbackInRound rounds of a path without missing rounds
+		function estimate(rows, lookbackInRound) {
+			const latestRows = rows.slice(-lookbackInRound);
+			return getStatistics(latestRows.map(r => Number(r.price)), latestRows.map(r => r.timestamp));
+		}
+
+		it('estimator converges toward the true parameters as lookbackInRound grows', async () => {
+			const seeds = [...Array(20).keys()].map(i => i + 1);
+			const paths = seeds.map(seed => generateGBMPath(seed, {
+				nRounds, mean: trueMean, variance: trueVariance, heartbeatJitter: 0.5
+			}).rows);
+
+			let previousVarianceError = Infinity;
+			for (const lookbackInRound of [10, 50, nRounds]) {
+				let varianceError = 0;
+				paths.forEach(rows => {
+					const [mean, variance] = estimate(rows, lookbackInRound);
+					varianceError += Math.abs(variance / trueVariance - 1) / paths.length;
+					// the mean's standard error is sqrt(variance / duration)
+					const duration = rows[rows.length - 1].timestamp - rows[rows.length - lookbackInRound].timestamp;
+					assert.isBelow(Math.abs(mean - trueMean) / Math.sqrt(trueVariance / duration), 4);
+				});
+				if (verbose) {
+					console.log(`lookbackInRound: ${lookbackInRound}, mean variance relative error: ${varianceError}`);
+				}
+				assert.isBelow(varianceError, previousVarianceError);
+				previousVarianceError = varianceError;
+			}
+			assert.isBelow(previousVarianceError, 0.1);
+		});
+
+		it('jumps inflate the estimated variance', async () => {
+			const options = { nRounds, mean: trueMean, variance: trueVariance };
+			const { rows } = generateGBMPath(1, options);
+			const { rows: rowsWithJumps, jumps } = generateGBMPath(1, { ...options, jumpProbability: 0.05, jumpStd: 0.02 });
+			assert.isAbove(jumps.length, 0);
+			assert.isAbove(estimate(rowsWithJumps, nRounds)[1], estimate(rows, nRounds)[1]);
+		});
+
+		it('GeometricBrownianMotionOracle estimates the parameters of a path replayed by TOracle', async () => {
+			// TOracle stores 2 slots per round, 100 rounds fit in ganache's default block gas limit
+			const replayedRounds = 100;
+			const heartbeat = 3600;
+			const lastBlock = await web3.eth.getBlock("latest");
+			// the intervals being at most 1.5 heartbeats, the path ends before the latest block
+			const options = {
+				nRounds: replayedRounds, mean: trueMean, variance: trueVariance, heartbeat, heartbeatJitter: 0.5,
+				startTimestamp: lastBlock.timestamp - 1.5 * heartbeat * replayedRounds
+			};
+			const path = generateGBMPath(7, options);
+			// same seed --> same timestamps
+			const pivotPath = generateGBMPath(7, { ...options, initialPrice: 1, mean: 0, variance: 0 });
+			const importOptions = {
+				scaled: true, decimals: 8, latestAge: lastBlock.timestamp - path.rows[path.rows.length - 1].timestamp
+			};
+			const { oracle } = await deployTOracleFromHistory(TOracle, path.rows, importOptions);
+			const { oracle: pivotOracle } = await deployTOracleFromHistory(TOracle, pivotPath.rows, importOptions);
+
+			const estimate = async (oracleOut, pivot, lookbackInRound) => {
+				const latestRound = await oracleOut.latestRoundData();
+				const latestPivotRound = await pivot.latestRoundData();
+				const { timestamp } = await web3.eth.getBlock("latest");
+				return gbmOracle.getParametersEstimation.call(
+					pivot.address, latestPivotRound[0], latestPivotRound[1], latestPivotRound[3],
+					oracleOut.address, latestRound[0], latestRound[1], latestRound[3],
+					lookbackInRound, heartbeat * (replayedRounds + 10) * 2, timestamp, 1
+				);
+			};
+			const result = await estimate(oracle, pivotOracle, path.rows.length);
+			assert.equal(result[2], true);
+
+			const [expectedMean, expectedVariance] = getStatistics(
+				path.rows.map(r => Number(r.price)), path.rows.map(r => r.timestamp)
+			);
+			const actualMean = Decimal(fromWei(result[0]));
+			const actualVariance = Decimal(fromWei(result[1]));
+			if (verbose) {
+				console.log(`mean: ${actualMean} (expected: ${expectedMean}, true: ${trueMean})`);
+				console.log(`variance: ${actualVariance} (expected: ${expectedVariance}, true: ${trueVariance})`);
+			}
+			assert.isAtMost(calcRelativeDiff(expectedMean, actualMean).toNumber(), errorDelta);
+			assert.isAtMost(calcRelativeDiff(expectedVariance, actualVariance).toNumber(), varianceErrorDelta);
+			// 3 standard errors of the variance estimated on replayedRounds - 1 returns
+			assert.isAtMost(calcRelativeDiff(trueVariance, actualVariance).toNumber(), 3 * Math.sqrt(2 / (replayedRounds - 1)));
+
+			// rounds without price count in lookbackInRound: the oracle misses data points within lookbackInSec
+			const gappedOptions = { ...options, missingRoundProbability: 0.05 };
+			const gappedPath = generateGBMPath(7, gappedOptions);
+			assert.isAbove(gappedPath.missingRoundIds.length, 0);
+			const gappedImportOptions = {
+				...importOptions, fillGaps: true,
+				latestAge: lastBlock.timestamp - gappedPath.rows[gappedPath.rows.length - 1].timestamp
+			};
+			const { oracle: gappedOracle } = await deployTOracleFromHistory(TOracle, gappedPath.rows, gappedImportOptions);
+			const { oracle: gappedPivotOracle } = await deployTOracleFromHistory(
+				TOracle, generateGBMPath(7, { ...gappedOptions, initialPrice: 1, mean: 0, variance: 0 }).rows, gappedImportOptions
+			);
+			assert.equal((await estimate(gappedOracle, gappedPivotOracle, replayedRounds))[2], false);
+		});
+
+	});
+
 });
@@ -0,0 +1,121 @@
+const { Err, formatSwaapError } = require('./errors');
+const num = require('./num');
+
+// Model of ChainlinkUtils.sol on raw round data, BigInt results in wei as returned by the contracts
+
+const ORACLE_TIMEOUT = 120n;
+
+function _require(condition, errorCode) {
+	if (!condition) {
+		throw new Error(formatSwaapError(errorCode));
+	}
+}
+
+/*
+	getRoundData(roundId) --> [price, timestamp] from a list of { roundId, price, timestamp } rounds
+	(e.g. readOracleHistory's or validateHistory's rows). Like ChainlinkUtils.getRoundData, unknown rounds
+	give [0, 0] and negative prices throw NEGATIVE_PRICE.
+*/
+function getRoundDataFromRounds(rounds) {
+	const byRoundId = new Map(rounds.map(r => [BigInt(r.roundId).toString(), r]));
+	return (roundId) => {
+		const round = byRoundId.get(BigInt(roundId).toString());
+		if (round === undefined) {
+			return [0n, 0n];
+		}
+		const price = BigInt(round.price);
+		_require(price >= 0n, Err.NEGATIVE_PRICE);
+		return [price, BigInt(round.timestamp)];
+	};
+}
+
+// same checks as ChainlinkUtils.getLatestRound
+function getLatestRound(round, blockTimestamp) {
+	const latestRound = {
+		roundId: BigInt(round.roundId),
+		price: BigInt(round.price),
+		timestamp: BigInt(round.timestamp)
+	};
+	_require(BigInt(blockTimestamp) - latestRound.timestamp <= ORACLE_TIMEOUT, Err.EXCEEDED_ORACLE_TIMEOUT);
+	_require(latestRound.price > 0n, Err.NON_POSITIVE_PRICE);
+	return latestRound;
+}
+
+/*
+	Price of token 2 in terms of token 1 (18 decimals), decimals being the sum of the token's
+	and of its oracle's decimals (TokenRecord.decimals).
+*/
+function getTokenRelativePrice(price1, decimals1, price2, decimals2) {
+	decimals1 = Number(decimals1);
+	decimals2 = Number(decimals2);
+	if (decimals1 > decimals2) {
+		return num.div(
+			num.mul(price2, 10n ** BigInt(decimals1 - decimals2) * num.ONE),
+			price1
+		);
+	} else if (decimals1 < decimals2) {
+		return num.div(
+			num.div(price2, price1),
+			10n ** BigInt(decimals2 - decimals1) * num.ONE
+		);
+	}
+	return num.div(price2, price1);
+}
+
+/*
+	Upper bound of the relative price of token 2 in terms of token 1 over the rounds of the current block:
+	min of token 1's prices and max of token 2's prices over the rounds published at blockTimestamp.
+	latestRound: { roundId, price, timestamp }, getRoundData: roundId --> [price, timestamp]
+	Returns 0 where the contract does, i.e. when a round of the current block is preceded by a round without data.
+*/
+function getMaxRelativePriceInLastBlock(
+	latestRound1, decimals1, getRoundData1,
+	latestRound2, decimals2, getRoundData2,
+	blockTimestamp
+) {
+	blockTimestamp = BigInt(blockTimestamp);
+
+	let minPrice1 = BigInt(latestRound1.price);
+	{
+		let timestamp1 = BigInt(latestRound1.timestamp);
+		let roundId1 = BigInt(latestRound1.roundId);
+		while (timestamp1 == blockTimestamp) {
+			--roundId1;
+			let price1;
+			[price1, timestamp1] = getRoundData1(roundId1);
+			if (price1 == 0n) {
+				return 0n;
+			}
+			if (price1 < minPrice1) {
+				minPrice1 = price1;
+			}
+		}
+	}
+
+	let maxPrice2 = BigInt(latestRound2.price);
+	{
+		let timestamp2 = BigInt(latestRound2.timestamp);
+		let roundId2 = BigInt(latestRound2.roundId);
+		while (timestamp2 == blockTimestamp) {
+			--roundId2;
+			let price2;
+			[price2, timestamp2] = getRoundData2(roundId2);
+			if (price2 == 0n) {
+				return 0n;
+			}
+			if (price2 > maxPrice2) {
+				maxPrice2 = price2;
+			}
+		}
+	}
+
+	return getTokenRelativePrice(minPrice1, decimals1, maxPrice2, decimals2);
+}
+
+module.exports = {
+    ORACLE_TIMEOUT,
+    getRoundDataFromRounds,
+    getLatestRound,
+    getTokenRelativePrice,
+    getMaxRelativePriceInLastBlock
+};
@@ -1,52 +1,294 @@
-const Decimal = require('decimal.js')
-
-
-async function getAllOracleDataHistory(oracle, maxNumberOfRounds, step) {
-	prices = []
-	timestamps = []
-	roundIds = []
-	const result = await oracle.latestRoundData()
-	let count = 1
-	let roundId = result[0]
-	let price = result[1] / 1
-	let ts = result[3] / 1
-	prices.push(price)
-	timestamps.push(ts)
-	roundIds.push(roundId)
-	while (roundId > 0 && price > 0 && ts > 0 && count < maxNumberOfRounds) {
-		// console.log("roundId:", roundId, step)
-		roundId -= step
-		const _result = await oracle.getRoundData(roundId)
-		price = _result[1] / 1
-		ts = _result[3] / 1
-		prices.push(price)
-		timestamps.push(ts)
-		roundIds.push(roundId)
-		count += 1
-	}
-	return [prices, timestamps, roundIds]
-}
-
-async function getOracleDataHistory(oracle, maxNumberOfRounds, step) {
-	const [prices, timestamps, roundIds] = await getAllOracleDataHistory(oracle, maxNumberOfRounds, step)
-	return [prices, timestamps]
-}
-
-async function getOracleDataHistoryAsList(oracle, maxNumberOfRounds, step) {
-	const [prices, timestamps, roundIds] = await getAllOracleDataHistory(oracle, maxNumberOfRounds, step)
-	const l = roundIds.reduce((acc, curr, i) => {
-		return acc.concat(
-			{
-				"round_id": String(roundIds[i]),
-				"price": String(prices[i]),
-				"timestamp": String(timestamps[i]),
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_VERSION = 1;
+
+// Chainlink proxies' round ids are (phaseId << 64) | aggregatorRoundId
+const PHASE_OFFSET = 64n;
+const AGGREGATOR_ROUND_MASK = (1n << PHASE_OFFSET) - 1n;
+
+function parseRoundId(roundId) {
+	const id = BigInt(roundId);
+	return { phaseId: id >> PHASE_OFFSET, aggregatorRoundId: id & AGGREGATOR_ROUND_MASK };
+}
+
+function toRoundId(phaseId, aggregatorRoundId) {
+	return (BigInt(phaseId) << PHASE_OFFSET) | BigInt(aggregatorRoundId);
+}
+
+// web3 contract behind a truffle instance, or the web3 contract itself
+function _getContract(oracle) {
+	return oracle.contract || oracle;
+}
+
+function _getAddress(oracle) {
+	return (oracle.address || _getContract(oracle).options.address).toLowerCase();
+}
+
+function _toRound(roundId, result) {
+	return {
+		roundId: roundId.toString(),
+		price: result.answer.toString(),
+		timestamp: parseInt(result.updatedAt),
+		answeredInRound: result.answeredInRound.toString()
+	};
+}
+
+/*
+	Classifies a fetched round the way GeometricBrownianMotionOracle.getHistoricalPrices consumes it:
+	a round is usable iff its price and its timestamp are positive, everything else is a gap.
+	Usable rounds answered in an earlier round are reported as incomplete but kept.
+*/
+function _classify(roundId, fetched) {
+	if (fetched.error !== undefined) {
+		return { gap: { roundId: roundId.toString(), reason: 'no data', error: fetched.error } };
+	}
+	const round = _toRound(roundId, fetched.result);
+	if (BigInt(round.price) <= 0n) {
+		// a negative price makes the pool revert with NEGATIVE_PRICE
+		return { gap: { ...round, reason: BigInt(round.price) < 0n ? 'negative price' : 'null price' } };
+	}
+	if (round.timestamp == 0) {
+		return { gap: { ...round, reason: 'not updated' } };
+	}
+	if (BigInt(round.answeredInRound) < BigInt(round.roundId)) {
+		return { round, incomplete: { roundId: round.roundId, reason: 'answered in an earlier round' } };
+	}
+	return { round };
+}
+
+// getRoundData of every round id in a single JSON-RPC batch when possible
+async function _fetchRounds(oracle, roundIds, web3Instance, blockNumber = 'latest') {
+	const contract = _getContract(oracle);
+	const calls = roundIds.map(roundId => contract.methods.getRoundData(roundId.toString()));
+	const settle = p => p.then(result => ({ result }), e => ({ error: e.message }));
+
+	if (web3Instance === undefined || web3Instance.BatchRequest === undefined || roundIds.length < 2) {
+		return Promise.all(calls.map(call => settle(call.call({}, blockNumber))));
+	}
+	const batch = new web3Instance.BatchRequest();
+	const promises = calls.map(call => settle(new Promise((resolve, reject) => {
+		batch.add(call.call.request({}, blockNumber, (e, result) => e ? reject(e) : resolve(result)));
+	})));
+	batch.execute();
+	return Promise.all(promises);
+}
+
+/*
+	getRoundData of the given round ids in a single JSON-RPC batch, as ChainlinkUtils.getRoundData sees them:
+	rounds whose call fails are left out, the others are returned as { roundId, price, timestamp, answeredInRound }
+	whatever their price. options: { web3, blockNumber (the block the calls are made at, the latest by default) }
+*/
+async function readRounds(oracle, roundIds, options = {}) {
+	const { web3: web3Instance = global.web3, blockNumber } = options;
+	const fetched = await _fetchRounds(oracle, roundIds, web3Instance, blockNumber);
+	return roundIds
+		.map((roundId, i) => fetched[i].error === undefined ? _toRound(roundId, fetched[i].result) : null)
+		.filter(round => round !== null);
+}
+
+async function _isMissingRound(oracle, roundId, web3Instance) {
+	const [fetched] = await _fetchRounds(oracle, [roundId], web3Instance);
+	return _classify(roundId, fetched).gap !== undefined;
+}
+
+// latest aggregator round id of a phase (0 if the phase is empty), by exponential then binary search
+async function findPhaseLatestRoundId(oracle, phaseId, web3Instance = global.web3) {
+	const isMissing = (aggregatorRoundId) => _isMissingRound(oracle, toRoundId(phaseId, aggregatorRoundId), web3Instance);
+	if (await isMissing(1n)) {
+		return 0n;
+	}
+	let low = 1n;
+	let high = 2n;
+	while (high <= AGGREGATOR_ROUND_MASK && !(await isMissing(high))) {
+		low = high;
+		high *= 2n;
+	}
+	if (high > AGGREGATOR_ROUND_MASK) {
+		high = AGGREGATOR_ROUND_MASK + 1n;
+	}
+	// low has data, high has none
+	while (high - low > 1n) {
+		const mid = (low + high) / 2n;
+		if (await isMissing(mid)) {
+			high = mid;
+		} else {
+			low = mid;
+		}
+	}
+	return low;
+}
+
+function _getCacheFile(cacheDirectory, address, fromRoundId, step, maxNumberOfRounds, stopAtFirstGap) {
+	const suffix = stopAtFirstGap ? '-strict' : '';
+	return path.join(cacheDirectory, `${address}-${fromRoundId}-${step}x${maxNumberOfRounds}${suffix}.json`);
+}
+
+/*
+	Reads up to maxNumberOfRounds rounds of an AggregatorV3Interface oracle, walking back
+	from fromRoundId (the latest round by default) every step rounds like the GBM oracle does.
+	- getRoundData calls are batched by batchSize
+	- when a walk reaches the first round of a Chainlink phase, it continues from the latest round of
+	the previous phase (found by getPhaseLatestRoundId(phaseId) when given, by searching otherwise)
+	- gaps (rounds without a usable price) are counted as rounds and reported, the walk goes on
+	unless stopAtFirstGap is set
+	- with cacheDirectory, results are stored in / read from a JSON file keyed by the oracle and the round range
+	Returns { oracle, fromRoundId, step, rounds, gaps, incompleteRounds, phaseBoundaries }, rounds being
+	ordered from the most recent one: { roundId, price, timestamp, answeredInRound } (ids and prices as strings).
+*/
+async function readOracleHistory(oracle, maxNumberOfRounds, step, options = {}) {
+	const {
+		fromRoundId,
+		batchSize = 10,
+		stopAtFirstGap = false,
+		cacheDirectory,
+		getPhaseLatestRoundId,
+		web3: web3Instance = global.web3
+	} = options;
+	const address = _getAddress(oracle);
+	const _step = BigInt(step);
+
+	let startRound;
+	if (fromRoundId === undefined) {
+		const latest = await _getContract(oracle).methods.latestRoundData().call();
+		startRound = { roundId: BigInt(latest.roundId), fetched: { result: latest } };
+	} else {
+		startRound = { roundId: BigInt(fromRoundId) };
+	}
+
+	const cacheFile = cacheDirectory === undefined
+		? undefined
+		: _getCacheFile(cacheDirectory, address, startRound.roundId, step, maxNumberOfRounds, stopAtFirstGap);
+	if (cacheFile !== undefined && fs.existsSync(cacheFile)) {
+		const cached = JSON.parse(fs.readFileSync(cacheFile));
+		if (cached.version === CACHE_VERSION) {
+			return cached.history;
+		}
+	}
+
+	const history = {
+		oracle: address,
+		fromRoundId: startRound.roundId.toString(),
+		step: Number(step),
+		rounds: [],
+		gaps: [],
+		incompleteRounds: [],
+		phaseBoundaries: []
+	};
+
+	const phaseLatestRoundId = async (phaseId) => BigInt(getPhaseLatestRoundId === undefined
+		? await findPhaseLatestRoundId(oracle, phaseId, web3Instance)
+		: await getPhaseLatestRoundId(phaseId));
+
+	// round id reached after stepping back from roundId, null when the history is exhausted
+	const previousRoundId = async (roundId) => {
+		let { phaseId, aggregatorRoundId } = parseRoundId(roundId);
+		if (aggregatorRoundId > _step) {
+			return roundId - _step;
+		}
+		if (phaseId <= 1n) {
+			// rounds before phases (e.g. test oracles) or first phase: same bound as the GBM oracle
+			return roundId >= _step ? roundId - _step : null;
+		}
+		// remaining steps are taken from the latest rounds of the previous phases
+		let remaining = _step - aggregatorRoundId;
+		while (phaseId > 1n) {
+			phaseId -= 1n;
+			const latest = await phaseLatestRoundId(phaseId);
+			if (latest > remaining) {
+				const previous = toRoundId(phaseId, latest - remaining);
+				history.phaseBoundaries.push({ fromRoundId: roundId.toString(), toRoundId: previous.toString() });
+				return previous;
 			}
-		)
-	}, [])
-	return l
+			remaining -= latest;
+		}
+		return null;
+	};
+
+	let count = 0;
+	let nextRoundId = startRound.roundId;
+	let pending = startRound.fetched === undefined ? [] : [startRound];
+	let stop = false;
+	while (!stop && count < maxNumberOfRounds && nextRoundId !== null) {
+		if (pending.length == 0) {
+			// ids up to the next phase boundary can be computed ahead
+			const roundIds = [nextRoundId];
+			while (roundIds.length < Math.min(batchSize, maxNumberOfRounds - count)) {
+				const { aggregatorRoundId } = parseRoundId(roundIds[roundIds.length - 1]);
+				if (aggregatorRoundId <= _step) {
+					break;
+				}
+				roundIds.push(roundIds[roundIds.length - 1] - _step);
+			}
+			const fetched = await _fetchRounds(oracle, roundIds, web3Instance);
+			pending = roundIds.map((roundId, i) => ({ roundId, fetched: fetched[i] }));
+		}
+
+		const { roundId, fetched } = pending.shift();
+		const { round, gap, incomplete } = _classify(roundId, fetched);
+		if (round !== undefined) {
+			history.rounds.push(round);
+		}
+		if (incomplete !== undefined) {
+			history.incompleteRounds.push(incomplete);
+		}
+		if (gap !== undefined) {
+			history.gaps.push(gap);
+			stop = stopAtFirstGap;
+		}
+		count += 1;
+		if (pending.length > 0) {
+			nextRoundId = pending[0].roundId;
+		} else if (!stop && count < maxNumberOfRounds) {
+			nextRoundId = await previousRoundId(roundId);
+		}
+	}
+
+	if (cacheFile !== undefined) {
+		fs.mkdirSync(cacheDirectory, { recursive: true });
+		fs.writeFileSync(cacheFile, JSON.stringify({ version: CACHE_VERSION, history }, null, 2) + '\n');
+	}
+	return history;
+}
+
+/*
+	Legacy format used by the GBM tests: the walk stops at the first gap, which is kept as the last entry
+	(with a null price) so that the arrays look like the ones built by the previous reader.
+*/
+async function getAllOracleDataHistory(oracle, maxNumberOfRounds, step, options = {}) {
+	const history = await readOracleHistory(oracle, maxNumberOfRounds, step, { ...options, stopAtFirstGap: true });
+	const entries = [...history.rounds];
+	if (history.gaps.length > 0) {
+		const gap = history.gaps[0];
+		entries.push({ roundId: gap.roundId, price: gap.price || '0', timestamp: gap.timestamp || 0 });
+	}
+	return [
+		entries.map(e => Number(e.price)),
+		entries.map(e => e.timestamp),
+		entries.map(e => e.roundId)
+	];
+}
+
+async function getOracleDataHistory(oracle, maxNumberOfRounds, step, options) {
+	const [prices, timestamps] = await getAllOracleDataHistory(oracle, maxNumberOfRounds, step, options);
+	return [prices, timestamps];
+}
+
+async function getOracleDataHistoryAsList(oracle, maxNumberOfRounds, step, options) {
+	const [prices, timestamps, roundIds] = await getAllOracleDataHistory(oracle, maxNumberOfRounds, step, options);
+	return roundIds.map((roundId, i) => ({
+		"round_id": String(roundId),
+		"price": String(prices[i]),
+		"timestamp": String(timestamps[i]),
+	}));
 }
 
 module.exports = {
+    parseRoundId,
+    toRoundId,
+    findPhaseLatestRoundId,
+    readRounds,
+    readOracleHistory,
     getOracleDataHistory,
     getOracleDataHistoryAsList
-}
+};
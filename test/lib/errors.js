@@ -0,0 +1,164 @@
+const assert = require('assert');
+
+// Errors.sol: the pool reverts with 'SWAAP#' followed by the 2-digit code
+const SWAAP_ERRORS = [
+	{ code: 0, name: 'REENTRY', description: 'Reentrant call' },
+	{ code: 1, name: 'NOT_FINALIZED', description: 'The pool is not finalized' },
+	{ code: 2, name: 'NOT_BOUND', description: 'The token is not bound to the pool' },
+	{ code: 3, name: 'NOT_CONTROLLER', description: 'The caller is not the pool\'s controller' },
+	{ code: 4, name: 'IS_FINALIZED', description: 'The pool is already finalized' },
+	{ code: 5, name: 'MATH_APPROX', description: 'A computed ratio, amount or price is null or moved the wrong way' },
+	{ code: 6, name: 'NOT_FACTORY', description: 'The caller is not the factory' },
+	{ code: 7, name: 'FACTORY_CONTROL_REVOKED', description: 'The factory\'s control over the pool was revoked' },
+	{ code: 8, name: 'LIMIT_IN', description: 'The amount in is above the maximum amount in' },
+	{ code: 9, name: 'LIMIT_OUT', description: 'The amount out is below the minimum amount out' },
+	{ code: 10, name: 'SWAP_NOT_PUBLIC', description: 'Public swaps are disabled' },
+	{ code: 11, name: 'BAD_LIMIT_PRICE', description: 'The spot price is above the maximum price' },
+	{ code: 12, name: 'NOT_ADMIN', description: 'The caller is neither the pool\'s controller nor the factory' },
+	{ code: 13, name: 'NULL_CONTROLLER', description: 'The new controller is the null address' },
+	{ code: 14, name: 'MIN_FEE', description: 'The swap fee is below MIN_FEE' },
+	{ code: 15, name: 'MAX_FEE', description: 'The swap fee is above MAX_FEE' },
+	{ code: 16, name: 'NON_POSITIVE_PRICE', description: 'The oracle\'s price is not positive' },
+	{ code: 17, name: 'NOT_POOL', description: 'The address is not a pool deployed by the factory' },
+	{ code: 18, name: 'MIN_TOKENS', description: 'Less than MIN_BOUND_TOKENS tokens are bound' },
+	{ code: 19, name: 'INSUFFICIENT_BALANCE', description: 'The pool token balance is too low' },
+	{ code: 20, name: 'NOT_PENDING_SWAAPLABS', description: 'The caller is not the pending Swaap Labs address' },
+	{ code: 21, name: 'INSUFFICIENT_ALLOWANCE', description: 'The pool token allowance is too low' },
+	{ code: 22, name: 'MIN_HORIZON', description: 'The dynamic coverage fees horizon is below MIN_HORIZON' },
+	{ code: 23, name: 'MAX_HORIZON', description: 'The dynamic coverage fees horizon is above MAX_HORIZON' },
+	{ code: 24, name: 'MIN_LB_PERIODS', description: 'The price statistics lookback in round is below MIN_LOOKBACK_IN_ROUND' },
+	{ code: 25, name: 'MAX_LB_PERIODS', description: 'The price statistics lookback in round is above MAX_LOOKBACK_IN_ROUND' },
+	{ code: 26, name: 'MIN_LB_SECS', description: 'The price statistics lookback in seconds is below MIN_LOOKBACK_IN_SEC' },
+	{ code: 28, name: 'IS_BOUND', description: 'The token is already bound to the pool' },
+	{ code: 29, name: 'MAX_TOKENS', description: 'MAX_BOUND_TOKENS tokens are already bound' },
+	{ code: 30, name: 'MIN_WEIGHT', description: 'The weight is below MIN_WEIGHT' },
+	{ code: 31, name: 'MAX_WEIGHT', description: 'The weight is above MAX_WEIGHT' },
+	{ code: 32, name: 'MIN_BALANCE', description: 'The balance is below MIN_BALANCE' },
+	{ code: 33, name: 'MAX_TOTAL_WEIGHT', description: 'The total weight is above MAX_TOTAL_WEIGHT' },
+	{ code: 34, name: 'NOT_SWAAPLABS', description: 'The caller is not Swaap Labs' },
+	{ code: 35, name: 'NULL_ADDRESS', description: 'The address is the null address' },
+	{ code: 36, name: 'PAUSED_FACTORY', description: 'The factory is paused' },
+	{ code: 37, name: 'X_OUT_OF_BOUNDS', description: 'LogExpMath: the base is out of bounds' },
+	{ code: 38, name: 'Y_OUT_OF_BOUNDS', description: 'LogExpMath: the exponent is out of bounds' },
+	{ code: 39, name: 'POW_BASE_TOO_LOW', description: 'Num: the base is below MIN_POW_BASE' },
+	{ code: 40, name: 'POW_BASE_TOO_HIGH', description: 'Num: the base is above MAX_POW_BASE' },
+	{ code: 41, name: 'PRODUCT_OUT_OF_BOUNDS', description: 'LogExpMath: the product of the exponent and of ln(base) is out of bounds' },
+	{ code: 42, name: 'INVALID_EXPONENT', description: 'LogExpMath: the natural exponent is out of bounds' },
+	{ code: 43, name: 'OUT_OF_BOUNDS', description: 'LogExpMath: the argument of ln is not positive' },
+	{ code: 44, name: 'MAX_PRICE_UNPEG_RATIO', description: 'The spot price after the trade deviates too much from the oracle price' },
+	{ code: 45, name: 'PAUSE_WINDOW_EXCEEDED', description: 'The factory\'s pause window has ended' },
+	{ code: 47, name: 'NOT_PENDING_CONTROLLER', description: 'The caller is not the pending controller' },
+	{ code: 48, name: 'EXCEEDED_ORACLE_TIMEOUT', description: 'The oracle\'s latest price is older than ORACLE_TIMEOUT' },
+	{ code: 49, name: 'NEGATIVE_PRICE', description: 'The oracle\'s historical price is negative' },
+	{ code: 50, name: 'BINDED_TOKENS', description: 'The controller cannot change while tokens are bound to a non-finalized pool' },
+	{ code: 51, name: 'PENDING_NEW_CONTROLLER', description: 'A controller transfer is pending' },
+	{ code: 52, name: 'UNEXPECTED_BALANCE', description: 'The balance received differs from the amount transferred' },
+	{ code: 53, name: 'MIN_LB_STEP_PERIODS', description: 'The price statistics lookback step in round is below MIN_LOOKBACK_STEP_IN_ROUND' },
+	{ code: 54, name: 'INPUT_LENGTH_MISMATCH', description: 'The input array\'s length differs from the number of bound tokens' },
+	{ code: 55, name: 'MIN_MAX_PRICE_UNPEG_RATIO', description: 'The max price unpeg ratio is below MIN_MAX_PRICE_UNPEG_RATIO' },
+	{ code: 56, name: 'MAX_MAX_PRICE_UNPEG_RATIO', description: 'The max price unpeg ratio is above MAX_MAX_PRICE_UNPEG_RATIO' },
+	{ code: 57, name: 'MAX_IN_RATIO', description: 'The amount in is above MAX_IN_RATIO of the balance in' },
+	{ code: 58, name: 'MAX_OUT_RATIO', description: 'The amount out is above MAX_OUT_RATIO of the balance out' }
+];
+
+// name --> code, e.g. Err.MAX_PRICE_UNPEG_RATIO == 44
+const Err = Object.fromEntries(SWAAP_ERRORS.map(({ name, code }) => [name, code]));
+
+const errorsByCode = new Map(SWAAP_ERRORS.map(error => [error.code, error]));
+
+// ABI selector of Error(string)
+const ERROR_SELECTOR = '08c379a0';
+
+function formatSwaapError(code) {
+	return `SWAAP#${code.toString().padStart(2, '0')}`;
+}
+
+// accepts a code, a constant name or a 'SWAAP#NN' reason
+function getSwaapError(codeOrName) {
+	if (typeof codeOrName == 'string') {
+		const match = /^SWAAP#(\d{2})$/.exec(codeOrName);
+		if (match) {
+			return errorsByCode.get(parseInt(match[1])) || null;
+		}
+		return Err[codeOrName] === undefined ? null : errorsByCode.get(Err[codeOrName]);
+	}
+	return errorsByCode.get(Number(codeOrName)) || null;
+}
+
+// returns the reason of an ABI encoded Error(string) revert data, null if it is not one
+function decodeRevertData(data) {
+	const hex = data.startsWith('0x') ? data.slice(2) : data;
+	if (!hex.startsWith(ERROR_SELECTOR) || hex.length < 8 + 128) {
+		return null;
+	}
+	const length = parseInt(hex.slice(8 + 64, 8 + 128), 16);
+	return Buffer.from(hex.slice(8 + 128, 8 + 128 + 2 * length), 'hex').toString('utf8');
+}
+
+// hex strings carried by the different error shapes of truffle, web3 and ganache
+function _getRevertData(e) {
+	const candidates = [e.data, e.data && e.data.data, e.data && e.data.result, e.error && e.error.data];
+	if (e.data && typeof e.data == 'object') {
+		// ganache v6: { [txHash]: { error: 'revert', return: '0x...', reason } }
+		Object.values(e.data).forEach(value => candidates.push(value && value.return));
+	}
+	return candidates.filter(c => typeof c == 'string' && /^0x[0-9a-fA-F]*$/.test(c));
+}
+
+/*
+	Extracts the SWAAP error from a string or from an error thrown by truffle/web3.
+	Returns { code, name, description, reason } or null when the revert does not come from Errors.sol.
+*/
+function parseSwaapError(e) {
+	if (e === null || e === undefined) {
+		return null;
+	}
+	const texts = typeof e == 'string'
+		? [e]
+		: [e.reason, ..._getRevertData(e).map(decodeRevertData), e.message];
+	for (const text of texts) {
+		const match = typeof text == 'string' ? /SWAAP#(\d{2})/.exec(text) : null;
+		if (match) {
+			const error = errorsByCode.get(parseInt(match[1]));
+			// unknown codes are still reported so that missing table entries surface
+			return error
+				? { ...error, reason: match[0] }
+				: { code: parseInt(match[1]), name: 'UNKNOWN', description: 'Unknown error code', reason: match[0] };
+		}
+	}
+	return null;
+}
+
+function _describe(error) {
+	return `${error.reason || formatSwaapError(error.code)} (${error.name}: ${error.description})`;
+}
+
+// asserts that the promise reverts with the given SWAAP error, given as a code, a constant name or a 'SWAAP#NN' reason
+async function expectSwaapRevert(promise, codeOrName, message) {
+	const expected = getSwaapError(codeOrName);
+	assert(expected !== null, `Unknown SWAAP error ${codeOrName}`);
+	const prefix = message ? `${message}: ` : '';
+	try {
+		await promise;
+	} catch (e) {
+		const actual = parseSwaapError(e);
+		if (actual === null) {
+			assert.fail(`${prefix}Expected ${_describe(expected)}, got a revert not raised by Errors.sol: ${e.message}`);
+		}
+		if (actual.code !== expected.code) {
+			assert.fail(`${prefix}Expected ${_describe(expected)}, got ${_describe(actual)}`);
+		}
+		return actual;
+	}
+	assert.fail(`${prefix}Expected ${_describe(expected)}, but the call did not revert`);
+}
+
+module.exports = {
+    SWAAP_ERRORS,
+    Err,
+    formatSwaapError,
+    getSwaapError,
+    decodeRevertData,
+    parseSwaapError,
+    expectSwaapRevert
+};
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_VERSION = 1;
+
+// mulberry32: small deterministic PRNG so that a seed always replays the same sequence
+function createRandom(seed) {
+	let state = seed >>> 0;
+	const random = () => {
+		state = (state + 0x6D2B79F5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+	random.between = (min, max) => min + (max - min) * random();
+	random.integer = (min, max) => Math.floor(random.between(min, max + 1));
+	random.pick = (array) => array[random.integer(0, array.length - 1)];
+	return random;
+}
+
+/*
+	A sequence is made of the tokens' initial oracle prices and of a list of operations.
+	Amounts are stored as ratios of the current balances (or pool supply), they are resolved
+	when the sequence is run so that removing operations while shrinking keeps them meaningful.
+*/
+function generateSequence(
+	seed,
+	nOperations = 20,
+	minTokens = 2,
+	maxTokens = 4
+) {
+	const random = createRandom(seed);
+	const nTokens = random.integer(minTokens, maxTokens);
+
+	// prices in the oracle's format (8 decimals)
+	const tokens = [...Array(nTokens).keys()].map(() => ({
+		price: Math.round(random.between(0.5, 3000) * 10**8)
+	}));
+
+	const operations = [];
+	// the total weight stays under MAX_TOTAL_WEIGHT
+	const maxDenorm = Math.floor(50 / nTokens);
+	// the pool starts close to the oracle prices
+	const poolValue = random.between(1000, 1000000);
+	tokens.forEach(({ price }, token) => {
+		const denorm = random.between(1, maxDenorm);
+		operations.push({
+			type: 'bind',
+			token,
+			balance: (poolValue * random.between(0.99, 1.01) * denorm / (price / 10**8)).toFixed(6),
+			// sometimes out of [MIN_WEIGHT, MAX_WEIGHT]
+			denorm: random() < 0.05 ? random.pick(['0.5', '51']) : denorm.toFixed(6)
+		});
+	});
+	operations.push({ type: 'setSwapFee', swapFee: random.between(10 ** -6, 0.01).toFixed(8) });
+	operations.push({ type: 'finalize' });
+
+	const pickPair = () => {
+		const tokenIn = random.integer(0, nTokens - 1);
+		const tokenOut = (tokenIn + random.integer(1, nTokens - 1)) % nTokens;
+		return [tokenIn, tokenOut];
+	};
+
+	for (let i = 0; i < nOperations; i++) {
+		const type = random.pick(['join', 'exit', 'swapIn', 'swapOut', 'joinswap', 'exitswap', 'price', 'price']);
+		if (type == 'join' || type == 'exit') {
+			operations.push({ type, ratio: random.between(0.001, 0.5) });
+		} else if (type == 'swapIn' || type == 'swapOut') {
+			const [tokenIn, tokenOut] = pickPair();
+			// mostly small trades, the ranges go slightly beyond MAX_IN_RATIO and MAX_OUT_RATIO
+			const ratio = (type == 'swapIn' ? 0.55 : 0.35) * random() ** 3;
+			operations.push({ type, tokenIn, tokenOut, ratio });
+		} else if (type == 'joinswap') {
+			operations.push({ type, token: random.integer(0, nTokens - 1), ratio: 0.55 * random() ** 3 });
+		} else if (type == 'exitswap') {
+			operations.push({ type, token: random.integer(0, nTokens - 1), ratio: 0.1 * random() ** 3 });
+		} else {
+			operations.push({ type, token: random.integer(0, nTokens - 1), factor: random.between(0.95, 1.05) });
+		}
+	}
+
+	return { seed, tokens, operations };
+}
+
+/*
+	Removes operations from a failing sequence as long as it keeps failing.
+	runSequence resolves to null when the sequence passes and to a description of the mismatch otherwise.
+	Chunks of operations are removed first, then single operations, with at most maxRuns executions.
+*/
+async function shrinkSequence(sequence, failure, runSequence, maxRuns = 50) {
+	let operations = sequence.operations;
+	let runs = 0;
+	let chunkSize = Math.floor(operations.length / 2);
+
+	while (chunkSize >= 1 && runs < maxRuns) {
+		let removed = false;
+		for (let start = 0; start < operations.length && runs < maxRuns;) {
+			const candidate = { ...sequence, operations: operations.filter((_, i) => i < start || i >= start + chunkSize) };
+			++runs;
+			const candidateFailure = await runSequence(candidate);
+			if (candidateFailure !== null) {
+				operations = candidate.operations;
+				failure = candidateFailure;
+				removed = true;
+			} else {
+				start += chunkSize;
+			}
+		}
+		if (!removed) {
+			chunkSize = Math.floor(chunkSize / 2);
+		}
+	}
+
+	return [{ ...sequence, operations }, failure];
+}
+
+function writeFixture(directory, sequence, failure) {
+	fs.mkdirSync(directory, { recursive: true });
+	const file = path.join(directory, `seed-${sequence.seed}.json`);
+	const fixture = {
+		version: FIXTURE_VERSION,
+		seed: sequence.seed,
+		failure,
+		tokens: sequence.tokens,
+		operations: sequence.operations
+	};
+	fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + '\n');
+	return file;
+}
+
+function readFixtures(directory) {
+	if (!fs.existsSync(directory)) {
+		return [];
+	}
+	return fs.readdirSync(directory)
+		.filter(f => f.endsWith('.json'))
+		.sort()
+		.map(f => {
+			const fixture = JSON.parse(fs.readFileSync(path.join(directory, f)));
+			if (fixture.version !== FIXTURE_VERSION) {
+				throw new Error(`${f}: unsupported fixture version ${fixture.version}`);
+			}
+			return { file: f, ...fixture };
+		});
+}
+
+module.exports = {
+    createRandom,
+    generateSequence,
+    shrinkSequence,
+    writeFixture,
+    readFixtures
+};
@@ -109,6 +109,50 @@ function getParametersEstimation(
 
 }
 
+/*
+	Mean and variance for every ordered pair of tokens, each pair being estimated like
+	GeometricBrownianMotionOracle does for a swap from tokenIn to tokenOut.
+	histories maps a token to its oracle history, from the latest round: [prices, timestamps] as returned
+	by getOracleDataHistory, or { prices, timestamps }. The histories are not modified.
+	Returns { [tokenIn]: { [tokenOut]: { mean, variance } } }.
+*/
+function getPairwiseParametersEstimation(
+		histories, priceStatisticsLookbackInRound, priceStatisticsLookbackInSec, endTimestamp
+	) {
+
+	const tokens = Object.keys(histories);
+	const getHistory = (token) => {
+		const history = histories[token];
+		return Array.isArray(history) ? history : [history.prices, history.timestamps];
+	};
+
+	const estimations = {};
+	for (const tokenIn of tokens) {
+		estimations[tokenIn] = {};
+		for (const tokenOut of tokens) {
+			if (tokenIn == tokenOut) {
+				continue;
+			}
+			const [pricesIn, _timestampsIn] = getHistory(tokenIn);
+			const [pricesOut, _timestampsOut] = getHistory(tokenOut);
+			// getStartIndices may move the start timestamps to the lookback window's start
+			const timestampsIn = [..._timestampsIn];
+			const timestampsOut = [..._timestampsOut];
+			const [startIndexIn, startIndexOut] = getStartIndices(
+				timestampsIn, timestampsOut,
+				priceStatisticsLookbackInRound, priceStatisticsLookbackInSec, endTimestamp
+			);
+			const [mean, variance] = getParametersEstimation(
+				[...pricesIn], timestampsIn, startIndexIn,
+				[...pricesOut], timestampsOut, startIndexOut,
+				priceStatisticsLookbackInSec, endTimestamp
+			);
+			estimations[tokenIn][tokenOut] = { mean, variance };
+		}
+	}
+	return estimations;
+}
+
 function getSeries(
 	pricesIn, timestampsIn, startIndexIn,
 	pricesOut, timestampsOut, startIndexOut,
@@ -150,7 +194,8 @@ function getStatistics(values, timestamps) {
 	}
 	variance /= n
 
-	return [mean, variance];
+	// the contract keeps the positive part, rounding errors making a null variance slightly negative
+	return [mean, Math.max(variance, 0)];
 }
 
 function getNextSample(_startIndexIn, _startIndexOut, timestampsIn, timestampsOut) {
@@ -205,6 +250,7 @@ function getNextSample(_startIndexIn, _startIndexOut, timestampsIn, timestampsOu
 
 module.exports = {
     getParametersEstimation,
+    getPairwiseParametersEstimation,
     getSeries,
     getStatistics,
     getNextSample,
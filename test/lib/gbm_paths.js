@@ -0,0 +1,87 @@
+const { createRandom } = require('./fuzz');
+
+// standard normal draw (Box-Muller), always consumes 2 uniforms
+function _normal(random) {
+	const u = 1 - random();
+	const v = random();
+	return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/*
+	Seeded Chainlink-style round series following a geometric Brownian motion.
+	The log-price moves by N(mean * dt, variance * dt) between rounds, dt being in seconds, so that mean
+	and variance are the quantities estimated by gbm_oracle.js / GeometricBrownianMotionOracle.
+	Options:
+	- nRounds, firstRoundId, initialPrice (in units), decimals, startTimestamp
+	- heartbeat: average seconds between rounds, heartbeatJitter: intervals are drawn in heartbeat * (1 +/- jitter)
+	- missingRoundProbability: probability that a round id has no data
+	- jumpProbability, jumpMean, jumpStd: log-normal jumps added to the log-price
+	The random draws do not depend on the parameters: 2 paths with the same seed share their timestamps,
+	missing rounds and jump times, e.g. a path with a null variance is a constant pivot for another one.
+	Returns { rows, missingRoundIds, jumps, parameters }, rows being { roundId, price, timestamp } ordered
+	from the oldest round with prices scaled by decimals, as expected by validateHistory with options.scaled.
+*/
+function generateGBMPath(seed, options = {}) {
+	const parameters = {
+		nRounds: 100,
+		firstRoundId: 1,
+		initialPrice: 1000,
+		decimals: 8,
+		startTimestamp: 1600000000,
+		mean: 0,
+		variance: 10 ** -8,
+		heartbeat: 3600,
+		heartbeatJitter: 0,
+		missingRoundProbability: 0,
+		jumpProbability: 0,
+		jumpMean: 0,
+		jumpStd: 0,
+		...options
+	};
+	const {
+		nRounds, firstRoundId, initialPrice, decimals, startTimestamp,
+		mean, variance, heartbeat, heartbeatJitter,
+		missingRoundProbability, jumpProbability, jumpMean, jumpStd
+	} = parameters;
+
+	const random = createRandom(seed);
+	const rows = [];
+	const missingRoundIds = [];
+	const jumps = [];
+
+	let logPrice = Math.log(initialPrice);
+	let timestamp = startTimestamp;
+	for (let i = 0; i < nRounds; i++) {
+		const roundId = (BigInt(firstRoundId) + BigInt(i)).toString();
+		const interval = Math.max(1, Math.round(heartbeat * (1 + heartbeatJitter * (2 * random() - 1))));
+		const diffusion = _normal(random);
+		const isMissing = random() < missingRoundProbability;
+		const isJump = random() < jumpProbability;
+		const jump = jumpMean + jumpStd * _normal(random);
+
+		if (i > 0) {
+			timestamp += interval;
+			logPrice += mean * interval + Math.sqrt(variance * interval) * diffusion;
+			if (isJump) {
+				logPrice += jump;
+				jumps.push({ roundId, logJump: jump });
+			}
+		}
+		// the first and the latest rounds always have data
+		if (isMissing && i > 0 && i < nRounds - 1) {
+			missingRoundIds.push(roundId);
+			continue;
+		}
+		rows.push({
+			roundId,
+			price: BigInt(Math.round(Math.exp(logPrice) * 10 ** decimals)).toString(),
+			timestamp
+		});
+	}
+
+	return { rows, missingRoundIds, jumps, parameters };
+}
+
+module.exports = {
+    generateGBMPath
+};
@@ -0,0 +1,249 @@
+const num = require('./num');
+const logExpMath = require('./log_exp_math');
+
+/*
+	BigInt port of GeometricBrownianMotionOracle.sol, results in wei as returned by the contracts.
+	A latest round is { roundId, price, timestamp, getRoundData }, getRoundData (roundId --> [price, timestamp],
+	e.g. chainlink_utils.getRoundDataFromRounds) standing for the oracle's address.
+	hpParameters: { lookbackInRound, lookbackInSec, timestamp, lookbackStepInRound }, as in Struct.sol.
+	Like the contract, getParametersEstimation may reduce hpParameters.lookbackInSec.
+*/
+
+function _hpParameters(hpParameters) {
+	hpParameters.lookbackInRound = BigInt(hpParameters.lookbackInRound);
+	hpParameters.lookbackInSec = BigInt(hpParameters.lookbackInSec);
+	hpParameters.timestamp = BigInt(hpParameters.timestamp);
+	hpParameters.lookbackStepInRound = BigInt(hpParameters.lookbackStepInRound);
+	return hpParameters;
+}
+
+// returns { mean, variance, success }
+function getParametersEstimation(latestRoundIn, latestRoundOut, hpParameters) {
+	hpParameters = _hpParameters(hpParameters);
+
+	const hpDataIn = getHistoricalPrices(latestRoundIn, hpParameters);
+	if (!hpDataIn.noMoreDataPoints && hpDataIn.startIndex < hpParameters.lookbackInRound - 1n) {
+		return { mean: 0n, variance: 0n, success: false };
+	}
+
+	const reducedLookbackInSecCandidate = hpParameters.timestamp - hpDataIn.timestamps[hpDataIn.startIndex];
+	if (reducedLookbackInSecCandidate < hpParameters.lookbackInSec) {
+		hpParameters.lookbackInSec = reducedLookbackInSecCandidate;
+	}
+
+	const hpDataOut = getHistoricalPrices(latestRoundOut, hpParameters);
+	if (!hpDataOut.noMoreDataPoints && hpDataOut.startIndex < hpParameters.lookbackInRound - 1n) {
+		return { mean: 0n, variance: 0n, success: false };
+	}
+
+	return _getParametersEstimation(
+		hpDataIn.noMoreDataPoints && hpDataOut.noMoreDataPoints,
+		hpDataIn,
+		hpDataOut,
+		hpParameters
+	);
+}
+
+// hpData: { startIndex, timestamps, prices }, the timestamps may be modified as in the contract
+function _getParametersEstimation(noMoreDataPoints, hpDataIn, hpDataOut, hpParameters) {
+	hpParameters = _hpParameters(hpParameters);
+
+	// no price return can be calculated with only 1 data point
+	if (hpDataIn.startIndex == 0 && hpDataOut.startIndex == 0) {
+		return { mean: 0n, variance: 0n, success: true };
+	}
+
+	if (noMoreDataPoints) {
+		const ts = hpParameters.timestamp - hpParameters.lookbackInSec;
+		hpDataIn.timestamps[hpDataIn.startIndex] = ts;
+		hpDataOut.timestamps[hpDataOut.startIndex] = ts;
+	} else {
+		consolidateStartIndices(hpDataIn, hpDataOut);
+		if (hpDataIn.startIndex == 0 && hpDataOut.startIndex == 0) {
+			return { mean: 0n, variance: 0n, success: true };
+		}
+	}
+	const [values, timestamps] = getSeries(
+		hpDataIn.prices, hpDataIn.timestamps, hpDataIn.startIndex,
+		hpDataOut.prices, hpDataOut.timestamps, hpDataOut.startIndex
+	);
+	const [mean, variance] = getStatistics(values, timestamps);
+	return { mean, variance, success: true };
+}
+
+function getSeries(pricesIn, timestampsIn, startIndexIn, pricesOut, timestampsOut, startIndexOut) {
+	const values = [num.div(pricesOut[startIndexOut], pricesIn[startIndexIn])];
+	const timestamps = [num.max(timestampsOut[startIndexOut], timestampsIn[startIndexIn]) * num.ONE];
+
+	while (startIndexIn > 0 || startIndexOut > 0) {
+		let skip;
+		[skip, startIndexIn, startIndexOut] = getNextSample(startIndexIn, startIndexOut, timestampsIn, timestampsOut);
+		if (!skip) {
+			values.push(num.div(pricesOut[startIndexOut], pricesIn[startIndexIn]));
+			timestamps.push(num.max(timestampsOut[startIndexOut], timestampsIn[startIndexIn]) * num.ONE);
+		}
+	}
+
+	return [values, timestamps];
+}
+
+// returns [mean, variance]
+function getStatistics(values, timestamps) {
+	let n = values.length;
+	if (n < 2) {
+		return [0n, 0n];
+	}
+	n -= 1;
+
+	const tWithPrecision = BigInt(timestamps[n]) - BigInt(timestamps[0]);
+
+	const mean = num.divInt256(logExpMath.ln(num.divInt256(values[n], values[0])), tWithPrecision);
+	const meanSquare = mean < 0n ? num.mul(-mean, -mean) : num.mul(mean, mean);
+
+	let variance = -num.mul(meanSquare, tWithPrecision);
+	for (let i = 1; i <= n; i++) {
+		let d = logExpMath.ln(num.divInt256(values[i], values[i - 1]));
+		if (d < 0n) {
+			d = -d;
+		}
+		variance += num.div(num.mul(d, d), BigInt(timestamps[i]) - BigInt(timestamps[i - 1]));
+	}
+	variance = num.divInt256(variance, BigInt(n) * num.ONE);
+
+	return [mean, num.positivePart(variance)];
+}
+
+// returns [skip, startIndexIn, startIndexOut]
+function getNextSample(startIndexIn, startIndexOut, timestampsIn, timestampsOut) {
+	let skip = true;
+	const nextStartIndexIn = startIndexIn > 0 ? startIndexIn - 1 : startIndexIn;
+	const nextStartIndexOut = startIndexOut > 0 ? startIndexOut - 1 : startIndexOut;
+	if (timestampsIn[nextStartIndexIn] == timestampsOut[nextStartIndexOut]) {
+		if (
+			timestampsIn[nextStartIndexIn] != timestampsIn[startIndexIn]
+			&& timestampsOut[nextStartIndexOut] != timestampsOut[startIndexOut]
+		) {
+			skip = false;
+		}
+		if (startIndexIn > 0) {
+			startIndexIn--;
+		}
+		if (startIndexOut > 0) {
+			startIndexOut--;
+		}
+	} else if (startIndexOut == 0) {
+		if (timestampsIn[nextStartIndexIn] != timestampsIn[startIndexIn]) {
+			skip = false;
+		}
+		if (startIndexIn > 0) {
+			startIndexIn--;
+		}
+	} else if (startIndexIn == 0) {
+		if (timestampsOut[nextStartIndexOut] != timestampsOut[startIndexOut]) {
+			skip = false;
+		}
+		if (startIndexOut > 0) {
+			startIndexOut--;
+		}
+	} else if (timestampsIn[nextStartIndexIn] < timestampsOut[nextStartIndexOut]) {
+		if (timestampsIn[nextStartIndexIn] != timestampsIn[startIndexIn]) {
+			skip = false;
+		}
+		if (startIndexIn > 0) {
+			startIndexIn--;
+		}
+	} else {
+		if (timestampsOut[nextStartIndexOut] != timestampsOut[startIndexOut]) {
+			skip = false;
+		}
+		if (startIndexOut > 0) {
+			startIndexOut--;
+		}
+	}
+	return [skip, startIndexIn, startIndexOut];
+}
+
+/*
+	Returns { prices, timestamps, startIndex, noMoreDataPoints }, the arrays having lookbackInRound entries
+	(the unused ones being 0) as in the contract.
+*/
+function getHistoricalPrices(latestRound, hpParameters) {
+	hpParameters = _hpParameters(hpParameters);
+	const lookbackInRound = Number(hpParameters.lookbackInRound);
+	const latestTimestamp = BigInt(latestRound.timestamp);
+
+	const timeLimit = hpParameters.timestamp - hpParameters.lookbackInSec;
+
+	const prices = new Array(lookbackInRound).fill(0n);
+	const timestamps = new Array(lookbackInRound).fill(0n);
+	let idx = 1;
+
+	prices[0] = BigInt(latestRound.price);
+	timestamps[0] = latestTimestamp;
+
+	if (latestTimestamp < timeLimit) {
+		return { prices, timestamps, startIndex: 0, noMoreDataPoints: true };
+	}
+
+	let count = 1;
+	let roundId = BigInt(latestRound.roundId);
+	while (roundId >= hpParameters.lookbackStepInRound && count < lookbackInRound) {
+		roundId -= hpParameters.lookbackStepInRound;
+		const [price, timestamp] = latestRound.getRoundData(roundId);
+
+		if (price > 0n && timestamp > 0n) {
+			prices[idx] = price;
+			timestamps[idx] = timestamp;
+			idx += 1;
+
+			if (timestamp < timeLimit) {
+				return { prices, timestamps, startIndex: idx - 1, noMoreDataPoints: true };
+			}
+		}
+
+		count += 1;
+	}
+
+	return { prices, timestamps, startIndex: idx - 1, noMoreDataPoints: false };
+}
+
+// round ids read by getHistoricalPrices when no round is older than the time window
+function getHistoricalRoundIds(latestRoundId, lookbackInRound, lookbackStepInRound) {
+	const step = BigInt(lookbackStepInRound);
+	const roundIds = [];
+	let roundId = BigInt(latestRoundId);
+	for (let count = 1; roundId >= step && count < Number(lookbackInRound); count++) {
+		roundId -= step;
+		roundIds.push(roundId);
+	}
+	return roundIds;
+}
+
+function consolidateStartIndices(hpDataIn, hpDataOut) {
+	if (hpDataIn.timestamps[hpDataIn.startIndex] > hpDataOut.timestamps[hpDataOut.startIndex]) {
+		while (
+			hpDataOut.startIndex > 0
+			&& hpDataOut.timestamps[hpDataOut.startIndex - 1] <= hpDataIn.timestamps[hpDataIn.startIndex]
+		) {
+			--hpDataOut.startIndex;
+		}
+	} else if (hpDataIn.timestamps[hpDataIn.startIndex] < hpDataOut.timestamps[hpDataOut.startIndex]) {
+		while (
+			hpDataIn.startIndex > 0
+			&& hpDataIn.timestamps[hpDataIn.startIndex - 1] <= hpDataOut.timestamps[hpDataOut.startIndex]
+		) {
+			--hpDataIn.startIndex;
+		}
+	}
+}
+
+module.exports = {
+    getParametersEstimation,
+    _getParametersEstimation,
+    getSeries,
+    getStatistics,
+    getNextSample,
+    getHistoricalPrices,
+    getHistoricalRoundIds,
+    consolidateStartIndices
+};
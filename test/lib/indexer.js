@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const { getFunctionsBySelector, decodeLogCall } = require('./log_call');
+
+/*
+	Indexes the Factory's and its pools' events from a JSON-RPC node into an append-only JSON-lines file.
+	Each line is one record:
+	- { type: 'event', blockNumber, blockHash, transactionHash, transactionIndex, logIndex, address, event, args }
+	- { type: 'block', number, hash }: checkpoint of an indexed block, used to resume and to detect reorgs
+	- { type: 'rollback', blockNumber }: the records of the blocks above blockNumber are void
+	Pools are tracked from the factory's LOG_NEW_POOL events. Their anonymous LOG_CALL events are stored with
+	args { sig, caller, data } and the decoded call { method, args } (see log_call.js). Blocks less than `confirmations` blocks deep are
+	unfinalized: their hashes are checkpointed and checked on every sync, a block whose hash changed is rolled
+	back with all the blocks above it, which are then indexed again.
+*/
+
+const POOL_EVENTS = [
+	'LOG_SWAP', 'LOG_JOIN', 'LOG_EXIT', 'LOG_CALL', 'LOG_NEW_CONTROLLER', 'LOG_NEW_ORACLE_STATE'
+];
+const FACTORY_EVENTS = ['LOG_NEW_POOL', 'LOG_NEW_SWAAPLABS', 'LOG_TRANSFER_REQUESTED'];
+
+// in-memory view of the records of a JSON-lines file, rollbacks applied
+class EventStore {
+
+	constructor(file) {
+		this.file = file;
+		this.events = [];
+		// block number --> hash
+		this.blocks = new Map();
+		this.lastBlock = null;
+		if (fs.existsSync(file)) {
+			fs.readFileSync(file, 'utf8')
+				.split('\n')
+				.filter(line => line.length > 0)
+				.forEach(line => this._apply(JSON.parse(line)));
+		}
+	}
+
+	_apply(record) {
+		if (record.type == 'event') {
+			this.events.push(record);
+		} else if (record.type == 'block') {
+			this.blocks.set(record.number, record.hash);
+			this.lastBlock = Math.max(this.lastBlock === null ? record.number : this.lastBlock, record.number);
+		} else if (record.type == 'rollback') {
+			this.events = this.events.filter(e => e.blockNumber <= record.blockNumber);
+			[...this.blocks.keys()]
+				.filter(number => number > record.blockNumber)
+				.forEach(number => this.blocks.delete(number));
+			this.lastBlock = this.blocks.size == 0 ? null : Math.max(...this.blocks.keys());
+		} else {
+			throw new Error(`Unknown record type: ${record.type}`);
+		}
+	}
+
+	append(records) {
+		if (records.length == 0) {
+			return;
+		}
+		fs.mkdirSync(path.dirname(this.file), { recursive: true });
+		fs.appendFileSync(this.file, records.map(record => JSON.stringify(record) + '\n').join(''));
+		records.forEach(record => this._apply(record));
+	}
+
+	rollback(blockNumber) {
+		this.append([{ type: 'rollback', blockNumber }]);
+	}
+
+	// addresses of the pools deployed by the factory
+	getPools() {
+		return this.events.filter(e => e.event == 'LOG_NEW_POOL').map(e => e.args.pool.toLowerCase());
+	}
+
+}
+
+// event signature hash --> event ABI, for the non anonymous events among names
+function getEventsByTopic(abi, names, web3Instance) {
+	return new Map(abi
+		.filter(item => item.type == 'event' && !item.anonymous && names.includes(item.name))
+		.map(item => [web3Instance.eth.abi.encodeEventSignature(item), item]));
+}
+
+// named arguments only, as strings
+function decodeEventArgs(eventAbi, log, web3Instance) {
+	const decoded = web3Instance.eth.abi.decodeLog(eventAbi.inputs, log.data, log.topics.slice(1));
+	return Object.fromEntries(eventAbi.inputs.map(input => [input.name, decoded[input.name].toString()]));
+}
+
+class Indexer {
+
+	/*
+		options:
+		- web3: web3 instance connected to the node (defaults to the global one)
+		- store: EventStore
+		- factory: address of the factory
+		- factoryAbi, poolAbi: ABIs of the Factory and Pool contracts (e.g. the truffle artifacts' abi)
+		- fromBlock: first block to index when the store is empty (0 by default)
+		- confirmations: depth from which a block is considered final (12 by default)
+		- batchSize: number of blocks per eth_getLogs call (1000 by default)
+	*/
+	constructor(options) {
+		this.web3 = options.web3 || global.web3;
+		this.store = options.store;
+		this.factory = options.factory.toLowerCase();
+		this.fromBlock = options.fromBlock || 0;
+		this.confirmations = options.confirmations === undefined ? 12 : options.confirmations;
+		this.batchSize = options.batchSize || 1000;
+		this.factoryEvents = getEventsByTopic(options.factoryAbi, FACTORY_EVENTS, this.web3);
+		this.poolEvents = getEventsByTopic(options.poolAbi, POOL_EVENTS, this.web3);
+		this.poolFunctions = getFunctionsBySelector(options.poolAbi, this.web3);
+	}
+
+	_decodeLogCall(log) {
+		const call = decodeLogCall(log, this.poolFunctions, this.web3);
+		return call === null ? null : {
+			event: 'LOG_CALL',
+			args: { sig: call.sig, caller: call.caller, data: call.calldata },
+			call: { method: call.method, args: call.args }
+		};
+	}
+
+	_decode(log) {
+		const address = log.address.toLowerCase();
+		const events = address == this.factory ? this.factoryEvents : this.poolEvents;
+		const eventAbi = events.get(log.topics[0]);
+		let decoded;
+		if (eventAbi !== undefined) {
+			decoded = { event: eventAbi.name, args: decodeEventArgs(eventAbi, log, this.web3) };
+		} else if (address != this.factory) {
+			decoded = this._decodeLogCall(log);
+		}
+		if (!decoded) {
+			return null;
+		}
+		return {
+			type: 'event',
+			blockNumber: Number(log.blockNumber),
+			blockHash: log.blockHash,
+			transactionHash: log.transactionHash,
+			transactionIndex: Number(log.transactionIndex),
+			logIndex: Number(log.logIndex),
+			address,
+			...decoded
+		};
+	}
+
+	async _getEvents(addresses, fromBlock, toBlock) {
+		if (addresses.length == 0) {
+			return [];
+		}
+		const logs = await this.web3.eth.getPastLogs({ fromBlock, toBlock, address: addresses });
+		return logs.map(log => this._decode(log)).filter(e => e !== null);
+	}
+
+	// hash of the block on the node, null if the node does not have it anymore
+	async _getBlockHash(number) {
+		const block = await this.web3.eth.getBlock(number);
+		return block === null ? null : block.hash;
+	}
+
+	/*
+		Rolls back the unfinalized blocks whose hash changed and all the blocks above them.
+		Returns the number of the last block still indexed, null if none is.
+	*/
+	async _handleReorg() {
+		const checkpoints = [...this.store.blocks.entries()].sort(([a], [b]) => b - a);
+		for (const [number, hash] of checkpoints) {
+			if (await this._getBlockHash(number) == hash) {
+				if (number < this.store.lastBlock) {
+					this.store.rollback(number);
+				}
+				return number;
+			}
+		}
+		if (checkpoints.length > 0) {
+			// not even the oldest checkpoint is on the chain anymore (e.g. a new local chain): starts over
+			this.store.rollback(this.fromBlock - 1);
+		}
+		return null;
+	}
+
+	/*
+		Indexes the blocks from the last indexed one to toBlock (the node's latest block by default),
+		after rolling back the reorganized blocks. Returns { fromBlock, toBlock, events } with the number of
+		new events, fromBlock > toBlock when there was nothing to index.
+	*/
+	async sync(toBlock) {
+		const lastBlock = await this._handleReorg();
+		const latest = Number(await this.web3.eth.getBlockNumber());
+		toBlock = toBlock === undefined ? latest : Math.min(Number(toBlock), latest);
+		const fromBlock = lastBlock === null ? this.fromBlock : lastBlock + 1;
+
+		let count = 0;
+		for (let start = fromBlock; start <= toBlock; start += this.batchSize) {
+			const end = Math.min(start + this.batchSize - 1, toBlock);
+			const known = this.store.getPools();
+			const events = await this._getEvents([this.factory, ...known], start, end);
+			// pools deployed in this range may already have events in it
+			const newPools = events
+				.filter(e => e.event == 'LOG_NEW_POOL')
+				.map(e => e.args.pool.toLowerCase())
+				.filter(pool => !known.includes(pool));
+			events.push(...await this._getEvents(newPools, start, end));
+			events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+			const checkpoints = [];
+			for (let number = Math.max(start, latest - this.confirmations + 1); number <= end; number++) {
+				checkpoints.push({ type: 'block', number, hash: await this._getBlockHash(number) });
+			}
+			if (checkpoints.length == 0 || checkpoints[checkpoints.length - 1].number != end) {
+				checkpoints.push({ type: 'block', number: end, hash: await this._getBlockHash(end) });
+			}
+			this.store.append([...events, ...checkpoints]);
+			count += events.length;
+		}
+		return { fromBlock, toBlock, events: count };
+	}
+
+}
+
+module.exports = {
+    POOL_EVENTS,
+    FACTORY_EVENTS,
+    getEventsByTopic,
+    decodeEventArgs,
+    EventStore,
+    Indexer
+};
@@ -0,0 +1,84 @@
+/*
+	Safe limits for swapExactAmountInMMM / swapExactAmountOutMMM given a quote (see Quoter), BigInts in wei.
+	The pool checks:
+	- spotPriceBefore <= maxPrice (BAD_LIMIT_PRICE): the spot price after the swap is not bounded by maxPrice,
+	it is the amount limit that bounds the execution price
+	- amountOut >= minAmountOut (LIMIT_OUT) / amountIn <= maxAmountIn (LIMIT_IN)
+	- amountIn <= balanceIn * MAX_IN_RATIO (MAX_IN_RATIO) / amountOut <= balanceOut * MAX_OUT_RATIO (MAX_OUT_RATIO)
+	Slippage tolerances are in basis points.
+*/
+
+const BPS = 10000n;
+const DEFAULT_SLIPPAGE_BPS = 50n;
+
+function _slippageBps(slippageBps) {
+	slippageBps = BigInt(slippageBps);
+	if (slippageBps < 0n || slippageBps > BPS) {
+		throw new Error(`Slippage out of [0, ${BPS}] bps: ${slippageBps}`);
+	}
+	return slippageBps;
+}
+
+// the spot price may rise by slippageBps before the swap is mined
+function getMaxPrice(spotPriceBefore, slippageBps) {
+	return BigInt(spotPriceBefore) * (BPS + _slippageBps(slippageBps)) / BPS;
+}
+
+// rounded down
+function getMinAmountOut(amountOut, slippageBps) {
+	return BigInt(amountOut) * (BPS - _slippageBps(slippageBps)) / BPS;
+}
+
+// rounded up
+function getMaxAmountIn(amountIn, slippageBps) {
+	return (BigInt(amountIn) * (BPS + _slippageBps(slippageBps)) + BPS - 1n) / BPS;
+}
+
+// quote: result of Quoter.getAmountOutGivenInMMM, returns { minAmountOut, maxPrice }
+function getSwapExactAmountInLimits(quote, slippageBps) {
+	return {
+		minAmountOut: getMinAmountOut(quote.swapResult.amount, slippageBps),
+		maxPrice: getMaxPrice(quote.priceResult.spotPriceBefore, slippageBps)
+	};
+}
+
+// quote: result of Quoter.getAmountInGivenOutMMM, returns { maxAmountIn, maxPrice }
+function getSwapExactAmountOutLimits(quote, slippageBps) {
+	return {
+		maxAmountIn: getMaxAmountIn(quote.swapResult.amount, slippageBps),
+		maxPrice: getMaxPrice(quote.priceResult.spotPriceBefore, slippageBps)
+	};
+}
+
+/*
+	Quotes a swap with the quoter and returns the arguments to send with it.
+	method: 'swapExactAmountInMMM' (amount being the amount in) or 'swapExactAmountOutMMM' (the amount out)
+	options: { slippageBps (DEFAULT_SLIPPAGE_BPS by default), oracleAgeToleranceInSec }
+	Returns { quote, minAmountOut or maxAmountIn, maxPrice, deadline, maxTrade: { amountIn, amountOut } }
+	(see Quoter.getOracleDeadline and Quoter.getMaxTradeAmounts); throws the pool's error if the quote itself
+	fails (e.g. MAX_IN_RATIO beyond maxTrade).
+*/
+function getSafeLimits(quoter, method, tokenIn, amount, tokenOut, options = {}) {
+	const { slippageBps = DEFAULT_SLIPPAGE_BPS, oracleAgeToleranceInSec } = options;
+	const maxTrade = quoter.getMaxTradeAmounts(tokenIn, tokenOut);
+	const deadline = quoter.getOracleDeadline(tokenIn, tokenOut, oracleAgeToleranceInSec);
+	if (method == 'swapExactAmountInMMM') {
+		const quote = quoter.getAmountOutGivenInMMM(tokenIn, amount, tokenOut);
+		return { quote, ...getSwapExactAmountInLimits(quote, slippageBps), deadline, maxTrade };
+	}
+	if (method == 'swapExactAmountOutMMM') {
+		const quote = quoter.getAmountInGivenOutMMM(tokenIn, 2n ** 256n - 1n, tokenOut, amount);
+		return { quote, ...getSwapExactAmountOutLimits(quote, slippageBps), deadline, maxTrade };
+	}
+	throw new Error(`Unknown swap method: ${method}`);
+}
+
+module.exports = {
+    DEFAULT_SLIPPAGE_BPS,
+    getMaxPrice,
+    getMinAmountOut,
+    getMaxAmountIn,
+    getSwapExactAmountInLimits,
+    getSwapExactAmountOutLimits,
+    getSafeLimits
+};
@@ -0,0 +1,101 @@
+/*
+	Decoder of the pools' anonymous LOG_CALL(bytes4 indexed sig, address indexed caller, bytes data) event,
+	emitted with the whole calldata by the functions using the _logs_ modifier (controller settings, bindMMM,
+	finalize, joins, exits and swaps). Having no topic0, it is recognized by its layout:
+	- 2 topics: the selector left-aligned on 32 bytes, then the caller left-padded on 32 bytes
+	- data: the ABI encoding of the calldata, which starts with the selector
+*/
+
+const SELECTOR_PADDING = '0'.repeat(56);
+const ADDRESS_PADDING = '0'.repeat(24);
+
+// selector (0x-prefixed, lower case) --> function ABI, for the functions of a contract ABI (e.g. Pool.abi)
+function getFunctionsBySelector(abi, web3Instance = global.web3) {
+	return new Map(abi
+		.filter(item => item.type == 'function')
+		.map(item => [web3Instance.eth.abi.encodeFunctionSignature(item), item]));
+}
+
+// the calldata carried by a LOG_CALL log, null if the log does not have LOG_CALL's layout
+function _getCalldata(log) {
+	if (log.topics.length != 2) {
+		return null;
+	}
+	const [sigTopic, callerTopic] = log.topics.map(topic => topic.toLowerCase());
+	if (!sigTopic.endsWith(SELECTOR_PADDING) || !callerTopic.startsWith('0x' + ADDRESS_PADDING)) {
+		return null;
+	}
+	const data = log.data.startsWith('0x') ? log.data.slice(2) : log.data;
+	// offset (0x20), length, then the calldata
+	if (data.length < 128 || BigInt('0x' + data.slice(0, 64)) != 32n) {
+		return null;
+	}
+	const length = Number(BigInt('0x' + data.slice(64, 128)));
+	const calldata = '0x' + data.slice(128, 128 + 2 * length);
+	if (calldata.length != 2 + 2 * length || calldata.slice(0, 10) != sigTopic.slice(0, 10)) {
+		return null;
+	}
+	return calldata;
+}
+
+function isLogCall(log) {
+	return _getCalldata(log) !== null;
+}
+
+// named arguments as strings, arrays of strings for the array arguments
+function _toArgs(inputs, decoded) {
+	const format = value => Array.isArray(value) ? value.map(format) : value.toString();
+	return Object.fromEntries(inputs.map((input, i) => [input.name || `${i}`, format(decoded[i])]));
+}
+
+/*
+	Decodes a LOG_CALL log (as returned by web3's getPastLogs or in a receipt's raw logs).
+	Returns { sig, caller, method, args, calldata }, method and args being null for a selector missing from
+	functionsBySelector; null if the log is not a LOG_CALL.
+*/
+function decodeLogCall(log, functionsBySelector, web3Instance = global.web3) {
+	const calldata = _getCalldata(log);
+	if (calldata === null) {
+		return null;
+	}
+	const sig = calldata.slice(0, 10);
+	const caller = web3Instance.utils.toChecksumAddress('0x' + log.topics[1].slice(26));
+	const functionAbi = functionsBySelector.get(sig);
+	if (functionAbi === undefined) {
+		return { sig, caller, method: null, args: null, calldata };
+	}
+	const decoded = web3Instance.eth.abi.decodeParameters(functionAbi.inputs, '0x' + calldata.slice(10));
+	return { sig, caller, method: functionAbi.name, args: _toArgs(functionAbi.inputs, decoded), calldata };
+}
+
+/*
+	Audit trail of the calls received by pools: every LOG_CALL they emitted between fromBlock and toBlock,
+	in chain order, as { blockNumber, transactionHash, logIndex, pool, sig, caller, method, args, calldata }.
+	options: { web3, poolAbi, fromBlock (0 by default), toBlock ('latest' by default), methods }, methods
+	restricting the trail to some functions (e.g. ['setSwapFee', 'bindMMM']).
+*/
+async function readAuditTrail(pools, options) {
+	const { web3: web3Instance = global.web3, poolAbi, fromBlock = 0, toBlock = 'latest', methods } = options;
+	const functionsBySelector = getFunctionsBySelector(poolAbi, web3Instance);
+	const logs = await web3Instance.eth.getPastLogs({ fromBlock, toBlock, address: pools });
+	return logs
+		.map(log => {
+			const call = decodeLogCall(log, functionsBySelector, web3Instance);
+			return call === null ? null : {
+				blockNumber: Number(log.blockNumber),
+				transactionHash: log.transactionHash,
+				logIndex: Number(log.logIndex),
+				pool: log.address,
+				...call
+			};
+		})
+		.filter(call => call !== null && (methods === undefined || methods.includes(call.method)))
+		.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+module.exports = {
+    getFunctionsBySelector,
+    isLogCall,
+    decodeLogCall,
+    readAuditTrail
+};
@@ -0,0 +1,208 @@
+const { Err, formatSwaapError } = require('./errors');
+
+// BigInt port of LogExpMath.sol, all arguments and results are 18 decimal fixed point numbers
+
+const ONE_18 = 10n ** 18n;
+const ONE_20 = 10n ** 20n;
+const ONE_36 = 10n ** 36n;
+
+const MAX_NATURAL_EXPONENT = 130n * ONE_18;
+const MIN_NATURAL_EXPONENT = -41n * ONE_18;
+
+const LN_36_LOWER_BOUND = ONE_18 - 10n ** 17n;
+const LN_36_UPPER_BOUND = ONE_18 + 10n ** 17n;
+
+const MILD_EXPONENT_BOUND = 2n ** 254n / ONE_20;
+
+// 18 decimal constants
+const x0 = 128000000000000000000n; // 2ˆ7
+const a0 = 38877084059945950922200000000000000000000000000000000000n; // eˆ(x0) (no decimals)
+const x1 = 64000000000000000000n; // 2ˆ6
+const a1 = 6235149080811616882910000000n; // eˆ(x1) (no decimals)
+
+// 20 decimal constants: [x_n, eˆ(x_n)] for n = 2..11
+const X_A = [
+	[3200000000000000000000n, 7896296018268069516100000000000000n],
+	[1600000000000000000000n, 888611052050787263676000000n],
+	[800000000000000000000n, 298095798704172827474000n],
+	[400000000000000000000n, 5459815003314423907810n],
+	[200000000000000000000n, 738905609893065022723n],
+	[100000000000000000000n, 271828182845904523536n],
+	[50000000000000000000n, 164872127070012814685n],
+	[25000000000000000000n, 128402541668774148407n],
+	[12500000000000000000n, 113314845306682631683n],
+	[6250000000000000000n, 106449445891785942956n]
+];
+
+function _require(condition, errorCode) {
+	if (!condition) {
+		throw new Error(formatSwaapError(errorCode));
+	}
+}
+
+// x^y with unsigned 18 decimal fixed point base and exponent
+function pow(x, y) {
+	x = BigInt(x);
+	y = BigInt(y);
+	if (y == 0n) {
+		return ONE_18;
+	}
+	if (x == 0n) {
+		return 0n;
+	}
+
+	_require(x < 2n ** 255n, Err.X_OUT_OF_BOUNDS);
+	_require(y < MILD_EXPONENT_BOUND, Err.Y_OUT_OF_BOUNDS);
+
+	let logxTimesY;
+	if (LN_36_LOWER_BOUND < x && x < LN_36_UPPER_BOUND) {
+		const ln36X = _ln36(x);
+		// 2 multiplications with 18 decimals so that the 36 decimals product does not overflow
+		logxTimesY = (ln36X / ONE_18) * y + ((ln36X % ONE_18) * y) / ONE_18;
+	} else {
+		logxTimesY = _ln(x) * y;
+	}
+	logxTimesY /= ONE_18;
+
+	_require(
+		MIN_NATURAL_EXPONENT <= logxTimesY && logxTimesY <= MAX_NATURAL_EXPONENT,
+		Err.PRODUCT_OUT_OF_BOUNDS
+	);
+
+	return exp(logxTimesY);
+}
+
+// e^x with signed 18 decimal fixed point exponent
+function exp(x) {
+	x = BigInt(x);
+	_require(x >= MIN_NATURAL_EXPONENT && x <= MAX_NATURAL_EXPONENT, Err.INVALID_EXPONENT);
+
+	if (x < 0n) {
+		return (ONE_18 * ONE_18) / exp(-x);
+	}
+
+	let firstAN;
+	if (x >= x0) {
+		x -= x0;
+		firstAN = a0;
+	} else if (x >= x1) {
+		x -= x1;
+		firstAN = a1;
+	} else {
+		firstAN = 1n;
+	}
+
+	// 20 decimals from here
+	x *= 100n;
+
+	let product = ONE_20;
+	// x10 and x11 are not used by exp
+	for (const [xN, aN] of X_A.slice(0, 8)) {
+		if (x >= xN) {
+			x -= xN;
+			product = (product * aN) / ONE_20;
+		}
+	}
+
+	// 12 Taylor terms
+	let seriesSum = ONE_20;
+	let term = x;
+	seriesSum += term;
+	for (let n = 2n; n <= 12n; n++) {
+		term = ((term * x) / ONE_20) / n;
+		seriesSum += term;
+	}
+
+	return (((product * seriesSum) / ONE_20) * firstAN) / 100n;
+}
+
+// log(arg, base) with signed 18 decimal fixed point base and argument
+function log(arg, base) {
+	arg = BigInt(arg);
+	base = BigInt(base);
+
+	const logBase = LN_36_LOWER_BOUND < base && base < LN_36_UPPER_BOUND ? _ln36(base) : _ln(base) * ONE_18;
+	const logArg = LN_36_LOWER_BOUND < arg && arg < LN_36_UPPER_BOUND ? _ln36(arg) : _ln(arg) * ONE_18;
+
+	if (logBase == 0n) {
+		throw new Error('Panic: division by zero');
+	}
+	return (logArg * ONE_18) / logBase;
+}
+
+// ln(a) with signed 18 decimal fixed point argument
+function ln(a) {
+	a = BigInt(a);
+	_require(a > 0n, Err.OUT_OF_BOUNDS);
+	if (LN_36_LOWER_BOUND < a && a < LN_36_UPPER_BOUND) {
+		return _ln36(a) / ONE_18;
+	}
+	return _ln(a);
+}
+
+function _ln(a) {
+	if (a < ONE_18) {
+		return -_ln((ONE_18 * ONE_18) / a);
+	}
+
+	let sum = 0n;
+	if (a >= a0 * ONE_18) {
+		a /= a0;
+		sum += x0;
+	}
+	if (a >= a1 * ONE_18) {
+		a /= a1;
+		sum += x1;
+	}
+
+	// 20 decimals from here
+	sum *= 100n;
+	a *= 100n;
+
+	for (const [xN, aN] of X_A) {
+		if (a >= aN) {
+			a = (a * ONE_20) / aN;
+			sum += xN;
+		}
+	}
+
+	// 6 Taylor terms of ln(a) = 2 * (z + z^3 / 3 + z^5 / 5 + ...), z = (a - 1) / (a + 1)
+	const z = ((a - ONE_20) * ONE_20) / (a + ONE_20);
+	const zSquared = (z * z) / ONE_20;
+	let num = z;
+	let seriesSum = num;
+	for (let n = 3n; n <= 11n; n += 2n) {
+		num = (num * zSquared) / ONE_20;
+		seriesSum += num / n;
+	}
+	seriesSum *= 2n;
+
+	return (sum + seriesSum) / 100n;
+}
+
+// 36 decimal ln(x) for x between LN_36_LOWER_BOUND and LN_36_UPPER_BOUND
+function _ln36(x) {
+	x *= ONE_18;
+
+	// 8 Taylor terms
+	const z = ((x - ONE_36) * ONE_36) / (x + ONE_36);
+	const zSquared = (z * z) / ONE_36;
+	let num = z;
+	let seriesSum = num;
+	for (let n = 3n; n <= 15n; n += 2n) {
+		num = (num * zSquared) / ONE_36;
+		seriesSum += num / n;
+	}
+
+	return seriesSum * 2n;
+}
+
+module.exports = {
+    MAX_NATURAL_EXPONENT,
+    MIN_NATURAL_EXPONENT,
+    MILD_EXPONENT_BOUND,
+    pow,
+    exp,
+    log,
+    ln
+};
@@ -0,0 +1,262 @@
+const Decimal = require('decimal.js');
+
+/*
+	Impermanent loss and loss-versus-rebalancing (LVR) of a pool, from oracle price paths and the pool's history
+	(real, see readTradeHistory, or simulated). Amounts are in token units and values in the oracles' quote
+	currency, as Decimals.
+	history: entries ordered by timestamp, either
+	- a trade: { timestamp, tokenIn, tokenOut, amountIn, amountOut, spread, taxBaseIn }, spread and taxBaseIn as
+	logged by LOG_SWAP (spread as a fraction, taxBaseIn being the amount of tokenIn traded in shortage of tokenOut)
+	- a liquidity change: { timestamp, amounts: { token: signed amount } } (binds, joins, exits, gulps)
+	pricePaths: token --> { rows, decimals }, rows being Chainlink-style rounds { price, timestamp } with prices
+	scaled by decimals (as given by validateHistory, readOracleHistory or generateGBMPath). The price of a token at
+	some time is the price of its latest round at that time.
+	- impermanentLoss: value of the pool minus the value of the tokens it held at the start of the period, had they
+	been held instead (HODL). Liquidity changes scale the HODL portfolio by the value they add or remove, which
+	keeps the comparison per pool share.
+	- netLvr: sum over the trades of the value the pool gave minus the value it got, at the oracle prices of the
+	trade: what the LPs lost to the traders against an oracle-rebalanced portfolio, fees and spreads included
+	- coverageRecovered: value of the coverage spreads paid, estimated by taxBaseIn * spread / (1 + spread): the spread
+	scales the weight of tokenOut rather than the price, so this is a first-order estimate, close for small trades
+	- lvr: the loss the LPs would have had without the coverage spreads, netLvr + coverageRecovered
+*/
+
+function _pricePoints(token, { rows, decimals }) {
+	const scale = Decimal(10).pow(decimals);
+	const points = rows
+		.filter(row => row.price !== null && row.price !== undefined && Decimal(row.price).gt(0))
+		.map(row => ({ timestamp: Number(row.timestamp), price: Decimal(row.price).div(scale) }))
+		.sort((a, b) => a.timestamp - b.timestamp);
+	return timestamp => {
+		let low = 0;
+		let high = points.length;
+		while (low < high) {
+			const middle = (low + high) >> 1;
+			if (points[middle].timestamp <= timestamp) {
+				low = middle + 1;
+			} else {
+				high = middle;
+			}
+		}
+		if (low == 0) {
+			throw new Error(`No price of ${token} at ${timestamp}`);
+		}
+		return points[low - 1].price;
+	};
+}
+
+// pair of tokens, regardless of the trade's direction
+function _pairKey(tokenA, tokenB) {
+	return tokenA < tokenB ? `${tokenA}/${tokenB}` : `${tokenB}/${tokenA}`;
+}
+
+function _newTradeStats() {
+	return {
+		trades: 0,
+		volume: Decimal(0),
+		netLvr: Decimal(0),
+		coverageRecovered: Decimal(0)
+	};
+}
+
+function _addTrade(stats, { volume, netLvr, coverageRecovered }) {
+	stats.trades++;
+	stats.volume = stats.volume.add(volume);
+	stats.netLvr = stats.netLvr.add(netLvr);
+	stats.coverageRecovered = stats.coverageRecovered.add(coverageRecovered);
+}
+
+// adds lvr = netLvr + coverageRecovered and the part of it recovered (null when the pool lost nothing)
+function _withLvr(stats) {
+	const lvr = stats.netLvr.add(stats.coverageRecovered);
+	return { ...stats, lvr, recoveredRatio: lvr.gt(0) ? stats.coverageRecovered.div(lvr) : null };
+}
+
+function _copy(amounts) {
+	return Object.fromEntries(Object.entries(amounts).map(([token, amount]) => [token, Decimal(amount)]));
+}
+
+/*
+	Analyzes the history between options.start and options.end (its first and last timestamps by default), cut
+	into periods of options.period seconds (a single period by default); the last period includes its end.
+	Returns { total, periods }, each being { start, end, poolValueStart, poolValueEnd, hodlValueEnd,
+	impermanentLoss, impermanentLossRatio, trades, volume, netLvr, coverageRecovered, lvr, recoveredRatio, pairs }
+	with impermanentLossRatio = impermanentLoss / hodlValueEnd, volume being the value of the amounts in and pairs
+	mapping 'tokenA/tokenB' to the trade statistics of the pair.
+*/
+function analyzeHistory(history, pricePaths, options = {}) {
+	if (history.length == 0) {
+		throw new Error('Empty history');
+	}
+	const prices = Object.fromEntries(Object.entries(pricePaths).map(([token, path]) => [token, _pricePoints(token, path)]));
+	const priceOf = (token, timestamp) => {
+		if (prices[token] === undefined) {
+			throw new Error(`No price path for ${token}`);
+		}
+		return prices[token](timestamp);
+	};
+	const valueOf = (amounts, timestamp) => Object.entries(amounts)
+		.filter(([, amount]) => !Decimal(amount).isZero())
+		.reduce((acc, [token, amount]) => acc.add(Decimal(amount).mul(priceOf(token, timestamp))), Decimal(0));
+
+	const start = options.start === undefined ? history[0].timestamp : options.start;
+	const end = options.end === undefined ? history[history.length - 1].timestamp : options.end;
+	const period = options.period || Math.max(end - start, 1);
+
+	const balances = {};
+	// HODL portfolios, of the whole range and of the current period
+	const hodls = { total: {}, period: {} };
+	const apply = entry => {
+		if (entry.amounts === undefined) {
+			const amountIn = Decimal(entry.amountIn);
+			const amountOut = Decimal(entry.amountOut);
+			const spread = Decimal(entry.spread || 0);
+			balances[entry.tokenIn] = Decimal(balances[entry.tokenIn] || 0).add(amountIn);
+			balances[entry.tokenOut] = Decimal(balances[entry.tokenOut] || 0).sub(amountOut);
+			const priceIn = priceOf(entry.tokenIn, entry.timestamp);
+			const volume = amountIn.mul(priceIn);
+			return {
+				volume,
+				netLvr: amountOut.mul(priceOf(entry.tokenOut, entry.timestamp)).sub(volume),
+				coverageRecovered: Decimal(entry.taxBaseIn || 0).mul(spread).div(spread.add(1)).mul(priceIn)
+			};
+		}
+		const poolValue = valueOf(balances, entry.timestamp);
+		const ratio = poolValue.isZero() ? null : valueOf(entry.amounts, entry.timestamp).div(poolValue).add(1);
+		for (const [key, hodl] of Object.entries(hodls)) {
+			// the first liquidity is the HODL portfolio itself
+			hodls[key] = ratio === null
+				? { ..._copy(hodl), ..._copy(entry.amounts) }
+				: Object.fromEntries(Object.entries(hodl).map(([token, amount]) => [token, amount.mul(ratio)]));
+		}
+		Object.entries(entry.amounts).forEach(([token, amount]) => {
+			balances[token] = Decimal(balances[token] || 0).add(amount);
+		});
+		return null;
+	};
+
+	let index = 0;
+	while (index < history.length && history[index].timestamp < start) {
+		apply(history[index++]);
+	}
+	hodls.total = _copy(balances);
+
+	const report = (periodStart, periodEnd, hodl, poolValueStart, stats, pairs) => {
+		const poolValueEnd = valueOf(balances, periodEnd);
+		const hodlValueEnd = valueOf(hodl, periodEnd);
+		const impermanentLoss = poolValueEnd.sub(hodlValueEnd);
+		return {
+			start: periodStart,
+			end: periodEnd,
+			poolValueStart,
+			poolValueEnd,
+			hodlValueEnd,
+			impermanentLoss,
+			impermanentLossRatio: hodlValueEnd.isZero() ? null : impermanentLoss.div(hodlValueEnd),
+			..._withLvr(stats),
+			pairs: Object.fromEntries(Object.entries(pairs).map(([pair, pairStats]) => [pair, _withLvr(pairStats)]))
+		};
+	};
+
+	const totalValueStart = valueOf(balances, start);
+	const totalStats = _newTradeStats();
+	const totalPairs = {};
+	const periods = [];
+	for (let periodStart = start; periodStart < end || periods.length == 0; periodStart += period) {
+		const periodEnd = Math.min(periodStart + period, end);
+		const isLast = periodEnd >= end;
+		hodls.period = _copy(balances);
+		const poolValueStart = valueOf(balances, periodStart);
+		const stats = _newTradeStats();
+		const pairs = {};
+		while (index < history.length
+			&& (history[index].timestamp < periodEnd || (isLast && history[index].timestamp <= periodEnd))) {
+			const entry = history[index++];
+			const trade = apply(entry);
+			if (trade !== null) {
+				const pair = _pairKey(entry.tokenIn, entry.tokenOut);
+				pairs[pair] = pairs[pair] || _newTradeStats();
+				totalPairs[pair] = totalPairs[pair] || _newTradeStats();
+				[stats, pairs[pair], totalStats, totalPairs[pair]].forEach(s => _addTrade(s, trade));
+			}
+		}
+		periods.push(report(periodStart, periodEnd, hodls.period, poolValueStart, stats, pairs));
+	}
+
+	return {
+		total: report(start, end, hodls.total, totalValueStart, totalStats, totalPairs),
+		periods
+	};
+}
+
+/*
+	History of a pool (see analyzeHistory) from its PoolReplayer: its swaps and the changes of its balances made
+	by anything else, timestamped with their block's timestamp.
+	The swap's kind is the method of the LOG_CALL the pool logs before its LOG_SWAP. The tax bases are converted
+	to tokenIn units: the exact-out swaps from shortage to shortage log their amount out (see
+	Math.calcInGivenOutMMM), told from the exact-out swaps from abundance to shortage by their tax base being
+	their amount out, and it is converted at the trade's price.
+	options: { web3, tokenDecimals (token --> decimals) }
+*/
+async function readTradeHistory(replayer, options) {
+	const { web3: web3Instance = global.web3, tokenDecimals } = options;
+	const toUnits = (amount, token) => Decimal(amount.toString()).div(Decimal(10).pow(tokenDecimals[token]));
+
+	const entries = [];
+	let balances = {};
+	let lastCall = null;
+	replayer.replay((event, state) => {
+		const { args } = event;
+		if (event.event == 'LOG_CALL') {
+			lastCall = event;
+		}
+		if (event.event == 'LOG_SWAP') {
+			if (lastCall === null || lastCall.transactionHash != event.transactionHash) {
+				throw new Error(`No LOG_CALL before the swap of ${event.transactionHash}`);
+			}
+			const amountIn = BigInt(args.tokenAmountIn);
+			const amountOut = BigInt(args.tokenAmountOut);
+			let taxBaseIn = BigInt(args.taxBaseIn);
+			if (lastCall.call.method == 'swapExactAmountOutMMM' && taxBaseIn == amountOut && amountOut > 0n) {
+				taxBaseIn = taxBaseIn * amountIn / amountOut;
+			}
+			entries.push({
+				blockNumber: event.blockNumber,
+				tokenIn: args.tokenIn,
+				tokenOut: args.tokenOut,
+				amountIn: toUnits(amountIn, args.tokenIn),
+				amountOut: toUnits(amountOut, args.tokenOut),
+				spread: Decimal(args.spread).div(1e18),
+				taxBaseIn: toUnits(taxBaseIn, args.tokenIn)
+			});
+		} else {
+			const amounts = {};
+			const tokens = new Set([...Object.keys(balances), ...state.tokens]);
+			for (const token of tokens) {
+				const balance = state.records[token] === undefined ? 0n : state.records[token].balance;
+				if (balance != (balances[token] || 0n)) {
+					amounts[token] = toUnits(balance - (balances[token] || 0n), token);
+				}
+			}
+			if (Object.keys(amounts).length > 0) {
+				entries.push({ blockNumber: event.blockNumber, amounts });
+			}
+		}
+		balances = Object.fromEntries(state.tokens.map(token => [token, state.records[token].balance]));
+	});
+
+	const timestamps = new Map();
+	for (const entry of entries) {
+		if (!timestamps.has(entry.blockNumber)) {
+			const block = await web3Instance.eth.getBlock(entry.blockNumber);
+			timestamps.set(entry.blockNumber, Number(block.timestamp));
+		}
+		entry.timestamp = timestamps.get(entry.blockNumber);
+	}
+	return entries;
+}
+
+module.exports = {
+    analyzeHistory,
+    readTradeHistory
+};
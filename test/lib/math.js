@@ -0,0 +1,372 @@
+const num = require('./num');
+const logExpMath = require('./log_exp_math');
+const gbmOracle = require('./geometric_brownian_motion_oracle');
+const { getTokenRelativePrice, getMaxRelativePriceInLastBlock } = require('./chainlink_utils');
+
+/*
+	BigInt port of the swap functions of Math.sol, results in wei as returned by the contracts.
+	A token global is { info: { decimals, balance, weight }, latestRound }, latestRound being as in
+	geometric_brownian_motion_oracle.js. hpParameters.timestamp stands for block.timestamp.
+*/
+
+// checked uint256 subtraction of solidity >= 0.8
+function _sub(a, b) {
+	const c = BigInt(a) - BigInt(b);
+	if (c < 0n) {
+		throw new Error('Panic: arithmetic overflow or underflow');
+	}
+	return c;
+}
+
+function calcSpotPrice(tokenBalanceIn, tokenWeightIn, tokenBalanceOut, tokenWeightOut, swapFee = 0n) {
+	const numer = num.mul(tokenBalanceIn, tokenWeightOut);
+	const denom = num.mul(num.mul(tokenBalanceOut, tokenWeightIn), _sub(num.ONE, swapFee));
+	return num.div(numer, denom);
+}
+
+function calcOutGivenIn(tokenBalanceIn, tokenWeightIn, tokenBalanceOut, tokenWeightOut, tokenAmountIn, swapFee) {
+	const weightRatio = num.div(tokenWeightIn, tokenWeightOut);
+	const adjustedIn = num.mul(tokenAmountIn, _sub(num.ONE, swapFee));
+	const y = num.div(tokenBalanceIn, BigInt(tokenBalanceIn) + adjustedIn);
+	const foo = num.pow(y, weightRatio);
+	const bar = _sub(num.ONE, foo);
+	return num.mul(tokenBalanceOut, bar);
+}
+
+function calcInGivenOut(tokenBalanceIn, tokenWeightIn, tokenBalanceOut, tokenWeightOut, tokenAmountOut, swapFee) {
+	const weightRatio = num.div(tokenWeightOut, tokenWeightIn);
+	const diff = _sub(tokenBalanceOut, tokenAmountOut);
+	const y = num.div(tokenBalanceOut, diff);
+	const foo = _sub(num.pow(y, weightRatio), num.ONE);
+	return num.div(num.mul(tokenBalanceIn, foo), _sub(num.ONE, swapFee));
+}
+
+function getLogSpreadFactor(mean, variance, horizon, z) {
+	mean = BigInt(mean);
+	variance = BigInt(variance);
+	if (mean == 0n && variance == 0n) {
+		return 0n;
+	}
+	if (mean < 0n) {
+		mean = -num.mul(-mean, horizon);
+	} else {
+		mean = num.mul(mean, horizon);
+	}
+	let diffusion = 0n;
+	if (variance > 0n) {
+		diffusion = num.mul(
+			z,
+			logExpMath.pow(num.mul(variance, 2n * BigInt(horizon)), num.ONE / 2n)
+		);
+	}
+	return diffusion + mean;
+}
+
+// returns [adjustedWeight, spread]
+function getMMMWeight(shortage, fallbackSpread, tokenWeight, gbmEstimation, gbmParameters) {
+	fallbackSpread = BigInt(fallbackSpread);
+	if (!gbmEstimation.success) {
+		if (shortage) {
+			return [num.mul(tokenWeight, num.ONE + fallbackSpread), fallbackSpread];
+		}
+		return [num.div(tokenWeight, num.ONE + fallbackSpread), fallbackSpread];
+	}
+
+	if (BigInt(gbmParameters.horizon) == 0n) {
+		return [BigInt(tokenWeight), 0n];
+	}
+
+	const logSpreadFactor = getLogSpreadFactor(
+		gbmEstimation.mean, gbmEstimation.variance,
+		gbmParameters.horizon, gbmParameters.z
+	);
+	if (logSpreadFactor <= 0n) {
+		return [BigInt(tokenWeight), 0n];
+	}
+	const spreadFactor = logExpMath.exp(logSpreadFactor);
+	// if spread < 1 --> rounding error --> set to 1
+	if (spreadFactor <= num.ONE) {
+		return [BigInt(tokenWeight), 0n];
+	}
+
+	const spread = spreadFactor - num.ONE;
+	if (shortage) {
+		return [num.mul(tokenWeight, spreadFactor), spread];
+	}
+	return [num.div(tokenWeight, spreadFactor), spread];
+}
+
+function getTokenBalanceAtEquilibrium(tokenBalance1, tokenWeight1, tokenBalance2, tokenWeight2, relativePrice) {
+	const weightSum = BigInt(tokenWeight1) + BigInt(tokenWeight2);
+	let foo = num.mul(relativePrice, num.div(tokenWeight1, tokenWeight2));
+	foo = num.mul(foo, tokenBalance2);
+	return num.mul(
+		logExpMath.pow(foo, num.div(tokenWeight2, weightSum)),
+		logExpMath.pow(tokenBalance1, num.div(tokenWeight1, weightSum))
+	);
+}
+
+function calcAdaptiveFeeGivenInAndOut(
+	tokenBalanceIn, tokenAmountIn, tokenWeightIn,
+	tokenBalanceOut, tokenAmountOut, tokenWeightOut
+) {
+	const weightRatio = num.div(tokenWeightOut, tokenWeightIn);
+	const y = num.div(tokenBalanceOut, _sub(tokenBalanceOut, tokenAmountOut));
+	const foo = num.mul(tokenBalanceIn, num.pow(y, weightRatio));
+
+	const afterSwapTokenInBalance = BigInt(tokenBalanceIn) + BigInt(tokenAmountIn);
+	if (foo > afterSwapTokenInBalance) {
+		return 0n;
+	}
+	return num.div(afterSwapTokenInBalance - foo, tokenAmountIn);
+}
+
+function getAdaptiveFees(
+	tokenGlobalIn, tokenAmountIn, tokenGlobalOut, tokenAmountOut,
+	relativePrice, baseFee, fallbackSpread, blockTimestamp
+) {
+	blockTimestamp = BigInt(blockTimestamp);
+	// we only consider same block as last price update
+	if (
+		BigInt(tokenGlobalIn.latestRound.timestamp) != blockTimestamp
+		&& BigInt(tokenGlobalOut.latestRound.timestamp) != blockTimestamp
+	) {
+		return BigInt(baseFee);
+	}
+	const recentPriceUpperBound = getMaxRelativePriceInLastBlock(
+		tokenGlobalIn.latestRound, tokenGlobalIn.info.decimals, tokenGlobalIn.latestRound.getRoundData,
+		tokenGlobalOut.latestRound, tokenGlobalOut.info.decimals, tokenGlobalOut.latestRound.getRoundData,
+		blockTimestamp
+	);
+	if (recentPriceUpperBound == 0n) {
+		// we were not able to retrieve the previous price
+		return BigInt(fallbackSpread);
+	} else if (recentPriceUpperBound <= BigInt(relativePrice)) {
+		return BigInt(baseFee);
+	}
+
+	return num.min(
+		num.ONE,
+		BigInt(baseFee) + calcAdaptiveFeeGivenInAndOut(
+			tokenGlobalIn.info.balance, tokenAmountIn, tokenGlobalIn.info.weight,
+			tokenGlobalOut.info.balance, tokenAmountOut, tokenGlobalOut.info.weight
+		)
+	);
+}
+
+function _calcOutGivenInMMMAbundance(
+	tokenGlobalIn, tokenGlobalOut, relativePrice, tokenAmountIn, baseFee, fallbackSpread, blockTimestamp
+) {
+	const adaptiveFees = getAdaptiveFees(
+		tokenGlobalIn, tokenAmountIn,
+		tokenGlobalOut, num.div(tokenAmountIn, relativePrice),
+		relativePrice, baseFee, fallbackSpread, blockTimestamp
+	);
+	return calcOutGivenIn(
+		tokenGlobalIn.info.balance, tokenGlobalIn.info.weight,
+		tokenGlobalOut.info.balance, tokenGlobalOut.info.weight,
+		tokenAmountIn, adaptiveFees
+	);
+}
+
+// returns [tokenAmountOut, taxBaseIn]
+function _calcOutGivenInMMMMixed(
+	tokenGlobalIn, tokenGlobalOut, swapParameters, relativePrice,
+	adjustedTokenWeightOut, balanceInAtEquilibrium, blockTimestamp
+) {
+	const tokenInSellAmountForEquilibrium = _sub(balanceInAtEquilibrium, tokenGlobalIn.info.balance);
+	const taxBaseIn = _sub(swapParameters.amount, tokenInSellAmountForEquilibrium);
+
+	// 'abundance of tokenOut' phase --> no spread
+	const tokenAmountOutPart1 = _calcOutGivenInMMMAbundance(
+		tokenGlobalIn, tokenGlobalOut, relativePrice,
+		tokenInSellAmountForEquilibrium, swapParameters.fee, swapParameters.fallbackSpread, blockTimestamp
+	);
+
+	// 'shortage of tokenOut phase' --> apply spread
+	const tokenAmountOutPart2 = calcOutGivenIn(
+		BigInt(tokenGlobalIn.info.balance) + tokenInSellAmountForEquilibrium,
+		tokenGlobalIn.info.weight,
+		_sub(tokenGlobalOut.info.balance, tokenAmountOutPart1),
+		adjustedTokenWeightOut,
+		taxBaseIn,
+		swapParameters.fee
+	);
+
+	return [tokenAmountOutPart1 + tokenAmountOutPart2, taxBaseIn];
+}
+
+/*
+	swapParameters: { amount, fee, fallbackSpread }, gbmParameters: { z, horizon }
+	Returns the swap result { amount, spread, taxBaseIn }.
+*/
+function calcOutGivenInMMM(tokenGlobalIn, tokenGlobalOut, relativePrice, swapParameters, gbmParameters, hpParameters) {
+	const blockTimestamp = hpParameters.timestamp;
+	const amount = BigInt(swapParameters.amount);
+	const balanceIn = BigInt(tokenGlobalIn.info.balance);
+
+	const balanceInAtEquilibrium = getTokenBalanceAtEquilibrium(
+		tokenGlobalIn.info.balance, tokenGlobalIn.info.weight,
+		tokenGlobalOut.info.balance, tokenGlobalOut.info.weight,
+		relativePrice
+	);
+
+	// from abundance of tokenOut to abundance of tokenOut --> no spread
+	if (balanceIn < balanceInAtEquilibrium && amount < balanceInAtEquilibrium - balanceIn) {
+		return {
+			amount: _calcOutGivenInMMMAbundance(
+				tokenGlobalIn, tokenGlobalOut, relativePrice,
+				amount, swapParameters.fee, swapParameters.fallbackSpread, blockTimestamp
+			),
+			spread: 0n,
+			taxBaseIn: 0n
+		};
+	}
+
+	const gbmEstimation = gbmOracle.getParametersEstimation(
+		tokenGlobalIn.latestRound, tokenGlobalOut.latestRound, hpParameters
+	);
+	const [adjustedTokenOutWeight, spread] = getMMMWeight(
+		true, swapParameters.fallbackSpread, tokenGlobalOut.info.weight, gbmEstimation, gbmParameters
+	);
+
+	if (balanceIn >= balanceInAtEquilibrium) {
+		// shortage to shortage
+		return {
+			amount: calcOutGivenIn(
+				tokenGlobalIn.info.balance, tokenGlobalIn.info.weight,
+				tokenGlobalOut.info.balance, adjustedTokenOutWeight,
+				amount, swapParameters.fee
+			),
+			spread,
+			taxBaseIn: amount
+		};
+	}
+	// abundance to shortage
+	const [amountOut, taxBaseIn] = _calcOutGivenInMMMMixed(
+		tokenGlobalIn, tokenGlobalOut, swapParameters, relativePrice,
+		adjustedTokenOutWeight, balanceInAtEquilibrium, blockTimestamp
+	);
+	return { amount: amountOut, spread, taxBaseIn };
+}
+
+function _calcInGivenOutMMMAbundance(
+	tokenGlobalIn, tokenGlobalOut, relativePrice, tokenAmountOut, baseFee, fallbackSpread, blockTimestamp
+) {
+	const adaptiveFees = getAdaptiveFees(
+		tokenGlobalIn, num.mul(tokenAmountOut, relativePrice),
+		tokenGlobalOut, tokenAmountOut,
+		relativePrice, baseFee, fallbackSpread, blockTimestamp
+	);
+	return calcInGivenOut(
+		tokenGlobalIn.info.balance, tokenGlobalIn.info.weight,
+		tokenGlobalOut.info.balance, tokenGlobalOut.info.weight,
+		tokenAmountOut, adaptiveFees
+	);
+}
+
+// returns [tokenAmountIn, taxBaseIn]
+function _calcInGivenOutMMMMixed(
+	tokenGlobalIn, tokenGlobalOut, swapParameters, relativePrice,
+	adjustedTokenWeightOut, balanceOutAtEquilibrium, blockTimestamp
+) {
+	const tokenOutBuyAmountForEquilibrium = _sub(tokenGlobalOut.info.balance, balanceOutAtEquilibrium);
+
+	// 'abundance of tokenOut' phase --> no spread
+	const tokenAmountInPart1 = _calcInGivenOutMMMAbundance(
+		tokenGlobalIn, tokenGlobalOut, relativePrice,
+		tokenOutBuyAmountForEquilibrium, swapParameters.fee, swapParameters.fallbackSpread, blockTimestamp
+	);
+
+	// 'shortage of tokenOut phase' --> apply spread
+	const tokenAmountInPart2 = calcInGivenOut(
+		BigInt(tokenGlobalIn.info.balance) + tokenAmountInPart1,
+		tokenGlobalIn.info.weight,
+		_sub(tokenGlobalOut.info.balance, tokenOutBuyAmountForEquilibrium),
+		adjustedTokenWeightOut,
+		_sub(swapParameters.amount, tokenOutBuyAmountForEquilibrium),
+		swapParameters.fee
+	);
+
+	return [tokenAmountInPart1 + tokenAmountInPart2, tokenAmountInPart2];
+}
+
+// same as calcOutGivenInMMM, swapParameters.amount being the amount of tokenOut
+function calcInGivenOutMMM(tokenGlobalIn, tokenGlobalOut, relativePrice, swapParameters, gbmParameters, hpParameters) {
+	const blockTimestamp = hpParameters.timestamp;
+	const amount = BigInt(swapParameters.amount);
+	const balanceOut = BigInt(tokenGlobalOut.info.balance);
+
+	const balanceOutAtEquilibrium = getTokenBalanceAtEquilibrium(
+		tokenGlobalOut.info.balance, tokenGlobalOut.info.weight,
+		tokenGlobalIn.info.balance, tokenGlobalIn.info.weight,
+		num.div(num.ONE, relativePrice)
+	);
+
+	// from abundance of tokenOut to abundance of tokenOut --> no spread
+	if (balanceOut > balanceOutAtEquilibrium && amount < balanceOut - balanceOutAtEquilibrium) {
+		return {
+			amount: _calcInGivenOutMMMAbundance(
+				tokenGlobalIn, tokenGlobalOut, relativePrice,
+				amount, swapParameters.fee, swapParameters.fallbackSpread, blockTimestamp
+			),
+			spread: 0n,
+			taxBaseIn: 0n
+		};
+	}
+
+	const gbmEstimation = gbmOracle.getParametersEstimation(
+		tokenGlobalIn.latestRound, tokenGlobalOut.latestRound, hpParameters
+	);
+	const [adjustedTokenOutWeight, spread] = getMMMWeight(
+		true, swapParameters.fallbackSpread, tokenGlobalOut.info.weight, gbmEstimation, gbmParameters
+	);
+
+	if (balanceOut <= balanceOutAtEquilibrium) {
+		// shortage to shortage
+		return {
+			amount: calcInGivenOut(
+				tokenGlobalIn.info.balance, tokenGlobalIn.info.weight,
+				tokenGlobalOut.info.balance, adjustedTokenOutWeight,
+				amount, swapParameters.fee
+			),
+			spread,
+			taxBaseIn: amount
+		};
+	}
+	// abundance to shortage
+	const [amountIn, taxBaseIn] = _calcInGivenOutMMMMixed(
+		tokenGlobalIn, tokenGlobalOut, swapParameters, relativePrice,
+		adjustedTokenOutWeight, balanceOutAtEquilibrium, blockTimestamp
+	);
+	return { amount: amountIn, spread, taxBaseIn };
+}
+
+// Math.getPoolTotalValue
+function getPoolTotalValue(quoteToken, baseTokens) {
+	let basesTotalValue = BigInt(quoteToken.info.balance);
+	for (const baseToken of baseTokens) {
+		basesTotalValue += num.mul(
+			baseToken.info.balance,
+			getTokenRelativePrice(
+				quoteToken.latestRound.price, quoteToken.info.decimals,
+				baseToken.latestRound.price, baseToken.info.decimals
+			)
+		);
+	}
+	return basesTotalValue;
+}
+
+module.exports = {
+    calcSpotPrice,
+    calcOutGivenIn,
+    calcInGivenOut,
+    getLogSpreadFactor,
+    getMMMWeight,
+    getTokenBalanceAtEquilibrium,
+    calcAdaptiveFeeGivenInAndOut,
+    getAdaptiveFees,
+    calcOutGivenInMMM,
+    calcInGivenOutMMM,
+    getPoolTotalValue
+};
@@ -1,47 +1,130 @@
 const Decimal = require('decimal.js');
 
-const { calcOutGivenIn, calcInGivenOut } = require('../lib/calc_comparisons');
+const {
+	calcOutGivenIn, calcInGivenOut,
+	calcPoolOutGivenSingleIn, calcSingleOutGivenPoolIn
+} = require('../lib/calc_comparisons');
 
+// The model runs on plain numbers by default (fast path).
+// As soon as one of the arguments is a Decimal, every numeric argument is converted
+// and the whole computation is carried out with decimal.js (see setPrecision).
+const FLOAT = {
+	from: x => Number(x),
+	add: (a, b) => a + b,
+	sub: (a, b) => a - b,
+	mul: (a, b) => a * b,
+	div: (a, b) => a / b,
+	pow: (a, b) => a ** b,
+	neg: a => -a,
+	exp: a => Math.exp(a),
+	sqrt: a => Math.sqrt(a),
+	min: (a, b) => Math.min(a, b),
+	max: (a, b) => Math.max(a, b),
+	eq: (a, b) => a == b,
+	lt: (a, b) => a < b,
+	lte: (a, b) => a <= b,
+	gt: (a, b) => a > b,
+	gte: (a, b) => a >= b
+};
+
+// decimal.js constructor of the DECIMAL mode, calc_comparisons and the callers keep the global one
+let MMMDecimal = Decimal.clone();
+
+const DECIMAL = {
+	from: x => new MMMDecimal(x),
+	add: (a, b) => MMMDecimal.add(a, b),
+	sub: (a, b) => MMMDecimal.sub(a, b),
+	mul: (a, b) => MMMDecimal.mul(a, b),
+	div: (a, b) => MMMDecimal.div(a, b),
+	pow: (a, b) => MMMDecimal.pow(a, b),
+	neg: a => new MMMDecimal(a).neg(),
+	exp: a => MMMDecimal.exp(a),
+	sqrt: a => MMMDecimal.sqrt(a),
+	min: (a, b) => MMMDecimal.min(a, b),
+	max: (a, b) => MMMDecimal.max(a, b),
+	eq: (a, b) => new MMMDecimal(a).eq(b),
+	lt: (a, b) => new MMMDecimal(a).lt(b),
+	lte: (a, b) => new MMMDecimal(a).lte(b),
+	gt: (a, b) => new MMMDecimal(a).gt(b),
+	gte: (a, b) => new MMMDecimal(a).gte(b)
+};
+
+function _isDecimalArg(arg) {
+	return Decimal.isDecimal(arg) || (Array.isArray(arg) && arg.some(Decimal.isDecimal));
+}
+
+function _toDecimalArg(arg) {
+	if (typeof arg === 'number') {
+		return new MMMDecimal(arg);
+	}
+	if (Array.isArray(arg)) {
+		return arg.map(_toDecimalArg);
+	}
+	return arg;
+}
+
+function _withPrecisionMode(fn) {
+	return (...args) => {
+		if (!args.some(_isDecimalArg)) {
+			return fn(FLOAT, ...args);
+		}
+		return fn(DECIMAL, ...args.map(_toDecimalArg));
+	};
+}
+
+// precision (significant digits) of the DECIMAL mode only, the Balancer formulas of calc_comparisons
+// being computed with the global decimal.js precision
+function setPrecision(precision) {
+	MMMDecimal = Decimal.clone({ precision });
+}
 
 function getLogSpreadFactor(
-		mean, variance, z, horizon
+		o, mean, variance, z, horizon
 	) {
-	return mean * horizon + z * Math.sqrt(variance * 2 * horizon)
+	return o.add(o.mul(mean, horizon), o.mul(z, o.sqrt(o.mul(o.mul(variance, 2), horizon))))
 }
 
 function computeMMMSpread(
-		mean, variance, z, horizon
+		o, mean, variance, z, horizon
 	) {
-	if (horizon == 0) {
-		return 1;
+	if (o.eq(horizon, 0)) {
+		return o.from(1);
 	}
-	const logSpreadFactor = getLogSpreadFactor(mean, variance, z, horizon);
-	if (logSpreadFactor <= 0) {
-		return 1;
+	const logSpreadFactor = getLogSpreadFactor(o, mean, variance, z, horizon);
+	if (o.lte(logSpreadFactor, 0)) {
+		return o.from(1);
 	}
-	return Math.exp(logSpreadFactor);
+	return o.exp(logSpreadFactor);
 }
 
 function getMMMWeight(
-		weight, mean, variance, z, horizon
+		o, weight, mean, variance, z, horizon
 	) {
-	const spread = computeMMMSpread(mean, variance, z, horizon);
-	return [weight * spread, spread - 1];
+	const spread = computeMMMSpread(o, mean, variance, z, horizon);
+	return [o.mul(weight, spread), o.sub(spread, 1)];
 }
 
 function getTokenBalanceAtEquilibrium(
+	o,
 	tokenBalance1,
 	tokenWeight1,
 	tokenBalance2,
 	tokenWeight2,
 	relativePrice
 ) {
-	const weightSum = tokenWeight1 + tokenWeight2;
-	const wOutOverSum = tokenWeight2 / weightSum;
-	return (relativePrice * tokenWeight1 / tokenWeight2)**wOutOverSum * tokenBalance1**(tokenWeight1 / weightSum) *  tokenBalance2**wOutOverSum
+	const weightSum = o.add(tokenWeight1, tokenWeight2);
+	const wOutOverSum = o.div(tokenWeight2, weightSum);
+	return o.mul(
+		o.mul(
+			o.pow(o.div(o.mul(relativePrice, tokenWeight1), tokenWeight2), wOutOverSum),
+			o.pow(tokenBalance1, o.div(tokenWeight1, weightSum))
+		),
+		o.pow(tokenBalance2, wOutOverSum)
+	)
 }
 
 function calcOutGivenInMMM(
+	o,
 	tokenBalanceIn,
 	tokenWeightIn,
 	tokenBalanceOut,
@@ -55,29 +138,31 @@ function calcOutGivenInMMM(
 	relativePrice
 ) {
 	const quantityInAtEquilibrium = getTokenBalanceAtEquilibrium(
+		o,
 		tokenBalanceIn,
 		tokenWeightIn,
 		tokenBalanceOut,
 		tokenWeightOut,
 		relativePrice
 	);
-	const [adjustedTokenOutWeight, spread] = getMMMWeight(tokenWeightOut, mean, variance, z, horizon);
-	if (tokenBalanceIn >= quantityInAtEquilibrium) { // shortage of tokenOut --> apply coverage policy
+	const [adjustedTokenOutWeight, spread] = getMMMWeight(o, tokenWeightOut, mean, variance, z, horizon);
+	if (o.gte(tokenBalanceIn, quantityInAtEquilibrium)) { // shortage of tokenOut --> apply coverage policy
 		return [
-			calcOutGivenIn(
+			o.from(calcOutGivenIn(
 				tokenBalanceIn,
 				tokenWeightIn,
 				tokenBalanceOut,
 				adjustedTokenOutWeight,
 				tokenAmountIn,
 				swapFee
-			).toNumber(),
+			)),
 			spread
 		];
 	}
-	const tokenInSellAmountForEquilibrium = quantityInAtEquilibrium - tokenBalanceIn;
+	const tokenInSellAmountForEquilibrium = o.sub(quantityInAtEquilibrium, tokenBalanceIn);
 	return [
 		_calcOutGivenInMMMSurplus(
+			o,
 			tokenBalanceIn,
 			tokenWeightIn,
 			tokenBalanceOut,
@@ -92,6 +177,7 @@ function calcOutGivenInMMM(
 }
 
 function _calcOutGivenInMMMSurplus(
+	o,
 	tokenBalanceIn,
 	tokenWeightIn,
 	tokenBalanceOut,
@@ -101,38 +187,314 @@ function _calcOutGivenInMMMSurplus(
 	adjustedTokenWeightOut,
 	tokenInSellAmountForEquilibrium
 ) {
-	if (tokenAmountIn < tokenInSellAmountForEquilibrium) { // toward equilibrium --> no coverage fees
-		return calcOutGivenIn(
+	if (o.lt(tokenAmountIn, tokenInSellAmountForEquilibrium)) { // toward equilibrium --> no coverage fees
+		return o.from(calcOutGivenIn(
 			tokenBalanceIn,
 			tokenWeightIn,
 			tokenBalanceOut,
 			tokenWeightOut,
 			tokenAmountIn,
 			swapFee
-		).toNumber();
+		));
 	}
 	// toward equilibrium --> no coverage fees
-	const tokenAmountOutPart1 = calcOutGivenIn(
+	const tokenAmountOutPart1 = o.from(calcOutGivenIn(
 		tokenBalanceIn,
 		tokenWeightIn,
 		tokenBalanceOut,
 		tokenWeightOut,
 		tokenInSellAmountForEquilibrium,
 		swapFee
-	).toNumber();
+	));
 	// shortage of tokenOut --> apply coverage policy
-	const tokenAmountOutPart2 = calcOutGivenIn(
-		tokenBalanceIn + tokenInSellAmountForEquilibrium,
+	const tokenAmountOutPart2 = o.from(calcOutGivenIn(
+		o.add(tokenBalanceIn, tokenInSellAmountForEquilibrium),
 		tokenWeightIn,
-		tokenBalanceOut - tokenAmountOutPart1,
+		o.sub(tokenBalanceOut, tokenAmountOutPart1),
 		adjustedTokenWeightOut,
-		tokenAmountIn - tokenInSellAmountForEquilibrium, // tokenAmountIn > tokenInSellAmountForEquilibrium
+		o.sub(tokenAmountIn, tokenInSellAmountForEquilibrium), // tokenAmountIn > tokenInSellAmountForEquilibrium
 		swapFee
-	).toNumber();
-	return tokenAmountOutPart1 + tokenAmountOutPart2;
+	));
+	return o.add(tokenAmountOutPart1, tokenAmountOutPart2);
+}
+
+function calcInGivenOutMMM(
+	o,
+	tokenBalanceIn,
+	tokenWeightIn,
+	tokenBalanceOut,
+	tokenWeightOut,
+	tokenAmountOut,
+	swapFee,
+	mean,
+	variance,
+	z,
+	horizon,
+	relativePrice
+) {
+	const quantityOutAtEquilibrium = getTokenBalanceAtEquilibrium(
+		o,
+		tokenBalanceOut,
+		tokenWeightOut,
+		tokenBalanceIn,
+		tokenWeightIn,
+		o.div(1, relativePrice)
+	);
+	if (
+		o.gt(tokenBalanceOut, quantityOutAtEquilibrium)
+		&& o.lt(tokenAmountOut, o.sub(tokenBalanceOut, quantityOutAtEquilibrium))
+	) {
+		// abundance of tokenOut to abundance of tokenOut --> no coverage fees
+		return [
+			_calcInGivenOutMMMAbundance(
+				o,
+				tokenBalanceIn,
+				tokenWeightIn,
+				tokenBalanceOut,
+				tokenWeightOut,
+				tokenAmountOut,
+				swapFee
+			),
+			o.from(0)
+		];
+	}
+	const [adjustedTokenOutWeight, spread] = getMMMWeight(o, tokenWeightOut, mean, variance, z, horizon);
+	if (o.lte(tokenBalanceOut, quantityOutAtEquilibrium)) { // shortage of tokenOut --> apply coverage policy
+		return [
+			o.from(calcInGivenOut(
+				tokenBalanceIn,
+				tokenWeightIn,
+				tokenBalanceOut,
+				adjustedTokenOutWeight,
+				tokenAmountOut,
+				swapFee
+			)),
+			spread
+		];
+	}
+	const tokenOutBuyAmountForEquilibrium = o.sub(tokenBalanceOut, quantityOutAtEquilibrium);
+	return [
+		_calcInGivenOutMMMMixed(
+			o,
+			tokenBalanceIn,
+			tokenWeightIn,
+			tokenBalanceOut,
+			tokenWeightOut,
+			tokenAmountOut,
+			swapFee,
+			adjustedTokenOutWeight,
+			tokenOutBuyAmountForEquilibrium
+		),
+		spread
+	];
+}
+
+function _calcInGivenOutMMMAbundance(
+	o,
+	tokenBalanceIn,
+	tokenWeightIn,
+	tokenBalanceOut,
+	tokenWeightOut,
+	tokenAmountOut,
+	swapFee
+) {
+	return o.from(calcInGivenOut(
+		tokenBalanceIn,
+		tokenWeightIn,
+		tokenBalanceOut,
+		tokenWeightOut,
+		tokenAmountOut,
+		swapFee
+	));
+}
+
+function _calcInGivenOutMMMMixed(
+	o,
+	tokenBalanceIn,
+	tokenWeightIn,
+	tokenBalanceOut,
+	tokenWeightOut,
+	tokenAmountOut,
+	swapFee,
+	adjustedTokenWeightOut,
+	tokenOutBuyAmountForEquilibrium
+) {
+	// toward equilibrium --> no coverage fees
+	const tokenAmountInPart1 = _calcInGivenOutMMMAbundance(
+		o,
+		tokenBalanceIn,
+		tokenWeightIn,
+		tokenBalanceOut,
+		tokenWeightOut,
+		tokenOutBuyAmountForEquilibrium,
+		swapFee
+	);
+	// shortage of tokenOut --> apply coverage policy
+	const tokenAmountInPart2 = o.from(calcInGivenOut(
+		o.add(tokenBalanceIn, tokenAmountInPart1),
+		tokenWeightIn,
+		o.sub(tokenBalanceOut, tokenOutBuyAmountForEquilibrium),
+		adjustedTokenWeightOut,
+		o.sub(tokenAmountOut, tokenOutBuyAmountForEquilibrium), // tokenAmountOut > tokenOutBuyAmountForEquilibrium
+		swapFee
+	));
+	return o.add(tokenAmountInPart1, tokenAmountInPart2);
+}
+
+/*
+	Breakdown of an exact-in quote (same arguments as calcOutGivenInMMM, relativePrice being the oracle price
+	of tokenOut in tokenIn terms). The trade is split as in _calcOutGivenInMMMMixed into a 'towardEquilibrium'
+	leg, priced on the plain curve, and a 'shortage' leg, priced with the spread-augmented tokenOut weight.
+	The shortfall with respect to the oracle price, amountIn / relativePrice - amountOut, is split in tokenOut:
+	- oracleDeviation: spot price (without fee) vs oracle price
+	- priceImpact: curve slippage without fee nor spread
+	- swapFee: cost of the swap fee
+	- coverageSpread: cost of the spread on the shortage leg
+	Returns { amountIn, amountOut, spread, oraclePrice, spotPrice, effectivePrice, swapFeePaid, legs, costs },
+	swapFeePaid being in tokenIn and prices in tokenIn per tokenOut.
+*/
+function explainOutGivenInMMM(
+	o,
+	tokenBalanceIn,
+	tokenWeightIn,
+	tokenBalanceOut,
+	tokenWeightOut,
+	tokenAmountIn,
+	swapFee,
+	mean,
+	variance,
+	z,
+	horizon,
+	relativePrice
+) {
+	const quantityInAtEquilibrium = getTokenBalanceAtEquilibrium(
+		o, tokenBalanceIn, tokenWeightIn, tokenBalanceOut, tokenWeightOut, relativePrice
+	);
+	const [adjustedTokenOutWeight, spread] = getMMMWeight(o, tokenWeightOut, mean, variance, z, horizon);
+
+	const tokenInSellAmountForEquilibrium = o.max(o.sub(quantityInAtEquilibrium, tokenBalanceIn), 0);
+	const legsIn = [];
+	if (o.gt(tokenInSellAmountForEquilibrium, 0)) {
+		legsIn.push(['towardEquilibrium', o.min(tokenAmountIn, tokenInSellAmountForEquilibrium)]);
+	}
+	if (o.gte(tokenAmountIn, tokenInSellAmountForEquilibrium)) {
+		legsIn.push(['shortage', o.sub(tokenAmountIn, tokenInSellAmountForEquilibrium)]);
+	}
+
+	// the legs are priced one after the other, with (actual) or without (reference) the spread
+	const priceLegs = (withSpread) => {
+		let balanceIn = tokenBalanceIn;
+		let balanceOut = tokenBalanceOut;
+		return legsIn.map(([regime, amountIn]) => {
+			const weightOut = withSpread && regime == 'shortage' ? adjustedTokenOutWeight : tokenWeightOut;
+			const amountOut = o.from(calcOutGivenIn(balanceIn, tokenWeightIn, balanceOut, weightOut, amountIn, swapFee));
+			balanceIn = o.add(balanceIn, amountIn);
+			balanceOut = o.sub(balanceOut, amountOut);
+			return { regime, amountIn, amountOut };
+		});
+	};
+	const legs = priceLegs(true);
+	const sum = (legs) => legs.reduce((acc, leg) => o.add(acc, leg.amountOut), o.from(0));
+	const tokenAmountOut = sum(legs);
+	const tokenAmountOutSansSpread = sum(priceLegs(false));
+	const tokenAmountOutSansFee = o.from(calcOutGivenIn(
+		tokenBalanceIn, tokenWeightIn, tokenBalanceOut, tokenWeightOut, tokenAmountIn, 0
+	));
+
+	const spotPrice = o.div(o.mul(tokenBalanceIn, tokenWeightOut), o.mul(tokenBalanceOut, tokenWeightIn));
+	const hasShortage = legs.some(leg => leg.regime == 'shortage');
+	return {
+		amountIn: o.from(tokenAmountIn),
+		amountOut: tokenAmountOut,
+		spread: hasShortage ? spread : o.from(0),
+		oraclePrice: o.from(relativePrice),
+		spotPrice,
+		effectivePrice: o.div(tokenAmountIn, tokenAmountOut),
+		swapFeePaid: o.mul(tokenAmountIn, swapFee),
+		legs,
+		costs: {
+			oracleDeviation: o.sub(o.div(tokenAmountIn, relativePrice), o.div(tokenAmountIn, spotPrice)),
+			priceImpact: o.sub(o.div(tokenAmountIn, spotPrice), tokenAmountOutSansFee),
+			swapFee: o.sub(tokenAmountOutSansFee, tokenAmountOutSansSpread),
+			coverageSpread: o.sub(tokenAmountOutSansSpread, tokenAmountOut)
+		}
+	};
+}
+
+/*
+	Breakdown of an exact-out quote (same arguments as calcInGivenOutMMM), as explainOutGivenInMMM does.
+	The legs are split as in _calcInGivenOutMMMMixed and the extra cost with respect to the oracle price,
+	amountIn - amountOut * relativePrice, is split in tokenIn.
+*/
+function explainInGivenOutMMM(
+	o,
+	tokenBalanceIn,
+	tokenWeightIn,
+	tokenBalanceOut,
+	tokenWeightOut,
+	tokenAmountOut,
+	swapFee,
+	mean,
+	variance,
+	z,
+	horizon,
+	relativePrice
+) {
+	const quantityOutAtEquilibrium = getTokenBalanceAtEquilibrium(
+		o, tokenBalanceOut, tokenWeightOut, tokenBalanceIn, tokenWeightIn, o.div(1, relativePrice)
+	);
+	const [adjustedTokenOutWeight, spread] = getMMMWeight(o, tokenWeightOut, mean, variance, z, horizon);
+
+	const tokenOutBuyAmountForEquilibrium = o.max(o.sub(tokenBalanceOut, quantityOutAtEquilibrium), 0);
+	const legsOut = [];
+	if (o.gt(tokenOutBuyAmountForEquilibrium, 0)) {
+		legsOut.push(['towardEquilibrium', o.min(tokenAmountOut, tokenOutBuyAmountForEquilibrium)]);
+	}
+	if (o.gte(tokenAmountOut, tokenOutBuyAmountForEquilibrium)) {
+		legsOut.push(['shortage', o.sub(tokenAmountOut, tokenOutBuyAmountForEquilibrium)]);
+	}
+
+	const priceLegs = (withSpread) => {
+		let balanceIn = tokenBalanceIn;
+		let balanceOut = tokenBalanceOut;
+		return legsOut.map(([regime, amountOut]) => {
+			const weightOut = withSpread && regime == 'shortage' ? adjustedTokenOutWeight : tokenWeightOut;
+			const amountIn = o.from(calcInGivenOut(balanceIn, tokenWeightIn, balanceOut, weightOut, amountOut, swapFee));
+			balanceIn = o.add(balanceIn, amountIn);
+			balanceOut = o.sub(balanceOut, amountOut);
+			return { regime, amountIn, amountOut };
+		});
+	};
+	const legs = priceLegs(true);
+	const sum = (legs) => legs.reduce((acc, leg) => o.add(acc, leg.amountIn), o.from(0));
+	const tokenAmountIn = sum(legs);
+	const tokenAmountInSansSpread = sum(priceLegs(false));
+	const tokenAmountInSansFee = o.from(calcInGivenOut(
+		tokenBalanceIn, tokenWeightIn, tokenBalanceOut, tokenWeightOut, tokenAmountOut, 0
+	));
+
+	const spotPrice = o.div(o.mul(tokenBalanceIn, tokenWeightOut), o.mul(tokenBalanceOut, tokenWeightIn));
+	const hasShortage = legs.some(leg => leg.regime == 'shortage');
+	return {
+		amountIn: tokenAmountIn,
+		amountOut: o.from(tokenAmountOut),
+		spread: hasShortage ? spread : o.from(0),
+		oraclePrice: o.from(relativePrice),
+		spotPrice,
+		effectivePrice: o.div(tokenAmountIn, tokenAmountOut),
+		swapFeePaid: o.mul(tokenAmountIn, swapFee),
+		legs,
+		costs: {
+			oracleDeviation: o.sub(o.mul(tokenAmountOut, spotPrice), o.mul(tokenAmountOut, relativePrice)),
+			priceImpact: o.sub(tokenAmountInSansFee, o.mul(tokenAmountOut, spotPrice)),
+			swapFee: o.sub(tokenAmountInSansSpread, tokenAmountInSansFee),
+			coverageSpread: o.sub(tokenAmountIn, tokenAmountInSansSpread)
+		}
+	};
 }
 
 function calcAdaptiveFeeGivenInAndOut(
+	o,
 	tokenBalanceIn,
 	tokenWeightIn,
 	tokenBalanceOut,
@@ -140,50 +502,194 @@ function calcAdaptiveFeeGivenInAndOut(
 	tokenAmountIn,
 	targetBalanceOut
 ) {
-	const alpha = (tokenBalanceIn * (tokenBalanceOut / targetBalanceOut) ** (tokenWeightOut / tokenWeightIn) - (tokenBalanceIn + tokenAmountIn)) / -tokenAmountIn
-	return Math.max(alpha, 0)
+	const alpha = o.div(
+		o.sub(
+			o.mul(tokenBalanceIn, o.pow(o.div(tokenBalanceOut, targetBalanceOut), o.div(tokenWeightOut, tokenWeightIn))),
+			o.add(tokenBalanceIn, tokenAmountIn)
+		),
+		o.neg(tokenAmountIn)
+	)
+	return o.max(alpha, 0)
 }
 
 function calcPoolOutGivenSingleInAdaptiveFees(
+	o,
 	poolValueInTokenIn,
 	tokenBalanceIn,
 	tokenWeightIn,
 	tokenAmountIn
 ) {
-	const alpha = (1 - (((tokenAmountIn + poolValueInTokenIn) / poolValueInTokenIn) ** (1 / tokenWeightIn) - 1) * tokenBalanceIn / tokenAmountIn) / (1 - tokenWeightIn)
-	return Math.max(0, alpha)
+	const poolValueRatio = o.div(o.add(tokenAmountIn, poolValueInTokenIn), poolValueInTokenIn)
+	const alpha = o.div(
+		o.sub(1, o.div(o.mul(o.sub(o.pow(poolValueRatio, o.div(1, tokenWeightIn)), 1), tokenBalanceIn), tokenAmountIn)),
+		o.sub(1, tokenWeightIn)
+	)
+	return o.max(0, alpha)
 }
 
 function calcSingleOutGivenPoolInAdaptiveFees(
+	o,
 	poolValueInTokenOut,
 	tokenBalanceOut,
 	tokenWeightOut,
 	normalizedPoolAmountOut
 ) {
-	const alpha = (1 - (poolValueInTokenOut * normalizedPoolAmountOut) / (tokenBalanceOut * (1 - (1 - normalizedPoolAmountOut) ** (1 / tokenWeightOut)))) / (1 - tokenWeightOut)
-	return Math.max(0, alpha)
+	const balanceRatio = o.sub(1, o.pow(o.sub(1, normalizedPoolAmountOut), o.div(1, tokenWeightOut)))
+	const alpha = o.div(
+		o.sub(1, o.div(o.mul(poolValueInTokenOut, normalizedPoolAmountOut), o.mul(tokenBalanceOut, balanceRatio))),
+		o.sub(1, tokenWeightOut)
+	)
+	return o.max(0, alpha)
+}
+
+function getPoolTotalValue(
+	o,
+	quoteBalance,
+	quotePrice,
+	baseBalances,
+	basePrices
+) {
+	return baseBalances.reduce((acc, b, i) => o.add(acc, o.div(o.mul(b, basePrices[i]), quotePrice)), o.from(quoteBalance))
+}
+
+function getTotalWeightMMM(
+	o,
+	pivotTokenIsInput,
+	pivotWeight,
+	otherWeights,
+	means,
+	variances,
+	z,
+	horizon
+) {
+	// the pivot's weight is left untouched, the others are in shortage (join) or in abundance (exit)
+	return otherWeights.reduce((acc, w, i) => {
+		const spread = computeMMMSpread(o, means[i], variances[i], z, horizon)
+		return o.add(acc, pivotTokenIsInput ? o.mul(w, spread) : o.div(w, spread))
+	}, o.from(pivotWeight))
+}
+
+function calcPoolOutGivenSingleInMMM(
+	o,
+	tokenBalanceIn,
+	tokenWeightIn,
+	tokenPriceIn,
+	remainingBalances,
+	remainingWeights,
+	remainingPrices,
+	poolSupply,
+	tokenAmountIn,
+	swapFee,
+	blockHasPriceUpdate,
+	means = remainingWeights.map(() => 0),
+	variances = remainingWeights.map(() => 0),
+	z = 0,
+	horizon = 0
+) {
+	const totalAdjustedWeight = getTotalWeightMMM(
+		o, true, tokenWeightIn, remainingWeights, means, variances, z, horizon
+	)
+	let fee = swapFee
+	if (blockHasPriceUpdate) {
+		const poolValueInTokenIn = getPoolTotalValue(
+			o, tokenBalanceIn, tokenPriceIn, remainingBalances, remainingPrices
+		)
+		fee = o.min(
+			1,
+			o.add(fee, calcPoolOutGivenSingleInAdaptiveFees(
+				o,
+				poolValueInTokenIn,
+				tokenBalanceIn,
+				o.div(tokenWeightIn, totalAdjustedWeight),
+				tokenAmountIn
+			))
+		)
+	}
+	return o.from(calcPoolOutGivenSingleIn(
+		tokenBalanceIn,
+		tokenWeightIn,
+		poolSupply,
+		totalAdjustedWeight,
+		tokenAmountIn,
+		fee
+	))
+}
+
+function calcSingleOutGivenPoolInMMM(
+	o,
+	tokenBalanceOut,
+	tokenWeightOut,
+	tokenPriceOut,
+	remainingBalances,
+	remainingWeights,
+	remainingPrices,
+	poolSupply,
+	poolAmountIn,
+	swapFee,
+	blockHasPriceUpdate,
+	means = remainingWeights.map(() => 0),
+	variances = remainingWeights.map(() => 0),
+	z = 0,
+	horizon = 0
+) {
+	const totalAdjustedWeight = getTotalWeightMMM(
+		o, false, tokenWeightOut, remainingWeights, means, variances, z, horizon
+	)
+	let fee = swapFee
+	if (blockHasPriceUpdate) {
+		const poolValueInTokenOut = getPoolTotalValue(
+			o, tokenBalanceOut, tokenPriceOut, remainingBalances, remainingPrices
+		)
+		fee = o.min(
+			1,
+			o.add(fee, calcSingleOutGivenPoolInAdaptiveFees(
+				o,
+				poolValueInTokenOut,
+				tokenBalanceOut,
+				o.div(tokenWeightOut, totalAdjustedWeight),
+				o.div(poolAmountIn, poolSupply)
+			))
+		)
+	}
+	return o.from(calcSingleOutGivenPoolIn(
+		tokenBalanceOut,
+		tokenWeightOut,
+		poolSupply,
+		totalAdjustedWeight,
+		poolAmountIn,
+		fee
+	))
 }
 
 function getOutTargetGivenIn(
+	o,
 	tokenBalanceIn,
 	tokenBalanceOut,
 	relativePrice,
 	tokenAmountIn,
 ) {
-	const currentPriceInOutTerms = 1 / relativePrice
-	const poolValueInOutTerms = tokenBalanceOut + tokenBalanceIn * currentPriceInOutTerms
-	const targetOut = (poolValueInOutTerms - (tokenBalanceIn + tokenAmountIn) * currentPriceInOutTerms)
+	const currentPriceInOutTerms = o.div(1, relativePrice)
+	const poolValueInOutTerms = o.add(tokenBalanceOut, o.mul(tokenBalanceIn, currentPriceInOutTerms))
+	const targetOut = o.sub(poolValueInOutTerms, o.mul(o.add(tokenBalanceIn, tokenAmountIn), currentPriceInOutTerms))
 	return targetOut
 }
 
 module.exports = {
-    getLogSpreadFactor,
-    getMMMWeight,
-    getTokenBalanceAtEquilibrium,
-    calcOutGivenInMMM,
-    computeMMMSpread,
-    calcAdaptiveFeeGivenInAndOut,
-    calcPoolOutGivenSingleInAdaptiveFees,
-    calcSingleOutGivenPoolInAdaptiveFees,
-    getOutTargetGivenIn
+    setPrecision,
+    getLogSpreadFactor: _withPrecisionMode(getLogSpreadFactor),
+    getMMMWeight: _withPrecisionMode(getMMMWeight),
+    getTokenBalanceAtEquilibrium: _withPrecisionMode(getTokenBalanceAtEquilibrium),
+    calcOutGivenInMMM: _withPrecisionMode(calcOutGivenInMMM),
+    calcInGivenOutMMM: _withPrecisionMode(calcInGivenOutMMM),
+    explainOutGivenInMMM: _withPrecisionMode(explainOutGivenInMMM),
+    explainInGivenOutMMM: _withPrecisionMode(explainInGivenOutMMM),
+    computeMMMSpread: _withPrecisionMode(computeMMMSpread),
+    calcAdaptiveFeeGivenInAndOut: _withPrecisionMode(calcAdaptiveFeeGivenInAndOut),
+    calcPoolOutGivenSingleInAdaptiveFees: _withPrecisionMode(calcPoolOutGivenSingleInAdaptiveFees),
+    calcSingleOutGivenPoolInAdaptiveFees: _withPrecisionMode(calcSingleOutGivenPoolInAdaptiveFees),
+    getOutTargetGivenIn: _withPrecisionMode(getOutTargetGivenIn),
+    getPoolTotalValue: _withPrecisionMode(getPoolTotalValue),
+    getTotalWeightMMM: _withPrecisionMode(getTotalWeightMMM),
+    calcPoolOutGivenSingleInMMM: _withPrecisionMode(calcPoolOutGivenSingleInMMM),
+    calcSingleOutGivenPoolInMMM: _withPrecisionMode(calcSingleOutGivenPoolInMMM)
 };
@@ -0,0 +1,203 @@
+const { Err, formatSwaapError } = require('./errors');
+
+// BigInt port of Num.sol: same operations in the same order, hence the same rounding
+
+const ONE = 10n ** 18n;
+const MIN_POW_BASE = 1n;
+const MAX_POW_BASE = 2n * ONE - 1n;
+const POW_PRECISION = ONE / 10n ** 10n;
+
+const MAX_UINT256 = 2n ** 256n - 1n;
+const MIN_INT256 = -(2n ** 255n);
+const MAX_INT256 = 2n ** 255n - 1n;
+
+// checked arithmetic of solidity >= 0.8
+function _panic(reason) {
+	throw new Error(`Panic: ${reason}`);
+}
+
+function _uint(x) {
+	if (x < 0n || x > MAX_UINT256) {
+		_panic('arithmetic overflow or underflow');
+	}
+	return x;
+}
+
+function _int(x) {
+	if (x < MIN_INT256 || x > MAX_INT256) {
+		_panic('arithmetic overflow or underflow');
+	}
+	return x;
+}
+
+function _div(a, b) {
+	if (b == 0n) {
+		_panic('division by zero');
+	}
+	return a / b;
+}
+
+// unchecked uint256 <--> int256 conversions
+function _toInt256(x) {
+	return x > MAX_INT256 ? x - (MAX_UINT256 + 1n) : x;
+}
+
+function _toUint256(x) {
+	return x < 0n ? x + (MAX_UINT256 + 1n) : x;
+}
+
+function _require(condition, errorCode) {
+	if (!condition) {
+		throw new Error(formatSwaapError(errorCode));
+	}
+}
+
+function toi(a) {
+	return BigInt(a) / ONE;
+}
+
+function floor(a) {
+	return toi(a) * ONE;
+}
+
+// returns [|a - b|, a < b]
+function subSign(a, b) {
+	a = BigInt(a);
+	b = BigInt(b);
+	if (a >= b) {
+		return [a - b, false];
+	}
+	return [b - a, true];
+}
+
+function mul(a, b) {
+	const c0 = _uint(BigInt(a) * BigInt(b));
+	const c1 = _uint(c0 + ONE / 2n);
+	return c1 / ONE;
+}
+
+function mulTruncated(a, b) {
+	return _uint(BigInt(a) * BigInt(b)) / ONE;
+}
+
+function div(a, b) {
+	b = BigInt(b);
+	const c0 = _uint(BigInt(a) * ONE);
+	const c1 = _uint(c0 + b / 2n);
+	return _div(c1, b);
+}
+
+function divTruncated(a, b) {
+	return _div(_uint(BigInt(a) * ONE), BigInt(b));
+}
+
+// DSMath.wpow
+function powi(a, n) {
+	a = BigInt(a);
+	n = BigInt(n);
+	let z = n % 2n != 0n ? a : ONE;
+
+	for (n /= 2n; n != 0n; n /= 2n) {
+		a = mul(a, a);
+
+		if (n % 2n != 0n) {
+			z = mul(z, a);
+		}
+	}
+	return z;
+}
+
+function pow(base, exp) {
+	base = BigInt(base);
+	exp = BigInt(exp);
+	_require(base >= MIN_POW_BASE, Err.POW_BASE_TOO_LOW);
+	_require(base <= MAX_POW_BASE, Err.POW_BASE_TOO_HIGH);
+
+	const whole = floor(exp);
+	const remain = exp - whole;
+
+	const wholePow = powi(base, toi(whole));
+
+	if (remain == 0n) {
+		return wholePow;
+	}
+
+	const partialResult = powApprox(base, remain, POW_PRECISION);
+	return mul(wholePow, partialResult);
+}
+
+function powApprox(base, exp, precision) {
+	precision = BigInt(precision);
+	const a = BigInt(exp);
+	const [x, xneg] = subSign(base, ONE);
+	let term = ONE;
+	let sum = term;
+	let negative = false;
+
+	for (let i = 1n; term >= precision; i++) {
+		const bigK = _uint(i * ONE);
+		const [c, cneg] = subSign(a, bigK - ONE);
+		term = mul(term, mul(c, x));
+		term = div(term, bigK);
+		if (term == 0n) break;
+
+		if (xneg) negative = !negative;
+		if (cneg) negative = !negative;
+		if (negative) {
+			sum = _uint(sum - term);
+		} else {
+			sum = _uint(sum + term);
+		}
+	}
+
+	return sum;
+}
+
+function divInt256(a, b) {
+	a = BigInt(a);
+	b = BigInt(b);
+	if (a < 0n) {
+		if (b < 0n) {
+			return _toInt256(div(_toUint256(_int(-a)), _toUint256(_int(-b))));
+		}
+		return _int(-_toInt256(div(_toUint256(_int(-a)), b)));
+	}
+	if (b < 0n) {
+		return _int(-_toInt256(div(a, _toUint256(_int(-b)))));
+	}
+	return _toInt256(div(a, b));
+}
+
+function positivePart(value) {
+	value = BigInt(value);
+	return value <= 0n ? 0n : value;
+}
+
+function max(a, b) {
+	return BigInt(a) > BigInt(b) ? BigInt(a) : BigInt(b);
+}
+
+function min(a, b) {
+	return BigInt(a) < BigInt(b) ? BigInt(a) : BigInt(b);
+}
+
+module.exports = {
+    ONE,
+    MIN_POW_BASE,
+    MAX_POW_BASE,
+    POW_PRECISION,
+    toi,
+    floor,
+    subSign,
+    mul,
+    mulTruncated,
+    div,
+    divTruncated,
+    powi,
+    pow,
+    powApprox,
+    divInt256,
+    positivePart,
+    max,
+    min
+};
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+
+// TOracle's constructor loops over the history with a uint8 index
+const MAX_TORACLE_ROUNDS = 255;
+
+const COLUMNS = {
+	roundId: ['roundId', 'round_id', 'roundid'],
+	price: ['price', 'answer'],
+	timestamp: ['timestamp', 'updatedAt', 'updated_at']
+};
+
+function _column(row, name) {
+	const key = COLUMNS[name].find(k => row[k] !== undefined && row[k] !== '');
+	if (key === undefined) {
+		throw new Error(`missing ${name}`);
+	}
+	return String(row[key]).trim();
+}
+
+// comma or semicolon separated, with a header line
+function parseCsv(text) {
+	const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l.length > 0 && !l.startsWith('#'));
+	if (lines.length == 0) {
+		return [];
+	}
+	const separator = lines[0].includes(';') ? ';' : ',';
+	const header = lines[0].split(separator).map(h => h.trim());
+	return lines.slice(1).map(line => {
+		const values = line.split(separator);
+		return Object.fromEntries(header.map((h, i) => [h, values[i] === undefined ? undefined : values[i].trim()]));
+	});
+}
+
+// '3128.820405' with 8 decimals --> '312882040500'
+function _scalePrice(price, decimals) {
+	const match = /^(-?)(\d+)(?:\.(\d*))?$/.exec(price);
+	if (match === null) {
+		throw new Error(`invalid price ${price}`);
+	}
+	const [, sign, integerPart, fractionalPart = ''] = match;
+	if (fractionalPart.replace(/0+$/, '').length > decimals) {
+		throw new Error(`price ${price} has more than ${decimals} decimals`);
+	}
+	return BigInt(sign + integerPart + fractionalPart.padEnd(decimals, '0')).toString();
+}
+
+/*
+	Validates (roundId, price, timestamp) rows and returns them ordered from the oldest round.
+	Prices are in units (e.g. '3128.82') unless options.scaled is set, in which case they already
+	are integers with `decimals` decimals (as returned by the oracles).
+	Rounds must be increasing and contiguous, timestamps must not decrease and prices must not be negative.
+	With options.fillGaps, missing rounds are added with a null price, which the GBM oracle skips.
+*/
+function validateHistory(rows, decimals, options = {}) {
+	const { scaled = false, fillGaps = false } = options;
+	if (!Number.isInteger(decimals) || decimals < 0 || decimals > 255) {
+		throw new Error(`invalid decimals ${decimals}`);
+	}
+	if (rows.length == 0) {
+		throw new Error('empty history');
+	}
+
+	let history = rows.map((row, i) => {
+		try {
+			const roundId = BigInt(_column(row, 'roundId'));
+			const rawPrice = _column(row, 'price');
+			const price = scaled ? BigInt(rawPrice).toString() : _scalePrice(rawPrice, decimals);
+			const timestamp = Number(_column(row, 'timestamp'));
+			if (!Number.isInteger(timestamp) || timestamp < 0) {
+				throw new Error(`invalid timestamp ${timestamp}`);
+			}
+			if (BigInt(price) < 0n) {
+				throw new Error(`negative price ${rawPrice}`);
+			}
+			return { roundId, price, timestamp };
+		} catch (e) {
+			throw new Error(`row ${i + 1}: ${e.message}`);
+		}
+	});
+
+	// rows may be listed from the latest round, as the oracle readers do
+	if (history.length > 1 && history[0].roundId > history[history.length - 1].roundId) {
+		history = history.reverse();
+	}
+
+	for (let i = 1; i < history.length; i++) {
+		const previous = history[i - 1];
+		const current = history[i];
+		if (current.roundId <= previous.roundId) {
+			throw new Error(`round ${current.roundId} is not ordered after round ${previous.roundId}`);
+		}
+		if (current.timestamp < previous.timestamp) {
+			throw new Error(`round ${current.roundId} is older than round ${previous.roundId}`);
+		}
+	}
+
+	const filled = [history[0]];
+	for (const current of history.slice(1)) {
+		const previous = filled[filled.length - 1];
+		if (current.roundId != previous.roundId + 1n) {
+			if (!fillGaps) {
+				throw new Error(`rounds ${previous.roundId + 1n} to ${current.roundId - 1n} are missing`);
+			}
+			for (let roundId = previous.roundId + 1n; roundId < current.roundId; roundId++) {
+				filled.push({ roundId, price: '0', timestamp: previous.timestamp });
+			}
+		}
+		filled.push(current);
+	}
+
+	if (filled.length > MAX_TORACLE_ROUNDS) {
+		throw new Error(`${filled.length} rounds, TOracle accepts at most ${MAX_TORACLE_ROUNDS}`);
+	}
+	if (filled[0].roundId < 0n) {
+		throw new Error(`invalid round ${filled[0].roundId}`);
+	}
+	return filled.map(({ roundId, price, timestamp }) => ({ roundId: roundId.toString(), price, timestamp }));
+}
+
+// rows of a .csv or .json file, a JSON file being either a list of rows or { decimals, rows }
+function readHistoryFile(file) {
+	const text = fs.readFileSync(file, 'utf8');
+	if (path.extname(file).toLowerCase() == '.json') {
+		const content = JSON.parse(text);
+		return Array.isArray(content) ? { rows: content } : content;
+	}
+	return { rows: parseCsv(text) };
+}
+
+/*
+	TOracle stores the age of each round and reports block.timestamp - age, so the history is
+	shifted to end latestAge seconds before the block of each call.
+	Returns the constructor arguments: [prices_, ages, decimals, latestRoundId].
+*/
+function toTOracleArguments(history, decimals, latestAge = 0) {
+	const latest = history[history.length - 1];
+	const fromLatest = [...history].reverse();
+	return [
+		fromLatest.map(r => r.price),
+		fromLatest.map(r => (latest.timestamp - r.timestamp + latestAge).toString()),
+		decimals,
+		latest.roundId
+	];
+}
+
+/*
+	Deploys a TOracle replaying a price history.
+	source: path to a .csv/.json file or list of rows
+	options: decimals (default: the file's, else 8), scaled, fillGaps, latestAge
+	Returns { oracle, history }.
+*/
+async function deployTOracleFromHistory(TOracle, source, options = {}) {
+	const { rows, decimals: fileDecimals } = typeof source == 'string' ? readHistoryFile(source) : { rows: source };
+	const decimals = options.decimals !== undefined ? options.decimals : (fileDecimals !== undefined ? fileDecimals : 8);
+	const history = validateHistory(rows, decimals, options);
+	const oracle = await TOracle.new(...toTOracleArguments(history, decimals, options.latestAge));
+	return { oracle, history };
+}
+
+module.exports = {
+    parseCsv,
+    validateHistory,
+    readHistoryFile,
+    toTOracleArguments,
+    deployTOracleFromHistory
+};
@@ -0,0 +1,481 @@
+const Decimal = require('decimal.js');
+
+const { calcSpotPrice } = require('./calc_comparisons');
+const {
+	calcOutGivenInMMM, calcInGivenOutMMM,
+	calcPoolOutGivenSingleInMMM, calcSingleOutGivenPoolInMMM
+} = require('./mmm');
+const { Err, formatSwaapError } = require('./errors');
+
+// Const.sol, expressed in token units instead of wei
+const MIN_BOUND_TOKENS = 2;
+const MAX_BOUND_TOKENS = 8;
+const MIN_FEE = 10 ** -6;
+const MAX_FEE = 0.1;
+const EXIT_FEE = 0;
+const MIN_WEIGHT = 1;
+const MAX_WEIGHT = 50;
+const MAX_TOTAL_WEIGHT = 50;
+const MIN_BALANCE = 10 ** -12;
+const INIT_POOL_SUPPLY = 100;
+const MAX_IN_RATIO = 0.5;
+const MAX_OUT_RATIO = 1 / 3;
+const BASE_Z = 6;
+const MIN_HORIZON = 1;
+const BASE_HORIZON = 5;
+const MIN_MAX_PRICE_UNPEG_RATIO = 1 + 1 / 800;
+const BASE_MAX_PRICE_UNPEG_RATIO = 1 + 1 / 40;
+const MAX_MAX_PRICE_UNPEG_RATIO = 1 + 1 / 10;
+
+// same revert string as Errors.sol
+function _require(condition, errorCode) {
+	if (!condition) {
+		throw new Error(formatSwaapError(errorCode));
+	}
+}
+
+/*
+	Off-chain replica of Pool.sol state transitions.
+	Amounts, weights and prices are expressed in token units (not wei) and stored as Decimals.
+	Tokens are identified by any string (e.g. their address), oracles are replaced by the
+	prices given to bindMMM / setLatestPrice.
+	Not modelled: access control, the factory, the reentrancy lock and the fallback spread
+	(the GBM estimates of a pair default to a null mean and variance, see setPriceStatistics).
+*/
+class PoolSimulator {
+
+	constructor() {
+		this.tokens = [];
+		this.records = {};
+		this.publicSwap = false;
+		this.finalized = false;
+		this.swapFee = Decimal(MIN_FEE);
+		this.totalWeight = Decimal(0);
+		this.totalSupply = Decimal(0);
+		// coverage parameters
+		this.dynamicCoverageFeesZ = Decimal(BASE_Z);
+		this.dynamicCoverageFeesHorizon = Decimal(BASE_HORIZON);
+		this.maxPriceUnpegRatio = Decimal(BASE_MAX_PRICE_UNPEG_RATIO);
+		this.priceStatistics = {};
+	}
+
+	isBound(token) {
+		return this.records[token] !== undefined;
+	}
+
+	getTokens() {
+		return [...this.tokens];
+	}
+
+	getBalance(token) {
+		_require(this.isBound(token), Err.NOT_BOUND);
+		return this.records[token].balance;
+	}
+
+	getDenormalizedWeight(token) {
+		_require(this.isBound(token), Err.NOT_BOUND);
+		return this.records[token].denorm;
+	}
+
+	getSpotPriceSansFee(tokenIn, tokenOut) {
+		_require(this.isBound(tokenIn) && this.isBound(tokenOut), Err.NOT_BOUND);
+		const tokenGlobalIn = this._getTokenLatestInfo(tokenIn);
+		const tokenGlobalOut = this._getTokenLatestInfo(tokenOut);
+		return calcSpotPrice(
+			tokenGlobalIn.balance,
+			tokenGlobalIn.weight,
+			tokenGlobalOut.balance,
+			tokenGlobalOut.weight,
+			0
+		);
+	}
+
+	setSwapFee(swapFee) {
+		_require(!this.finalized, Err.IS_FINALIZED);
+		_require(Decimal(swapFee).gte(MIN_FEE), Err.MIN_FEE);
+		_require(Decimal(swapFee).lte(MAX_FEE), Err.MAX_FEE);
+		this.swapFee = Decimal(swapFee);
+	}
+
+	setPublicSwap(publicSwap) {
+		_require(!this.finalized, Err.IS_FINALIZED);
+		this.publicSwap = publicSwap;
+	}
+
+	setDynamicCoverageFeesZ(dynamicCoverageFeesZ) {
+		_require(!this.finalized, Err.IS_FINALIZED);
+		this.dynamicCoverageFeesZ = Decimal(dynamicCoverageFeesZ);
+	}
+
+	setDynamicCoverageFeesHorizon(dynamicCoverageFeesHorizon) {
+		_require(!this.finalized, Err.IS_FINALIZED);
+		_require(Decimal(dynamicCoverageFeesHorizon).gte(MIN_HORIZON), Err.MIN_HORIZON);
+		this.dynamicCoverageFeesHorizon = Decimal(dynamicCoverageFeesHorizon);
+	}
+
+	setMaxPriceUnpegRatio(maxPriceUnpegRatio) {
+		_require(Decimal(maxPriceUnpegRatio).gte(MIN_MAX_PRICE_UNPEG_RATIO), Err.MIN_MAX_PRICE_UNPEG_RATIO);
+		_require(Decimal(maxPriceUnpegRatio).lte(MAX_MAX_PRICE_UNPEG_RATIO), Err.MAX_MAX_PRICE_UNPEG_RATIO);
+		this.maxPriceUnpegRatio = Decimal(maxPriceUnpegRatio);
+	}
+
+	// GBM estimates (see gbm_oracle.js) of the price of tokenOut in tokenIn terms
+	setPriceStatistics(tokenIn, tokenOut, mean, variance) {
+		this.priceStatistics[`${tokenIn}/${tokenOut}`] = { mean: Decimal(mean), variance: Decimal(variance) };
+	}
+
+	// new oracle answer, inCurrentBlock triggers the adaptive fees of joinswaps and exitswaps
+	setLatestPrice(token, price, inCurrentBlock = true) {
+		_require(this.isBound(token), Err.NOT_BOUND);
+		this.records[token].latestPrice = Decimal(price);
+		this.records[token].priceUpdatedInBlock = inCurrentBlock;
+	}
+
+	advanceBlock() {
+		this.tokens.forEach(t => { this.records[t].priceUpdatedInBlock = false; });
+	}
+
+	bindMMM(token, balance, denorm, price) {
+		_require(!this.isBound(token), Err.IS_BOUND);
+		_require(this.tokens.length < MAX_BOUND_TOKENS, Err.MAX_TOKENS);
+		this._checkRebindMMM(token, balance, denorm);
+		this.tokens.push(token);
+		this.records[token] = { denorm: Decimal(0), balance: Decimal(0) };
+		this._rebindMMM(token, balance, denorm, price);
+	}
+
+	rebindMMM(token, balance, denorm, price) {
+		_require(this.isBound(token), Err.NOT_BOUND);
+		this._checkRebindMMM(token, balance, denorm);
+		this._rebindMMM(token, balance, denorm, price);
+	}
+
+	unbindMMM(token) {
+		_require(this.isBound(token), Err.NOT_BOUND);
+		_require(!this.finalized, Err.IS_FINALIZED);
+		this.totalWeight = this.totalWeight.sub(this.records[token].denorm);
+		// swap the token-to-unbind with the last token, then delete the last token
+		const index = this.tokens.indexOf(token);
+		this.tokens[index] = this.tokens[this.tokens.length - 1];
+		this.tokens.pop();
+		delete this.records[token];
+	}
+
+	finalize() {
+		_require(!this.finalized, Err.IS_FINALIZED);
+		_require(this.tokens.length >= MIN_BOUND_TOKENS, Err.MIN_TOKENS);
+		this.finalized = true;
+		this.publicSwap = true;
+		this.totalSupply = this.totalSupply.add(INIT_POOL_SUPPLY);
+	}
+
+	joinPool(poolAmountOut, maxAmountsIn) {
+		_require(this.finalized, Err.NOT_FINALIZED);
+		_require(maxAmountsIn.length == this.tokens.length, Err.INPUT_LENGTH_MISMATCH);
+
+		const ratio = Decimal(poolAmountOut).div(this.totalSupply);
+		_require(!ratio.isZero(), Err.MATH_APPROX);
+
+		const tokenAmountsIn = this.tokens.map((t, i) => {
+			const tokenAmountIn = ratio.mul(this.records[t].balance);
+			_require(!tokenAmountIn.isZero(), Err.MATH_APPROX);
+			_require(tokenAmountIn.lte(maxAmountsIn[i]), Err.LIMIT_IN);
+			return tokenAmountIn;
+		});
+
+		this.tokens.forEach((t, i) => {
+			this.records[t].balance = this.records[t].balance.add(tokenAmountsIn[i]);
+		});
+		this.totalSupply = this.totalSupply.add(poolAmountOut);
+		return tokenAmountsIn;
+	}
+
+	getExitPool(poolAmountIn) {
+		_require(this.finalized, Err.NOT_FINALIZED);
+		const pAiAfterExitFee = Decimal(poolAmountIn).mul(1 - EXIT_FEE);
+		const ratio = pAiAfterExitFee.div(this.totalSupply);
+		return this.tokens.map(t => {
+			const tokenAmountOut = ratio.mul(this.records[t].balance);
+			_require(!tokenAmountOut.isZero(), Err.MATH_APPROX);
+			return tokenAmountOut;
+		});
+	}
+
+	exitPool(poolAmountIn, minAmountsOut) {
+		_require(this.finalized, Err.NOT_FINALIZED);
+		_require(minAmountsOut.length == this.tokens.length, Err.INPUT_LENGTH_MISMATCH);
+		_require(!Decimal(poolAmountIn).isZero(), Err.MATH_APPROX);
+
+		const tokenAmountsOut = this.getExitPool(poolAmountIn);
+		tokenAmountsOut.forEach((tokenAmountOut, i) => {
+			_require(tokenAmountOut.gte(minAmountsOut[i]), Err.LIMIT_OUT);
+		});
+
+		this.tokens.forEach((t, i) => {
+			this.records[t].balance = this.records[t].balance.sub(tokenAmountsOut[i]);
+		});
+		this.totalSupply = this.totalSupply.sub(Decimal(poolAmountIn).mul(1 - EXIT_FEE));
+		return tokenAmountsOut;
+	}
+
+	getAmountOutGivenInMMM(tokenIn, tokenAmountIn, tokenOut, minAmountOut, maxPrice) {
+		_require(this.isBound(tokenIn) && this.isBound(tokenOut), Err.NOT_BOUND);
+		_require(this.publicSwap, Err.SWAP_NOT_PUBLIC);
+		_require(Decimal(tokenAmountIn).lte(this.records[tokenIn].balance.mul(MAX_IN_RATIO)), Err.MAX_IN_RATIO);
+
+		const tokenGlobalIn = this._getTokenLatestInfo(tokenIn);
+		const tokenGlobalOut = this._getTokenLatestInfo(tokenOut);
+		const relativePrice = tokenGlobalOut.price.div(tokenGlobalIn.price);
+
+		const spotPriceBefore = calcSpotPrice(
+			tokenGlobalIn.balance, tokenGlobalIn.weight,
+			tokenGlobalOut.balance, tokenGlobalOut.weight,
+			this.swapFee
+		);
+		_require(spotPriceBefore.lte(maxPrice), Err.BAD_LIMIT_PRICE);
+
+		const { mean, variance } = this._getPriceStatistics(tokenIn, tokenOut);
+		let [amount, spread] = calcOutGivenInMMM(
+			tokenGlobalIn.balance, tokenGlobalIn.weight,
+			tokenGlobalOut.balance, tokenGlobalOut.weight,
+			Decimal(tokenAmountIn),
+			this.swapFee,
+			mean, variance,
+			this.dynamicCoverageFeesZ, this.dynamicCoverageFeesHorizon,
+			relativePrice
+		);
+		_require(amount.gte(minAmountOut), Err.LIMIT_OUT);
+
+		const spotPriceAfter = calcSpotPrice(
+			tokenGlobalIn.balance.add(tokenAmountIn), tokenGlobalIn.weight,
+			tokenGlobalOut.balance.sub(amount), tokenGlobalOut.weight,
+			this.swapFee
+		);
+		_require(spotPriceAfter.gte(spotPriceBefore), Err.MATH_APPROX);
+		const maxAmount = Decimal(tokenAmountIn).div(spotPriceBefore);
+		if (amount.gt(maxAmount)) {
+			amount = maxAmount;
+		}
+		this._checkSwapPrice(spotPriceAfter, relativePrice);
+
+		return [
+			{ amount, spread },
+			{ spotPriceBefore, spotPriceAfter, priceIn: tokenGlobalIn.price, priceOut: tokenGlobalOut.price }
+		];
+	}
+
+	swapExactAmountInMMM(tokenIn, tokenAmountIn, tokenOut, minAmountOut, maxPrice) {
+		const [swapResult, priceResult] = this.getAmountOutGivenInMMM(
+			tokenIn, tokenAmountIn, tokenOut, minAmountOut, maxPrice
+		);
+		this.records[tokenIn].balance = this.records[tokenIn].balance.add(tokenAmountIn);
+		this.records[tokenOut].balance = this.records[tokenOut].balance.sub(swapResult.amount);
+		return [swapResult.amount, priceResult.spotPriceAfter];
+	}
+
+	getAmountInGivenOutMMM(tokenIn, maxAmountIn, tokenOut, tokenAmountOut, maxPrice) {
+		_require(this.isBound(tokenIn) && this.isBound(tokenOut), Err.NOT_BOUND);
+		_require(this.publicSwap, Err.SWAP_NOT_PUBLIC);
+		_require(Decimal(tokenAmountOut).lte(this.records[tokenOut].balance.mul(MAX_OUT_RATIO)), Err.MAX_OUT_RATIO);
+
+		const tokenGlobalIn = this._getTokenLatestInfo(tokenIn);
+		const tokenGlobalOut = this._getTokenLatestInfo(tokenOut);
+		const relativePrice = tokenGlobalOut.price.div(tokenGlobalIn.price);
+
+		const spotPriceBefore = calcSpotPrice(
+			tokenGlobalIn.balance, tokenGlobalIn.weight,
+			tokenGlobalOut.balance, tokenGlobalOut.weight,
+			this.swapFee
+		);
+		_require(spotPriceBefore.lte(maxPrice), Err.BAD_LIMIT_PRICE);
+
+		const { mean, variance } = this._getPriceStatistics(tokenIn, tokenOut);
+		let [amount, spread] = calcInGivenOutMMM(
+			tokenGlobalIn.balance, tokenGlobalIn.weight,
+			tokenGlobalOut.balance, tokenGlobalOut.weight,
+			Decimal(tokenAmountOut),
+			this.swapFee,
+			mean, variance,
+			this.dynamicCoverageFeesZ, this.dynamicCoverageFeesHorizon,
+			relativePrice
+		);
+		_require(amount.lte(maxAmountIn), Err.LIMIT_IN);
+
+		const spotPriceAfter = calcSpotPrice(
+			tokenGlobalIn.balance.add(amount), tokenGlobalIn.weight,
+			tokenGlobalOut.balance.sub(tokenAmountOut), tokenGlobalOut.weight,
+			this.swapFee
+		);
+		_require(spotPriceAfter.gte(spotPriceBefore), Err.MATH_APPROX);
+		const minAmount = spotPriceBefore.mul(tokenAmountOut);
+		if (amount.lt(minAmount)) {
+			amount = minAmount;
+		}
+		this._checkSwapPrice(spotPriceAfter, relativePrice);
+
+		return [
+			{ amount, spread },
+			{ spotPriceBefore, spotPriceAfter, priceIn: tokenGlobalIn.price, priceOut: tokenGlobalOut.price }
+		];
+	}
+
+	swapExactAmountOutMMM(tokenIn, maxAmountIn, tokenOut, tokenAmountOut, maxPrice) {
+		const [swapResult, priceResult] = this.getAmountInGivenOutMMM(
+			tokenIn, maxAmountIn, tokenOut, tokenAmountOut, maxPrice
+		);
+		this.records[tokenIn].balance = this.records[tokenIn].balance.add(swapResult.amount);
+		this.records[tokenOut].balance = this.records[tokenOut].balance.sub(tokenAmountOut);
+		return [swapResult.amount, priceResult.spotPriceAfter];
+	}
+
+	getJoinswapExternAmountInMMM(tokenIn, tokenAmountIn) {
+		_require(this.finalized, Err.NOT_FINALIZED);
+		_require(this.isBound(tokenIn), Err.NOT_BOUND);
+		_require(Decimal(tokenAmountIn).lte(this.records[tokenIn].balance.mul(MAX_IN_RATIO)), Err.MAX_IN_RATIO);
+
+		const tokenInInfo = this._getTokenLatestInfo(tokenIn);
+		const remainingTokens = this.tokens.filter(t => t != tokenIn);
+		const remainingTokensInfo = remainingTokens.map(t => this._getTokenLatestInfo(t));
+		// the remaining tokens are considered in shortage
+		const statistics = remainingTokens.map(t => this._getPriceStatistics(tokenIn, t));
+
+		const poolAmountOut = calcPoolOutGivenSingleInMMM(
+			tokenInInfo.balance,
+			tokenInInfo.weight,
+			tokenInInfo.price,
+			remainingTokensInfo.map(info => info.balance),
+			remainingTokensInfo.map(info => info.weight),
+			remainingTokensInfo.map(info => info.price),
+			this.totalSupply,
+			Decimal(tokenAmountIn),
+			this.swapFee,
+			this._blockHasPriceUpdate(),
+			statistics.map(s => s.mean),
+			statistics.map(s => s.variance),
+			this.dynamicCoverageFeesZ,
+			this.dynamicCoverageFeesHorizon
+		);
+
+		tokenInInfo.balance = tokenInInfo.balance.add(tokenAmountIn);
+		this._checkJoinSwapPrices(tokenInInfo, remainingTokensInfo);
+
+		return poolAmountOut;
+	}
+
+	joinswapExternAmountInMMM(tokenIn, tokenAmountIn, minPoolAmountOut) {
+		const poolAmountOut = this.getJoinswapExternAmountInMMM(tokenIn, tokenAmountIn);
+		_require(poolAmountOut.gte(minPoolAmountOut), Err.LIMIT_OUT);
+
+		this.records[tokenIn].balance = this.records[tokenIn].balance.add(tokenAmountIn);
+		this.totalSupply = this.totalSupply.add(poolAmountOut);
+		return poolAmountOut;
+	}
+
+	exitswapPoolAmountInMMM(tokenOut, poolAmountIn, minAmountOut) {
+		_require(this.finalized, Err.NOT_FINALIZED);
+		_require(this.isBound(tokenOut), Err.NOT_BOUND);
+
+		const tokenOutInfo = this._getTokenLatestInfo(tokenOut);
+		const remainingTokens = this.tokens.filter(t => t != tokenOut);
+		const remainingTokensInfo = remainingTokens.map(t => this._getTokenLatestInfo(t));
+		// the remaining tokens are considered in abundance
+		const statistics = remainingTokens.map(t => this._getPriceStatistics(t, tokenOut));
+
+		const tokenAmountOut = calcSingleOutGivenPoolInMMM(
+			tokenOutInfo.balance,
+			tokenOutInfo.weight,
+			tokenOutInfo.price,
+			remainingTokensInfo.map(info => info.balance),
+			remainingTokensInfo.map(info => info.weight),
+			remainingTokensInfo.map(info => info.price),
+			this.totalSupply,
+			Decimal(poolAmountIn),
+			this.swapFee,
+			this._blockHasPriceUpdate(),
+			statistics.map(s => s.mean),
+			statistics.map(s => s.variance),
+			this.dynamicCoverageFeesZ,
+			this.dynamicCoverageFeesHorizon
+		);
+		_require(tokenAmountOut.lte(this.records[tokenOut].balance.mul(MAX_OUT_RATIO)), Err.MAX_OUT_RATIO);
+		_require(tokenAmountOut.gte(minAmountOut), Err.LIMIT_OUT);
+
+		tokenOutInfo.balance = tokenOutInfo.balance.sub(tokenAmountOut);
+		this._checkExitSwapPrices(tokenOutInfo, remainingTokensInfo);
+
+		this.records[tokenOut].balance = tokenOutInfo.balance;
+		this.totalSupply = this.totalSupply.sub(Decimal(poolAmountIn).mul(1 - EXIT_FEE));
+		return tokenAmountOut;
+	}
+
+	_checkRebindMMM(token, balance, denorm) {
+		_require(!this.finalized, Err.IS_FINALIZED);
+		_require(Decimal(denorm).gte(MIN_WEIGHT), Err.MIN_WEIGHT);
+		_require(Decimal(denorm).lte(MAX_WEIGHT), Err.MAX_WEIGHT);
+		_require(Decimal(balance).gte(MIN_BALANCE), Err.MIN_BALANCE);
+		const oldWeight = this.isBound(token) ? this.records[token].denorm : Decimal(0);
+		_require(this.totalWeight.sub(oldWeight).add(denorm).lte(MAX_TOTAL_WEIGHT), Err.MAX_TOTAL_WEIGHT);
+	}
+
+	_rebindMMM(token, balance, denorm, price) {
+		const record = this.records[token];
+		this.totalWeight = this.totalWeight.sub(record.denorm).add(denorm);
+		record.denorm = Decimal(denorm);
+		record.balance = Decimal(balance);
+		record.initialPrice = Decimal(price);
+		record.latestPrice = Decimal(price);
+		record.priceUpdatedInBlock = false;
+	}
+
+	// the weight is adjusted by the token's price performance since it was bound
+	_getTokenLatestInfo(token) {
+		const record = this.records[token];
+		return {
+			balance: record.balance,
+			weight: record.denorm.mul(record.latestPrice.div(record.initialPrice)),
+			price: record.latestPrice
+		};
+	}
+
+	_getPriceStatistics(tokenIn, tokenOut) {
+		return this.priceStatistics[`${tokenIn}/${tokenOut}`] || { mean: Decimal(0), variance: Decimal(0) };
+	}
+
+	_blockHasPriceUpdate() {
+		return this.tokens.some(t => this.records[t].priceUpdatedInBlock);
+	}
+
+	_checkSwapPrice(spotPriceAfter, relativePrice) {
+		_require(
+			spotPriceAfter.mul(Decimal(1).sub(this.swapFee)).div(relativePrice).lte(this.maxPriceUnpegRatio),
+			Err.MAX_PRICE_UNPEG_RATIO
+		);
+	}
+
+	// spot prices of the remaining tokens are computed in terms of tokenIn
+	_checkJoinSwapPrices(tokenInInfo, remainingTokensInfo) {
+		remainingTokensInfo.forEach(info => {
+			const spotPriceAfter = calcSpotPrice(tokenInInfo.balance, tokenInInfo.weight, info.balance, info.weight, 0);
+			_require(
+				spotPriceAfter.div(info.price.div(tokenInInfo.price)).lte(this.maxPriceUnpegRatio),
+				Err.MAX_PRICE_UNPEG_RATIO
+			);
+		});
+	}
+
+	// spot price of tokenOut is computed in terms of the remaining tokens independently
+	_checkExitSwapPrices(tokenOutInfo, remainingTokensInfo) {
+		remainingTokensInfo.forEach(info => {
+			const spotPriceAfter = calcSpotPrice(info.balance, info.weight, tokenOutInfo.balance, tokenOutInfo.weight, 0);
+			_require(
+				spotPriceAfter.div(tokenOutInfo.price.div(info.price)).lte(this.maxPriceUnpegRatio),
+				Err.MAX_PRICE_UNPEG_RATIO
+			);
+		});
+	}
+
+}
+
+module.exports = {
+    PoolSimulator
+};
@@ -0,0 +1,330 @@
+const num = require('./num');
+const { PoolReplayer } = require('./replayer');
+
+/*
+	LP positions of a pool, from its history (see replayer.js). The pool token being a plain ERC20, a position is
+	an address's pool shares together with the tokens it deposited for them (its cost basis):
+	- joins (LOG_JOIN) and the controller's bound balances at finalize add to the depositor's cost basis
+	- exits (LOG_EXIT) are the address's withdrawals, the shares leaving it retire the matching part of its cost basis
+	- a transfer of shares between two addresses moves the matching part of the sender's cost basis
+	Values are computed at oracle prices (18 decimals, in the oracles' quote currency): deposits and withdrawals at
+	the prices of their block, swaps at the prices they logged, positions at the prices of the report's block.
+	The trading income of a swap is the value it left in the pool (amount in minus amount out at the swap's oracle
+	prices: fees, spread and curve slippage), shared among the holders of the pool token at that time.
+	Amounts are BigInts in wei.
+*/
+
+// Const.sol
+const EXIT_FEE = 0n;
+
+const NULL_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const DECIMALS_ABI = [{
+	inputs: [],
+	name: 'decimals',
+	outputs: [{ internalType: 'uint8', name: '', type: 'uint8' }],
+	stateMutability: 'view',
+	type: 'function'
+}];
+
+const LATEST_ROUND_DATA_ABI = [{
+	inputs: [],
+	name: 'latestRoundData',
+	outputs: [
+		{ internalType: 'uint80', name: 'roundId', type: 'uint80' },
+		{ internalType: 'int256', name: 'answer', type: 'int256' },
+		{ internalType: 'uint256', name: 'startedAt', type: 'uint256' },
+		{ internalType: 'uint256', name: 'updatedAt', type: 'uint256' },
+		{ internalType: 'uint80', name: 'answeredInRound', type: 'uint80' }
+	],
+	stateMutability: 'view',
+	type: 'function'
+}];
+
+// Pool.getExitPool, given a replayed state; dust positions get amounts of 0 where the pool reverts with MATH_APPROX
+function getExitPool(state, poolAmountIn) {
+	if (poolAmountIn == 0n || state.totalSupply == 0n) {
+		return state.tokens.map(() => 0n);
+	}
+	const exitFee = num.mul(poolAmountIn, EXIT_FEE);
+	const ratio = num.divTruncated(poolAmountIn - exitFee, state.totalSupply);
+	return state.tokens.map(token => num.mulTruncated(ratio, state.records[token].balance));
+}
+
+// value of an amount of token at an oracle price, decimals being the token's decimals + the oracle's decimals
+function _value(amount, price, decimals) {
+	return amount * price * num.ONE / 10n ** BigInt(decimals);
+}
+
+function _newPosition(address) {
+	return {
+		address,
+		shares: 0n,
+		costBasis: {},
+		depositedValue: 0n,
+		withdrawn: {},
+		withdrawnValue: 0n,
+		// deposited value of the shares which left the address
+		retiredValue: 0n,
+		tradingIncome: 0n
+	};
+}
+
+function _add(amounts, token, amount) {
+	amounts[token] = (amounts[token] || 0n) + amount;
+}
+
+// removes the part of the position's shares and cost basis matching amount shares, returns the removed part
+function _takeShares(position, amount) {
+	const part = { costBasis: {}, depositedValue: 0n };
+	if (position.shares > 0n) {
+		for (const [token, basis] of Object.entries(position.costBasis)) {
+			part.costBasis[token] = basis * amount / position.shares;
+			position.costBasis[token] -= part.costBasis[token];
+		}
+		part.depositedValue = position.depositedValue * amount / position.shares;
+		position.depositedValue -= part.depositedValue;
+	}
+	position.shares -= amount;
+	return part;
+}
+
+function _giveShares(position, amount, part) {
+	position.shares += amount;
+	Object.entries(part.costBasis).forEach(([token, basis]) => _add(position.costBasis, token, basis));
+	position.depositedValue += part.depositedValue;
+}
+
+function _toStrings(value) {
+	if (typeof value == 'bigint') {
+		return value.toString();
+	}
+	if (Array.isArray(value)) {
+		return value.map(_toStrings);
+	}
+	if (value !== null && typeof value == 'object') {
+		return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, _toStrings(v)]));
+	}
+	return value;
+}
+
+class PositionTracker {
+
+	/*
+		replayer: PoolReplayer of the pool
+		options:
+		- tokenDecimals: token --> the token's decimals
+		- getPrice: async (token, oracle, blockNumber) --> the oracle's latest answer at the end of the block
+	*/
+	constructor(replayer, options) {
+		this.replayer = replayer;
+		this.tokenDecimals = options.tokenDecimals;
+		this.getPrice = options.getPrice;
+		this._prices = new Map();
+	}
+
+	/*
+		Reads the pool's history (see PoolReplayer.fromChain for the options) and its tokens' decimals.
+		Prices are read with the oracles' latestRoundData at the blocks of the deposits and withdrawals, which the
+		node must be able to serve (e.g. an archive node): options.getPrice replaces it (e.g. looking the
+		oracles' rounds up with data.js).
+	*/
+	static async fromChain(pool, options) {
+		const { web3: web3Instance = global.web3 } = options;
+		const replayer = await PoolReplayer.fromChain(pool, options);
+		const tokens = new Set(replayer.events
+			.filter(e => e.event == 'LOG_CALL' && e.call.method == 'bindMMM')
+			.map(e => e.call.args.token));
+		const tokenDecimals = {};
+		for (const token of tokens) {
+			const erc20 = new web3Instance.eth.Contract(DECIMALS_ABI, token);
+			try {
+				tokenDecimals[token] = Number(await erc20.methods.decimals().call());
+			} catch (e) {
+				// the pool counts tokens without decimals() as 0 decimals tokens
+				tokenDecimals[token] = 0;
+			}
+		}
+		const getPrice = options.getPrice || (async (token, oracle, blockNumber) => {
+			const aggregator = new web3Instance.eth.Contract(LATEST_ROUND_DATA_ABI, oracle);
+			const { answer } = await aggregator.methods.latestRoundData().call({}, blockNumber);
+			return BigInt(answer);
+		});
+		return new PositionTracker(replayer, { tokenDecimals, getPrice });
+	}
+
+	async _loadPrice(token, oracle, blockNumber) {
+		const key = `${oracle}-${blockNumber}`;
+		if (!this._prices.has(key)) {
+			this._prices.set(key, BigInt(await this.getPrice(token, oracle, blockNumber)));
+		}
+	}
+
+	_price(oracle, blockNumber) {
+		return this._prices.get(`${oracle}-${blockNumber}`);
+	}
+
+	_decimals(state, token) {
+		return this.tokenDecimals[token] + state.records[token].oracleDecimals;
+	}
+
+	/*
+		Positions at the end of the block (the last block of the history by default).
+		Returns { blockNumber, totalSupply, prices, positions }, prices mapping the bound tokens to their oracle's
+		answer and positions being, for every address which held pool shares:
+		{ address, shares, share, costBasis, depositedValue, redeemable, currentValue, holdValue, withdrawn,
+		withdrawnValue, realizedPnl, tradingIncome, pnl, pnlVsHold }
+		- share: the address's part of the supply (18 decimals)
+		- costBasis, depositedValue: the tokens deposited for the shares held, and their value at entry
+		- redeemable, currentValue: the tokens an exitPool of all the shares would return, and their value
+		- holdValue: the current value of the cost basis, had it been held instead
+		- withdrawn, withdrawnValue: the tokens received by the exits, and their value at exit
+		- realizedPnl: withdrawnValue minus the deposited value of the shares spent by the exits
+		- pnl: currentValue - depositedValue + realizedPnl; pnlVsHold: currentValue - holdValue
+	*/
+	async getPositions(blockNumber) {
+		const { events } = this.replayer;
+		if (blockNumber === undefined) {
+			blockNumber = events.length == 0 ? 0 : events[events.length - 1].blockNumber;
+		}
+
+		// the prices of the deposits and withdrawals are loaded beforehand, the replay being synchronous
+		const pricesToLoad = [];
+		let finalizeTransaction = null;
+		this.replayer.replay((event, state) => {
+			if (event.event == 'LOG_CALL' && event.call.method == 'finalize') {
+				finalizeTransaction = event.transactionHash;
+				state.tokens.forEach(token => pricesToLoad.push([token, state.records[token].oracle, event.blockNumber]));
+			} else if (event.event == 'LOG_JOIN' || event.event == 'LOG_EXIT') {
+				const token = event.event == 'LOG_JOIN' ? event.args.tokenIn : event.args.tokenOut;
+				pricesToLoad.push([token, state.records[token].oracle, event.blockNumber]);
+			}
+		}, blockNumber);
+		const finalState = this.replayer.getStateAt(blockNumber);
+		finalState.tokens.forEach(token => pricesToLoad.push([token, finalState.records[token].oracle, blockNumber]));
+		for (const [token, oracle, block] of pricesToLoad) {
+			await this._loadPrice(token, oracle, block);
+		}
+
+		const positions = new Map();
+		const getPosition = address => {
+			if (!positions.has(address)) {
+				positions.set(address, _newPosition(address));
+			}
+			return positions.get(address);
+		};
+		const pool = this.replayer.pool.toLowerCase();
+		const isPool = address => address.toLowerCase() == pool;
+
+		this.replayer.replay((event, state) => {
+			const { args } = event;
+			if (event.event == 'LOG_JOIN') {
+				const position = getPosition(args.caller);
+				const amount = BigInt(args.tokenAmountIn);
+				const price = this._price(state.records[args.tokenIn].oracle, event.blockNumber);
+				_add(position.costBasis, args.tokenIn, amount);
+				position.depositedValue += _value(amount, price, this._decimals(state, args.tokenIn));
+			} else if (event.event == 'LOG_EXIT') {
+				const position = getPosition(args.caller);
+				const amount = BigInt(args.tokenAmountOut);
+				const price = this._price(state.records[args.tokenOut].oracle, event.blockNumber);
+				_add(position.withdrawn, args.tokenOut, amount);
+				position.withdrawnValue += _value(amount, price, this._decimals(state, args.tokenOut));
+			} else if (event.event == 'LOG_SWAP' && state.totalSupply > 0n) {
+				const income = _value(BigInt(args.tokenAmountIn), BigInt(args.priceIn), this._decimals(state, args.tokenIn))
+					- _value(BigInt(args.tokenAmountOut), BigInt(args.priceOut), this._decimals(state, args.tokenOut));
+				positions.forEach(position => {
+					position.tradingIncome += income * position.shares / state.totalSupply;
+				});
+			} else if (event.event == 'Transfer' && args.from != NULL_ADDRESS && args.to != NULL_ADDRESS && args.value != '0') {
+				const amount = BigInt(args.value);
+				if (isPool(args.from)) {
+					// shares minted by a join, or the exit fee
+					const position = getPosition(args.to);
+					_giveShares(position, amount, { costBasis: {}, depositedValue: 0n });
+					if (event.transactionHash == finalizeTransaction) {
+						// the controller's bound balances
+						state.tokens.forEach(token => {
+							const { balance, oracle } = state.records[token];
+							_add(position.costBasis, token, balance);
+							position.depositedValue += _value(balance, this._price(oracle, event.blockNumber), this._decimals(state, token));
+						});
+					}
+				} else if (isPool(args.to)) {
+					// shares pulled by an exit
+					const position = getPosition(args.from);
+					position.retiredValue += _takeShares(position, amount).depositedValue;
+				} else {
+					const part = _takeShares(getPosition(args.from), amount);
+					_giveShares(getPosition(args.to), amount, part);
+				}
+			}
+		}, blockNumber);
+
+		const prices = Object.fromEntries(finalState.tokens.map(token => [
+			token, this._price(finalState.records[token].oracle, blockNumber)
+		]));
+		const valueOf = amounts => Object.entries(amounts)
+			.filter(([token]) => prices[token] !== undefined)
+			.reduce((acc, [token, amount]) => acc + _value(amount, prices[token], this._decimals(finalState, token)), 0n);
+
+		return {
+			blockNumber,
+			totalSupply: finalState.totalSupply,
+			prices,
+			positions: [...positions.values()].map(position => {
+				const redeemable = Object.fromEntries(
+					getExitPool(finalState, position.shares).map((amount, i) => [finalState.tokens[i], amount])
+				);
+				const currentValue = valueOf(redeemable);
+				const holdValue = valueOf(position.costBasis);
+				const realizedPnl = position.withdrawnValue - position.retiredValue;
+				return {
+					address: position.address,
+					shares: position.shares,
+					share: finalState.totalSupply == 0n ? 0n : position.shares * num.ONE / finalState.totalSupply,
+					costBasis: position.costBasis,
+					depositedValue: position.depositedValue,
+					redeemable,
+					currentValue,
+					holdValue,
+					withdrawn: position.withdrawn,
+					withdrawnValue: position.withdrawnValue,
+					realizedPnl,
+					tradingIncome: position.tradingIncome,
+					pnl: currentValue - position.depositedValue + realizedPnl,
+					pnlVsHold: currentValue - holdValue
+				};
+			})
+		};
+	}
+
+}
+
+// the report of PositionTracker.getPositions as JSON, amounts as strings
+function positionsToJSON(report) {
+	return JSON.stringify(_toStrings(report), null, 2);
+}
+
+// one line per position, the per-token amounts in <field>:<token> columns
+function positionsToCsv(report) {
+	const tokens = Object.keys(report.prices);
+	const fields = [
+		'address', 'shares', 'share', 'depositedValue', 'currentValue', 'holdValue', 'withdrawnValue',
+		'realizedPnl', 'tradingIncome', 'pnl', 'pnlVsHold'
+	];
+	const perToken = ['costBasis', 'redeemable', 'withdrawn'];
+	const header = fields.concat(...perToken.map(field => tokens.map(token => `${field}:${token}`)));
+	const lines = report.positions.map(position => fields
+		.map(field => position[field].toString())
+		.concat(...perToken.map(field => tokens.map(token => (position[field][token] || 0n).toString())))
+		.join(','));
+	return [header.join(','), ...lines].join('\n') + '\n';
+}
+
+module.exports = {
+    getExitPool,
+    PositionTracker,
+    positionsToJSON,
+    positionsToCsv
+};
@@ -0,0 +1,382 @@
+const AggregatorV3Interface = require('@chainlink/contracts/abi/v0.8/AggregatorV3Interface.json');
+const { Err, formatSwaapError, parseSwaapError } = require('./errors');
+const {
+	ORACLE_TIMEOUT, getRoundDataFromRounds, getLatestRound, getTokenRelativePrice
+} = require('./chainlink_utils');
+const { getHistoricalRoundIds } = require('./geometric_brownian_motion_oracle');
+const { readRounds } = require('./data');
+const { getAdjustedWeight } = require('./unpeg');
+const math = require('./math');
+const num = require('./num');
+
+// Const.sol
+const MAX_IN_RATIO = num.ONE / 2n;
+const MAX_OUT_RATIO = num.ONE / 3n + 1n;
+const FALLBACK_SPREAD = 3n * num.ONE / 1000n;
+
+const MAX_UINT256 = 2n ** 256n - 1n;
+
+const DECIMALS_ABI = [{
+	inputs: [],
+	name: 'decimals',
+	outputs: [{ internalType: 'uint8', name: '', type: 'uint8' }],
+	stateMutability: 'view',
+	type: 'function'
+}];
+
+function _require(condition, errorCode) {
+	if (!condition) {
+		throw new Error(formatSwaapError(errorCode));
+	}
+}
+
+// Pool._tryGetTokenDecimals
+async function _tryGetTokenDecimals(token, web3Instance, blockNumber) {
+	try {
+		return Number(await new web3Instance.eth.Contract(DECIMALS_ABI, token).methods.decimals().call({}, blockNumber));
+	} catch (e) {
+		return 0;
+	}
+}
+
+async function _readTokenState(pool, token, oracleRoundIds, web3Instance, blockNumber) {
+	const [balance, denorm, initialPrice, oracleAddress] = await Promise.all([
+		pool.getBalance(token, blockNumber),
+		pool.getDenormalizedWeight(token, blockNumber),
+		pool.getTokenOracleInitialPrice(token, blockNumber),
+		pool.getTokenPriceOracle(token, blockNumber)
+	]);
+	const oracle = new web3Instance.eth.Contract(AggregatorV3Interface.compilerOutput.abi, oracleAddress);
+	const [oracleDecimals, tokenDecimals, latestRoundData] = await Promise.all([
+		oracle.methods.decimals().call({}, blockNumber),
+		_tryGetTokenDecimals(token, web3Instance, blockNumber),
+		oracle.methods.latestRoundData().call({}, blockNumber)
+	]);
+	const latestRound = {
+		roundId: latestRoundData.roundId.toString(),
+		price: latestRoundData.answer.toString(),
+		timestamp: parseInt(latestRoundData.updatedAt)
+	};
+	const rounds = await readRounds(oracle, oracleRoundIds(latestRound), { web3: web3Instance, blockNumber });
+	return {
+		address: token,
+		oracle: oracleAddress,
+		decimals: Number(oracleDecimals) + tokenDecimals,
+		balance: BigInt(balance.toString()),
+		denorm: BigInt(denorm.toString()),
+		initialPrice: BigInt(initialPrice.toString()),
+		latestRound,
+		rounds
+	};
+}
+
+// rounds of the current block preceding the latest one, as read by ChainlinkUtils.getMaxRelativePriceInLastBlock
+async function _readLastBlockRounds(oracleAddress, latestRound, timestamp, web3Instance, blockNumber) {
+	const oracle = new web3Instance.eth.Contract(AggregatorV3Interface.compilerOutput.abi, oracleAddress);
+	const rounds = [];
+	let round = latestRound;
+	while (round !== undefined && round.timestamp == timestamp && BigInt(round.roundId) > 0n) {
+		[round] = await readRounds(oracle, [BigInt(round.roundId) - 1n], { web3: web3Instance, blockNumber });
+		if (round !== undefined) {
+			rounds.push(round);
+			if (BigInt(round.price) == 0n) {
+				break;
+			}
+		}
+	}
+	return rounds;
+}
+
+// the named fields of a truffle struct return value
+function _fromStruct(struct, fields) {
+	return Object.fromEntries(fields.map(field => [field, BigInt(struct[field].toString())]));
+}
+
+const SWAP_RESULT_FIELDS = ['amount', 'spread', 'taxBaseIn'];
+const PRICE_RESULT_FIELDS = ['spotPriceBefore', 'spotPriceAfter', 'priceIn', 'priceOut'];
+
+/*
+	Off-chain quotes of a pool: the pool's state and the oracle rounds the MMM reads are fetched once by
+	Quoter.fromPool, then getAmountOutGivenInMMM / getAmountInGivenOutMMM reproduce the pool's view functions
+	locally (BigInt ports of Math.sol, GeometricBrownianMotionOracle.sol and ChainlinkUtils.sol) for any amount.
+	The state is read at this.blockNumber, the latest block by default, and quotes are computed as the view
+	functions called at that block do, i.e. with its timestamp (this.timestamp). The factory's pause is not checked.
+*/
+class Quoter {
+
+	constructor(pool, state) {
+		this.pool = pool;
+		Object.assign(this, state);
+	}
+
+	/*
+		pool: truffle instance of the pool
+		options:
+		- web3: web3 instance used for the oracles, the tokens and the batches (defaults to the global one)
+		- blockNumber: block the state is read at (defaults to the latest one)
+		- timestamp: block timestamp of the quotes (defaults to the timestamp of the block the state is read at)
+	*/
+	static async fromPool(pool, options = {}) {
+		const { web3: web3Instance = global.web3 } = options;
+		const block = await web3Instance.eth.getBlock(options.blockNumber !== undefined ? options.blockNumber : 'latest');
+		const blockNumber = Number(block.number);
+		const timestamp = Number(options.timestamp !== undefined ? options.timestamp : block.timestamp);
+
+		const [tokens, swapFee, publicSwap, coverageParameters] = await Promise.all([
+			pool.getTokens(blockNumber),
+			pool.getSwapFee(blockNumber),
+			pool.isPublicSwap(blockNumber),
+			pool.getCoverageParameters(blockNumber)
+		]);
+		const hpParameters = {
+			lookbackInRound: Number(coverageParameters.priceStatisticsLBInRound),
+			lookbackInSec: BigInt(coverageParameters.priceStatisticsLBInSec.toString()),
+			lookbackStepInRound: Number(coverageParameters.priceStatisticsLBStepInRound)
+		};
+		const historicalRoundIds = (latestRound) => getHistoricalRoundIds(
+			latestRound.roundId, hpParameters.lookbackInRound, hpParameters.lookbackStepInRound
+		);
+
+		const records = {};
+		for (const token of tokens) {
+			const record = await _readTokenState(pool, token, historicalRoundIds, web3Instance, blockNumber);
+			record.rounds.push(...await _readLastBlockRounds(
+				record.oracle, record.latestRound, timestamp, web3Instance, blockNumber
+			));
+			records[token] = record;
+		}
+
+		return new Quoter(pool, {
+			blockNumber,
+			timestamp,
+			tokens,
+			records,
+			swapFee: BigInt(swapFee.toString()),
+			publicSwap,
+			maxPriceUnpegRatio: BigInt(coverageParameters.maxPriceUnpegRatio.toString()),
+			gbmParameters: {
+				z: BigInt(coverageParameters.dynamicCoverageFeesZ.toString()),
+				horizon: BigInt(coverageParameters.dynamicCoverageFeesHorizon.toString())
+			},
+			hpParameters
+		});
+	}
+
+	_getRecord(token) {
+		const record = this.records[token];
+		_require(record !== undefined, Err.NOT_BOUND);
+		return record;
+	}
+
+	// Pool.getTokenLatestInfo
+	getTokenLatestInfo(token) {
+		const record = this._getRecord(token);
+		const latestRound = getLatestRound(record.latestRound, this.timestamp);
+		return {
+			info: {
+				decimals: record.decimals,
+				balance: record.balance,
+				weight: getAdjustedWeight(record.denorm, record.initialPrice, latestRound.price)
+			},
+			latestRound: { ...latestRound, getRoundData: getRoundDataFromRounds(record.rounds) }
+		};
+	}
+
+	// largest trade allowed by MAX_IN_RATIO and MAX_OUT_RATIO, returns { amountIn, amountOut }
+	getMaxTradeAmounts(tokenIn, tokenOut) {
+		return {
+			amountIn: num.mul(this._getRecord(tokenIn).balance, MAX_IN_RATIO),
+			amountOut: num.mul(this._getRecord(tokenOut).balance, MAX_OUT_RATIO)
+		};
+	}
+
+	/*
+		Last block timestamp at which the pool accepts a swap as far as the oracles are concerned: past it, one
+		of the latest rounds is older than ORACLE_TIMEOUT (EXCEEDED_ORACLE_TIMEOUT), or than the stricter
+		oracleAgeToleranceInSec if given. Throws EXCEEDED_ORACLE_TIMEOUT if this.timestamp is already past it.
+	*/
+	getOracleDeadline(tokenIn, tokenOut, oracleAgeToleranceInSec = ORACLE_TIMEOUT) {
+		const tolerance = num.min(BigInt(oracleAgeToleranceInSec), ORACLE_TIMEOUT);
+		const deadline = num.min(
+			BigInt(this._getRecord(tokenIn).latestRound.timestamp),
+			BigInt(this._getRecord(tokenOut).latestRound.timestamp)
+		) + tolerance;
+		_require(BigInt(this.timestamp) <= deadline, Err.EXCEEDED_ORACLE_TIMEOUT);
+		return deadline;
+	}
+
+	_getHpParameters() {
+		return { ...this.hpParameters, timestamp: BigInt(this.timestamp) };
+	}
+
+	_requireUnpeg(tokenGlobalIn, tokenGlobalOut, spotPriceAfter) {
+		_require(
+			num.div(
+				num.mul(spotPriceAfter, num.ONE - this.swapFee),
+				getTokenRelativePrice(
+					tokenGlobalIn.latestRound.price, tokenGlobalIn.info.decimals,
+					tokenGlobalOut.latestRound.price, tokenGlobalOut.info.decimals
+				)
+			) <= this.maxPriceUnpegRatio,
+			Err.MAX_PRICE_UNPEG_RATIO
+		);
+	}
+
+	/*
+		Pool.getAmountOutGivenInMMM: returns { swapResult: { amount, spread, taxBaseIn },
+		priceResult: { spotPriceBefore, spotPriceAfter, priceIn, priceOut } } or throws the pool's error
+	*/
+	getAmountOutGivenInMMM(tokenIn, tokenAmountIn, tokenOut, minAmountOut = 0n, maxPrice = MAX_UINT256) {
+		tokenAmountIn = BigInt(tokenAmountIn);
+		_require(this.records[tokenIn] !== undefined && this.records[tokenOut] !== undefined, Err.NOT_BOUND);
+		_require(this.publicSwap, Err.SWAP_NOT_PUBLIC);
+		_require(tokenAmountIn <= num.mul(this.records[tokenIn].balance, MAX_IN_RATIO), Err.MAX_IN_RATIO);
+
+		const tokenGlobalIn = this.getTokenLatestInfo(tokenIn);
+		const tokenGlobalOut = this.getTokenLatestInfo(tokenOut);
+		const priceResult = {};
+
+		priceResult.spotPriceBefore = math.calcSpotPrice(
+			tokenGlobalIn.info.balance, tokenGlobalIn.info.weight,
+			tokenGlobalOut.info.balance, tokenGlobalOut.info.weight,
+			this.swapFee
+		);
+		_require(priceResult.spotPriceBefore <= BigInt(maxPrice), Err.BAD_LIMIT_PRICE);
+
+		const swapResult = math.calcOutGivenInMMM(
+			tokenGlobalIn,
+			tokenGlobalOut,
+			getTokenRelativePrice(
+				tokenGlobalIn.latestRound.price, tokenGlobalIn.info.decimals,
+				tokenGlobalOut.latestRound.price, tokenGlobalOut.info.decimals
+			),
+			{ amount: tokenAmountIn, fee: this.swapFee, fallbackSpread: FALLBACK_SPREAD },
+			this.gbmParameters,
+			this._getHpParameters()
+		);
+		_require(swapResult.amount >= BigInt(minAmountOut), Err.LIMIT_OUT);
+
+		priceResult.spotPriceAfter = math.calcSpotPrice(
+			tokenGlobalIn.info.balance + tokenAmountIn, tokenGlobalIn.info.weight,
+			tokenGlobalOut.info.balance - swapResult.amount, tokenGlobalOut.info.weight,
+			this.swapFee
+		);
+		_require(priceResult.spotPriceAfter >= priceResult.spotPriceBefore, Err.MATH_APPROX);
+
+		const maxAmount = num.divTruncated(tokenAmountIn, priceResult.spotPriceBefore);
+		if (swapResult.amount > maxAmount) {
+			swapResult.amount = maxAmount;
+		}
+		this._requireUnpeg(tokenGlobalIn, tokenGlobalOut, priceResult.spotPriceAfter);
+
+		priceResult.priceIn = tokenGlobalIn.latestRound.price;
+		priceResult.priceOut = tokenGlobalOut.latestRound.price;
+
+		return { swapResult, priceResult };
+	}
+
+	// Pool.getAmountInGivenOutMMM, same result as getAmountOutGivenInMMM
+	getAmountInGivenOutMMM(tokenIn, maxAmountIn, tokenOut, tokenAmountOut, maxPrice = MAX_UINT256) {
+		tokenAmountOut = BigInt(tokenAmountOut);
+		_require(this.records[tokenIn] !== undefined && this.records[tokenOut] !== undefined, Err.NOT_BOUND);
+		_require(this.publicSwap, Err.SWAP_NOT_PUBLIC);
+		_require(tokenAmountOut <= num.mul(this.records[tokenOut].balance, MAX_OUT_RATIO), Err.MAX_OUT_RATIO);
+
+		const tokenGlobalIn = this.getTokenLatestInfo(tokenIn);
+		const tokenGlobalOut = this.getTokenLatestInfo(tokenOut);
+		const priceResult = {};
+
+		priceResult.spotPriceBefore = math.calcSpotPrice(
+			tokenGlobalIn.info.balance, tokenGlobalIn.info.weight,
+			tokenGlobalOut.info.balance, tokenGlobalOut.info.weight,
+			this.swapFee
+		);
+		_require(priceResult.spotPriceBefore <= BigInt(maxPrice), Err.BAD_LIMIT_PRICE);
+
+		const swapResult = math.calcInGivenOutMMM(
+			tokenGlobalIn,
+			tokenGlobalOut,
+			getTokenRelativePrice(
+				tokenGlobalIn.latestRound.price, tokenGlobalIn.info.decimals,
+				tokenGlobalOut.latestRound.price, tokenGlobalOut.info.decimals
+			),
+			{ amount: tokenAmountOut, fee: this.swapFee, fallbackSpread: FALLBACK_SPREAD },
+			this.gbmParameters,
+			this._getHpParameters()
+		);
+		_require(swapResult.amount <= BigInt(maxAmountIn), Err.LIMIT_IN);
+
+		priceResult.spotPriceAfter = math.calcSpotPrice(
+			tokenGlobalIn.info.balance + swapResult.amount, tokenGlobalIn.info.weight,
+			tokenGlobalOut.info.balance - tokenAmountOut, tokenGlobalOut.info.weight,
+			this.swapFee
+		);
+		_require(priceResult.spotPriceAfter >= priceResult.spotPriceBefore, Err.MATH_APPROX);
+
+		const minAmount = num.mul(priceResult.spotPriceBefore, tokenAmountOut) + 1n;
+		if (swapResult.amount < minAmount) {
+			swapResult.amount = minAmount;
+		}
+		this._requireUnpeg(tokenGlobalIn, tokenGlobalOut, priceResult.spotPriceAfter);
+
+		priceResult.priceIn = tokenGlobalIn.latestRound.price;
+		priceResult.priceOut = tokenGlobalOut.latestRound.price;
+
+		return { swapResult, priceResult };
+	}
+
+	/*
+		Cross-check mode: runs a quote locally and through the pool's view function with the same arguments.
+		method: 'getAmountOutGivenInMMM' or 'getAmountInGivenOutMMM'
+		Returns { local, onChain, mismatches }, local and onChain being either a quote or { error: 'SWAAP#NN' }
+		and mismatches the differing fields (e.g. 'swapResult.amount'). The view call runs at this.blockNumber,
+		whose timestamp is the one of the local quote unless fromPool was given another timestamp.
+	*/
+	async crossCheck(method, ...args) {
+		const outcome = async (quote) => {
+			try {
+				return await quote();
+			} catch (e) {
+				const error = parseSwaapError(e);
+				if (error === null) {
+					throw e;
+				}
+				return { error: formatSwaapError(error.code) };
+			}
+		};
+		const local = await outcome(() => this[method](...args));
+		const onChain = await outcome(async () => {
+			// through web3, truffle not taking a block for functions with several parameters
+			const result = await this.pool.contract.methods[method](...args.map(arg => arg.toString()))
+				.call({}, this.blockNumber);
+			return {
+				swapResult: _fromStruct(result.swapResult, SWAP_RESULT_FIELDS),
+				priceResult: _fromStruct(result.priceResult, PRICE_RESULT_FIELDS)
+			};
+		});
+
+		const mismatches = [];
+		if (local.error !== undefined || onChain.error !== undefined) {
+			if (local.error !== onChain.error) {
+				mismatches.push('error');
+			}
+		} else {
+			for (const [result, fields] of [['swapResult', SWAP_RESULT_FIELDS], ['priceResult', PRICE_RESULT_FIELDS]]) {
+				for (const field of fields) {
+					if (local[result][field] !== onChain[result][field]) {
+						mismatches.push(`${result}.${field}`);
+					}
+				}
+			}
+		}
+		return { local, onChain, mismatches };
+	}
+
+}
+
+module.exports = {
+    MAX_IN_RATIO,
+    MAX_OUT_RATIO,
+    FALLBACK_SPREAD,
+    Quoter
+};
@@ -0,0 +1,317 @@
+const { getEventsByTopic, decodeEventArgs } = require('./indexer');
+const { getFunctionsBySelector, decodeLogCall } = require('./log_call');
+const num = require('./num');
+
+/*
+	Reconstructs a pool's state at any block from its logs only, without archive-node access:
+	- LOG_CALL carries the calldata of bindMMM, rebindMMM, unbindMMM, gulp, finalize and the parameters setters
+	- LOG_JOIN, LOG_EXIT and LOG_SWAP carry the balance changes of joins, exits, swaps and single asset joins/exits
+	- the pool token's Transfer events from / to the null address carry the supply changes
+	- LOG_NEW_CONTROLLER and LOG_NEW_ORACLE_STATE carry the controller and the oracles' initial prices
+	gulp sets a balance to the pool's balanceOf, which is summed up from the token's Transfer events instead.
+	Amounts are BigInts in wei, addresses are checksummed.
+*/
+
+// Const.sol, the pool's constructor defaults
+const MIN_FEE = num.ONE / 10n ** 6n;
+const BASE_Z = 6n * num.ONE;
+const BASE_HORIZON = 5n * num.ONE;
+const BASE_LOOKBACK_IN_ROUND = 5n;
+const BASE_LOOKBACK_IN_SEC = 3600n;
+const LOOKBACK_STEP_IN_ROUND = 4n;
+const BASE_MAX_PRICE_UNPEG_RATIO = num.ONE + num.ONE / 40n;
+
+const REPLAYED_EVENTS = ['LOG_SWAP', 'LOG_JOIN', 'LOG_EXIT', 'LOG_NEW_CONTROLLER', 'LOG_NEW_ORACLE_STATE', 'Transfer'];
+const NULL_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// coverage parameters setter --> getCoverageParameters field
+const COVERAGE_SETTERS = {
+	setDynamicCoverageFeesZ: 'dynamicCoverageFeesZ',
+	setDynamicCoverageFeesHorizon: 'dynamicCoverageFeesHorizon',
+	setPriceStatisticsLookbackInRound: 'priceStatisticsLBInRound',
+	setPriceStatisticsLookbackInSec: 'priceStatisticsLBInSec',
+	setPriceStatisticsLookbackStepInRound: 'priceStatisticsLBStepInRound',
+	setMaxPriceUnpegRatio: 'maxPriceUnpegRatio'
+};
+
+function _initialState() {
+	return {
+		blockNumber: null,
+		controller: null,
+		publicSwap: false,
+		finalized: false,
+		swapFee: MIN_FEE,
+		totalSupply: 0n,
+		totalWeight: 0n,
+		coverageParameters: {
+			priceStatisticsLBInRound: BASE_LOOKBACK_IN_ROUND,
+			priceStatisticsLBStepInRound: LOOKBACK_STEP_IN_ROUND,
+			dynamicCoverageFeesZ: BASE_Z,
+			dynamicCoverageFeesHorizon: BASE_HORIZON,
+			priceStatisticsLBInSec: BASE_LOOKBACK_IN_SEC,
+			maxPriceUnpegRatio: BASE_MAX_PRICE_UNPEG_RATIO
+		},
+		// bound tokens, in the pool's order
+		tokens: [],
+		// token --> { balance, denorm, oracle, initialPrice, oracleDecimals }
+		records: {}
+	};
+}
+
+function _copyState(state) {
+	return {
+		...state,
+		coverageParameters: { ...state.coverageParameters },
+		tokens: [...state.tokens],
+		records: Object.fromEntries(Object.entries(state.records).map(([token, record]) => [token, { ...record }]))
+	};
+}
+
+function _applyCall(state, { method, args }, event) {
+	if (method == 'bindMMM' || method == 'rebindMMM') {
+		if (method == 'bindMMM') {
+			state.tokens.push(args.token);
+			state.records[args.token] = { balance: 0n, denorm: 0n, oracle: null, initialPrice: null, oracleDecimals: null };
+		}
+		const record = state.records[args.token];
+		state.totalWeight += BigInt(args.denorm) - record.denorm;
+		record.balance = BigInt(args.balance);
+		record.denorm = BigInt(args.denorm);
+		record.oracle = args.priceFeedAddress;
+	} else if (method == 'unbindMMM') {
+		state.totalWeight -= state.records[args.token].denorm;
+		// the last token takes the place of the unbound one
+		const index = state.tokens.indexOf(args.token);
+		state.tokens[index] = state.tokens[state.tokens.length - 1];
+		state.tokens.pop();
+		delete state.records[args.token];
+	} else if (method == 'gulp') {
+		if (event.balance === undefined) {
+			throw new Error(`Unknown balance of ${args.token} after the gulp of block ${event.blockNumber}`);
+		}
+		state.records[args.token].balance = BigInt(event.balance);
+	} else if (method == 'finalize') {
+		state.finalized = true;
+		state.publicSwap = true;
+	} else if (method == 'setPublicSwap') {
+		state.publicSwap = args.publicSwap == 'true';
+	} else if (method == 'setSwapFee') {
+		state.swapFee = BigInt(args.swapFee);
+	} else if (COVERAGE_SETTERS[method] !== undefined) {
+		state.coverageParameters[COVERAGE_SETTERS[method]] = BigInt(Object.values(args)[0]);
+	}
+}
+
+function _apply(state, event) {
+	const { args } = event;
+	switch (event.event) {
+		case 'LOG_CALL':
+			if (event.call.method !== null) {
+				_applyCall(state, event.call, event);
+			}
+			break;
+		case 'LOG_JOIN':
+			state.records[args.tokenIn].balance += BigInt(args.tokenAmountIn);
+			break;
+		case 'LOG_EXIT':
+			state.records[args.tokenOut].balance -= BigInt(args.tokenAmountOut);
+			break;
+		case 'LOG_SWAP':
+			state.records[args.tokenIn].balance += BigInt(args.tokenAmountIn);
+			state.records[args.tokenOut].balance -= BigInt(args.tokenAmountOut);
+			break;
+		case 'LOG_NEW_CONTROLLER':
+			state.controller = args.to;
+			break;
+		case 'LOG_NEW_ORACLE_STATE':
+			state.records[args.token].initialPrice = BigInt(args.price);
+			state.records[args.token].oracleDecimals = Number(args.decimals);
+			break;
+		case 'Transfer':
+			if (args.from == NULL_ADDRESS) {
+				state.totalSupply += BigInt(args.value);
+			} else if (args.to == NULL_ADDRESS) {
+				state.totalSupply -= BigInt(args.value);
+			}
+			break;
+	}
+	state.blockNumber = event.blockNumber;
+}
+
+// event record (same format as the indexer's) of a pool log, null if it does not change the pool's state
+function _decode(log, eventsByTopic, functionsBySelector, web3Instance) {
+	const eventAbi = eventsByTopic.get(log.topics[0]);
+	let decoded = null;
+	if (eventAbi !== undefined) {
+		decoded = { event: eventAbi.name, args: decodeEventArgs(eventAbi, log, web3Instance) };
+	} else {
+		const call = decodeLogCall(log, functionsBySelector, web3Instance);
+		if (call !== null) {
+			decoded = {
+				event: 'LOG_CALL',
+				args: { sig: call.sig, caller: call.caller, data: call.calldata },
+				call: { method: call.method, args: call.args }
+			};
+		}
+	}
+	return decoded === null ? null : {
+		blockNumber: Number(log.blockNumber),
+		transactionHash: log.transactionHash,
+		logIndex: Number(log.logIndex),
+		...decoded
+	};
+}
+
+// balanceOf(pool) of an ERC20 token right before the given log, from the token's Transfer events
+async function _getTokenBalanceBefore(token, pool, { blockNumber, logIndex }, fromBlock, web3Instance) {
+	const transferTopic = web3Instance.utils.keccak256('Transfer(address,address,uint256)');
+	const poolTopic = '0x' + '0'.repeat(24) + pool.slice(2).toLowerCase();
+	const getLogs = topics => web3Instance.eth.getPastLogs({ fromBlock, toBlock: blockNumber, address: token, topics });
+	const [incoming, outgoing] = await Promise.all([
+		getLogs([transferTopic, null, poolTopic]),
+		getLogs([transferTopic, poolTopic])
+	]);
+	const isBefore = log => Number(log.blockNumber) < blockNumber
+		|| (Number(log.blockNumber) == blockNumber && Number(log.logIndex) < logIndex);
+	const sum = logs => logs.filter(isBefore).reduce((acc, log) => acc + BigInt(log.data), 0n);
+	return sum(incoming) - sum(outgoing);
+}
+
+class PoolReplayer {
+
+	/*
+		pool: address of the pool
+		events: the pool's event records ({ blockNumber, logIndex, event, args, call }, see indexer.js) from its
+		creation, gulp calls' records holding the gulped balance as `balance`
+	*/
+	constructor(pool, events) {
+		this.pool = pool;
+		this.events = [...events].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+	}
+
+	/*
+		Reads the pool's history from a node.
+		options:
+		- web3: web3 instance (defaults to the global one)
+		- poolAbi: ABI of the Pool contract (e.g. the truffle artifact's abi)
+		- fromBlock: a block before the pool's creation (0 by default)
+		- toBlock: last block read (the latest block by default)
+		- batchSize: number of blocks per eth_getLogs call (1000 by default)
+	*/
+	static async fromChain(pool, options) {
+		const { web3: web3Instance = global.web3, poolAbi, fromBlock = 0, batchSize = 1000 } = options;
+		const toBlock = options.toBlock === undefined
+			? Number(await web3Instance.eth.getBlockNumber())
+			: Number(options.toBlock);
+		const eventsByTopic = getEventsByTopic(poolAbi, REPLAYED_EVENTS, web3Instance);
+		const functionsBySelector = getFunctionsBySelector(poolAbi, web3Instance);
+
+		const events = [];
+		for (let start = fromBlock; start <= toBlock; start += batchSize) {
+			const end = Math.min(start + batchSize - 1, toBlock);
+			const logs = await web3Instance.eth.getPastLogs({ fromBlock: start, toBlock: end, address: pool });
+			events.push(...logs
+				.map(log => _decode(log, eventsByTopic, functionsBySelector, web3Instance))
+				.filter(event => event !== null));
+		}
+		for (const event of events.filter(e => e.event == 'LOG_CALL' && e.call.method == 'gulp')) {
+			const balance = await _getTokenBalanceBefore(event.call.args.token, pool, event, fromBlock, web3Instance);
+			event.balance = balance.toString();
+		}
+		return new PoolReplayer(pool, events);
+	}
+
+	/*
+		Replays the events up to the end of the block toBlock (all of them by default), calling
+		callback(event, state) after each one is applied. The state is updated in place: copy it to keep it.
+		Returns the final state.
+	*/
+	replay(callback = () => {}, toBlock = Infinity) {
+		const state = _initialState();
+		for (const event of this.events) {
+			if (event.blockNumber > toBlock) {
+				break;
+			}
+			_apply(state, event);
+			callback(event, state);
+		}
+		return state;
+	}
+
+	// state of the pool at the end of the block
+	getStateAt(blockNumber) {
+		const state = this.replay(undefined, blockNumber);
+		state.blockNumber = blockNumber;
+		return state;
+	}
+
+	// state of the pool at the end of every block changing it, e.g. to chart its composition over time
+	getHistory() {
+		const history = [];
+		this.replay((event, state) => {
+			const last = history[history.length - 1];
+			if (last !== undefined && last.blockNumber == event.blockNumber) {
+				history.pop();
+			}
+			history.push(_copyState(state));
+		});
+		return history;
+	}
+
+	// up to count blocks changing the pool's state, evenly spread over its history, the last one included
+	sampleBlocks(count = 10) {
+		const blocks = [...new Set(this.events.map(event => event.blockNumber))];
+		const step = Math.max(blocks.length / count, 1);
+		const sampled = new Set();
+		for (let i = blocks.length - 1; i >= 0; i -= step) {
+			sampled.add(blocks[Math.round(i)]);
+		}
+		return [...sampled].sort((a, b) => a - b);
+	}
+
+	/*
+		Compares the reconstructed states with the pool's view functions at some blocks, which the node must
+		still be able to serve (e.g. the recent blocks for a non-archive node).
+		options: { web3, poolAbi, blocks (sampleBlocks(samples) by default), samples (10 by default) }
+		Returns [{ blockNumber, mismatches: [{ field, token, expected, actual }] }], expected being the replayed value.
+	*/
+	async verify(options) {
+		const { web3: web3Instance = global.web3, poolAbi, samples = 10 } = options;
+		const blocks = options.blocks || this.sampleBlocks(samples);
+		const pool = new web3Instance.eth.Contract(poolAbi, this.pool);
+		const results = [];
+		for (const blockNumber of blocks) {
+			const state = this.getStateAt(blockNumber);
+			const call = method => method.call({}, blockNumber);
+			const mismatches = [];
+			const check = (field, expected, actual, token = null) => {
+				if (expected.toString() != actual.toString()) {
+					mismatches.push({ field, token, expected: expected.toString(), actual: actual.toString() });
+				}
+			};
+
+			check('tokens', state.tokens, await call(pool.methods.getTokens()));
+			for (const token of state.tokens) {
+				const record = state.records[token];
+				check('balance', record.balance, await call(pool.methods.getBalance(token)), token);
+				check('denorm', record.denorm, await call(pool.methods.getDenormalizedWeight(token)), token);
+				check('oracle', record.oracle, await call(pool.methods.getTokenPriceOracle(token)), token);
+			}
+			check('swapFee', state.swapFee, await call(pool.methods.getSwapFee()));
+			check('totalSupply', state.totalSupply, await call(pool.methods.totalSupply()));
+			check('publicSwap', state.publicSwap, await call(pool.methods.isPublicSwap()));
+			check('finalized', state.finalized, await call(pool.methods.isFinalized()));
+			const coverageParameters = await call(pool.methods.getCoverageParameters());
+			for (const [field, value] of Object.entries(state.coverageParameters)) {
+				check(field, value, coverageParameters[field]);
+			}
+			results.push({ blockNumber, mismatches });
+		}
+		return results;
+	}
+
+}
+
+module.exports = {
+    PoolReplayer
+};
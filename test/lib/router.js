@@ -0,0 +1,202 @@
+const { Err, formatSwaapError, parseSwaapError } = require('./errors');
+const { getMaxPrice, getMinAmountOut, getMaxAmountIn } = require('./limits');
+const { Quoter } = require('./quoter');
+
+/*
+	Multi-hop routing across Swaap pools, the hops being priced off-chain by each pool's Quoter.
+	A path is a list of hops { quoter, tokenIn, tokenOut }: it does not go twice through the same token nor the
+	same pool, as the quotes of a hop do not account for the previous hops' trades.
+	Routes are meant to be sent as sequential swaps, from the first hop to the last:
+	- exact in: swapExactAmountInMMM(tokenIn, amountIn, tokenOut, minAmountOut, maxPrice), each hop's amountIn
+	being the previous hop's minAmountOut so that the trader always holds it
+	- exact out: swapExactAmountOutMMM(tokenIn, maxAmountIn, tokenOut, amountOut, maxPrice), each hop's amountOut
+	being the next hop's maxAmountIn
+	Amounts are BigInts in wei.
+*/
+
+const DEFAULT_MAX_HOPS = 3;
+
+// errors on which the pool would revert, the path is then discarded
+function _isRevert(e) {
+	return parseSwaapError(e) !== null || e.message.startsWith('Panic');
+}
+
+function _tryQuote(quote) {
+	try {
+		return quote();
+	} catch (e) {
+		if (_isRevert(e)) {
+			return null;
+		}
+		throw e;
+	}
+}
+
+class Router {
+
+	constructor(quoters) {
+		this.quoters = quoters;
+		// token --> [{ quoter, tokenIn, tokenOut }]
+		this.edges = new Map();
+		for (const quoter of quoters) {
+			for (const tokenIn of quoter.tokens) {
+				if (!this.edges.has(tokenIn)) {
+					this.edges.set(tokenIn, []);
+				}
+				quoter.tokens
+					.filter(tokenOut => tokenOut != tokenIn)
+					.forEach(tokenOut => this.edges.get(tokenIn).push({ quoter, tokenIn, tokenOut }));
+			}
+		}
+	}
+
+	/*
+		pools: truffle instances of the pools
+		options: Quoter.fromPool's, plus
+		- factory: truffle instance of the factory, the pools it did not deploy throw NOT_POOL
+	*/
+	static async fromPools(pools, options = {}) {
+		const { factory } = options;
+		if (factory !== undefined) {
+			for (const pool of pools) {
+				if (!await factory.isPool(pool.address)) {
+					throw new Error(`${formatSwaapError(Err.NOT_POOL)}: ${pool.address}`);
+				}
+			}
+		}
+		let { timestamp } = options;
+		if (timestamp === undefined) {
+			const { web3: web3Instance = global.web3 } = options;
+			timestamp = Number((await web3Instance.eth.getBlock('latest')).timestamp);
+		}
+		const quoters = [];
+		for (const pool of pools) {
+			quoters.push(await Quoter.fromPool(pool, { ...options, timestamp }));
+		}
+		return new Router(quoters);
+	}
+
+	// all the paths from tokenIn to tokenOut with at most maxHops hops
+	findPaths(tokenIn, tokenOut, maxHops = DEFAULT_MAX_HOPS) {
+		const paths = [];
+		const explore = (path, token, visitedTokens, visitedPools) => {
+			if (token == tokenOut) {
+				paths.push(path);
+				return;
+			}
+			if (path.length == maxHops) {
+				return;
+			}
+			for (const edge of this.edges.get(token) || []) {
+				if (!visitedTokens.has(edge.tokenOut) && !visitedPools.has(edge.quoter)) {
+					explore(
+						[...path, edge],
+						edge.tokenOut,
+						new Set([...visitedTokens, edge.tokenOut]),
+						new Set([...visitedPools, edge.quoter])
+					);
+				}
+			}
+		};
+		explore([], tokenIn, new Set([tokenIn]), new Set());
+		return paths;
+	}
+
+	// returns the route's hops, null if one of them would revert
+	quotePathGivenIn(path, amountIn, slippageBps = 0) {
+		const hops = [];
+		let hopAmountIn = BigInt(amountIn);
+		for (const { quoter, tokenIn, tokenOut } of path) {
+			const quote = _tryQuote(() => quoter.getAmountOutGivenInMMM(tokenIn, hopAmountIn, tokenOut));
+			if (quote === null) {
+				return null;
+			}
+			const minAmountOut = getMinAmountOut(quote.swapResult.amount, slippageBps);
+			hops.push({
+				pool: quoter.pool.address,
+				tokenIn,
+				tokenOut,
+				amountIn: hopAmountIn,
+				amountOut: quote.swapResult.amount,
+				minAmountOut,
+				maxPrice: getMaxPrice(quote.priceResult.spotPriceBefore, slippageBps),
+				quote
+			});
+			hopAmountIn = minAmountOut;
+		}
+		return hops;
+	}
+
+	// returns the route's hops, null if one of them would revert
+	quotePathGivenOut(path, amountOut, slippageBps = 0) {
+		const hops = [];
+		let hopAmountOut = BigInt(amountOut);
+		for (const { quoter, tokenIn, tokenOut } of [...path].reverse()) {
+			const quote = _tryQuote(() => quoter.getAmountInGivenOutMMM(tokenIn, 2n ** 256n - 1n, tokenOut, hopAmountOut));
+			if (quote === null) {
+				return null;
+			}
+			const maxAmountIn = getMaxAmountIn(quote.swapResult.amount, slippageBps);
+			hops.unshift({
+				pool: quoter.pool.address,
+				tokenIn,
+				tokenOut,
+				amountIn: quote.swapResult.amount,
+				maxAmountIn,
+				amountOut: hopAmountOut,
+				maxPrice: getMaxPrice(quote.priceResult.spotPriceBefore, slippageBps),
+				quote
+			});
+			hopAmountOut = maxAmountIn;
+		}
+		return hops;
+	}
+
+	/*
+		Best route for an exact amount in, i.e. the one with the largest minimum amount out.
+		options: { maxHops, slippageBps }
+		Returns { hops, amountIn, amountOut, minAmountOut }, null if no path goes through.
+	*/
+	getBestRouteGivenIn(tokenIn, amountIn, tokenOut, options = {}) {
+		const { maxHops = DEFAULT_MAX_HOPS, slippageBps = 0 } = options;
+		let best = null;
+		for (const path of this.findPaths(tokenIn, tokenOut, maxHops)) {
+			const hops = this.quotePathGivenIn(path, amountIn, slippageBps);
+			if (hops === null) {
+				continue;
+			}
+			const last = hops[hops.length - 1];
+			if (best === null || last.minAmountOut > best.minAmountOut) {
+				best = { hops, amountIn: BigInt(amountIn), amountOut: last.amountOut, minAmountOut: last.minAmountOut };
+			}
+		}
+		return best;
+	}
+
+	/*
+		Best route for an exact amount out, i.e. the one with the smallest maximum amount in.
+		options: { maxHops, slippageBps }
+		Returns { hops, amountIn, maxAmountIn, amountOut }, null if no path goes through.
+	*/
+	getBestRouteGivenOut(tokenIn, tokenOut, amountOut, options = {}) {
+		const { maxHops = DEFAULT_MAX_HOPS, slippageBps = 0 } = options;
+		let best = null;
+		for (const path of this.findPaths(tokenIn, tokenOut, maxHops)) {
+			const hops = this.quotePathGivenOut(path, amountOut, slippageBps);
+			if (hops === null) {
+				continue;
+			}
+			const first = hops[0];
+			if (best === null || first.maxAmountIn < best.maxAmountIn) {
+				best = { hops, amountIn: first.amountIn, maxAmountIn: first.maxAmountIn, amountOut: BigInt(amountOut) };
+			}
+		}
+		return best;
+	}
+
+}
+
+module.exports = {
+    DEFAULT_MAX_HOPS,
+    Router
+};
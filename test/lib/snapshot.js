@@ -0,0 +1,270 @@
+const fs = require('fs');
+const AggregatorV3Interface = require('@chainlink/contracts/abi/v0.8/AggregatorV3Interface.json');
+const { readRounds } = require('./data');
+const num = require('./num');
+
+/*
+	Pool state snapshots, to reproduce a pool (e.g. a production incident) on a local chain.
+	takeSnapshot captures the pool's state and its oracles' recent rounds into a JSON document (amounts as
+	strings), rehydrateSnapshot deploys TToken / TOracle mocks and a new pool holding the same state.
+*/
+
+const SNAPSHOT_VERSION = 1;
+
+// TOracle's constructor indexes the rounds with a uint8
+const MAX_ROUNDS = 255;
+
+const MAX_WEIGHT = 50n * num.ONE;
+const MAX_TOTAL_WEIGHT = 50n * num.ONE;
+const MIN_WEIGHT = num.ONE;
+const INIT_POOL_SUPPLY = 100n * num.ONE;
+
+const ERC20_ABI = ['name', 'symbol'].map(name => ({
+	inputs: [],
+	name,
+	outputs: [{ internalType: 'string', name: '', type: 'string' }],
+	stateMutability: 'view',
+	type: 'function'
+})).concat([{
+	inputs: [],
+	name: 'decimals',
+	outputs: [{ internalType: 'uint8', name: '', type: 'uint8' }],
+	stateMutability: 'view',
+	type: 'function'
+}]);
+
+async function _tryCall(method, fallback) {
+	try {
+		return await method.call();
+	} catch (e) {
+		return fallback;
+	}
+}
+
+async function _readToken(pool, token, roundsCount, web3Instance) {
+	const erc20 = new web3Instance.eth.Contract(ERC20_ABI, token);
+	const [balance, denorm, initialPrice, oracleAddress, name, symbol, decimals] = await Promise.all([
+		pool.getBalance(token),
+		pool.getDenormalizedWeight(token),
+		pool.getTokenOracleInitialPrice(token),
+		pool.getTokenPriceOracle(token),
+		_tryCall(erc20.methods.name(), ''),
+		_tryCall(erc20.methods.symbol(), ''),
+		// the pool counts tokens without decimals() as 0 decimals tokens
+		_tryCall(erc20.methods.decimals(), 0)
+	]);
+	const oracle = new web3Instance.eth.Contract(AggregatorV3Interface.compilerOutput.abi, oracleAddress);
+	const [oracleDecimals, description, latestRoundData] = await Promise.all([
+		oracle.methods.decimals().call(),
+		_tryCall(oracle.methods.description(), ''),
+		oracle.methods.latestRoundData().call()
+	]);
+	const latestRoundId = BigInt(latestRoundData.roundId);
+	const roundIds = [];
+	for (let i = 1n; i < BigInt(roundsCount) && i <= latestRoundId; i++) {
+		roundIds.push(latestRoundId - i);
+	}
+	const rounds = [
+		{ roundId: latestRoundId.toString(), price: latestRoundData.answer.toString(), timestamp: Number(latestRoundData.updatedAt) },
+		...(await readRounds(oracle, roundIds, { web3: web3Instance }))
+			.map(({ roundId, price, timestamp }) => ({ roundId, price, timestamp }))
+	];
+	return {
+		address: token,
+		name,
+		symbol,
+		decimals: Number(decimals),
+		balance: balance.toString(),
+		denorm: denorm.toString(),
+		initialPrice: initialPrice.toString(),
+		oracle: {
+			address: oracleAddress,
+			decimals: Number(oracleDecimals),
+			description,
+			rounds
+		}
+	};
+}
+
+/*
+	Captures the state of a pool (truffle instance) at the latest block.
+	options:
+	- web3: web3 instance (defaults to the global one)
+	- roundsCount: number of consecutive rounds read from each oracle, the latest included
+	(defaults to what the GBM oracle may read: priceStatisticsLBInRound * priceStatisticsLBStepInRound)
+*/
+async function takeSnapshot(pool, options = {}) {
+	const { web3: web3Instance = global.web3 } = options;
+	const block = await web3Instance.eth.getBlock('latest');
+	const [tokens, swapFee, coverageParameters, controller, publicSwap, finalized, totalSupply] = await Promise.all([
+		pool.getTokens(),
+		pool.getSwapFee(),
+		pool.getCoverageParameters(),
+		pool.getController(),
+		pool.isPublicSwap(),
+		pool.isFinalized(),
+		pool.totalSupply()
+	]);
+	const coverage = Object.fromEntries([
+		'priceStatisticsLBInRound', 'priceStatisticsLBStepInRound', 'dynamicCoverageFeesZ',
+		'dynamicCoverageFeesHorizon', 'priceStatisticsLBInSec', 'maxPriceUnpegRatio'
+	].map(field => [field, coverageParameters[field].toString()]));
+	const roundsCount = Math.min(
+		options.roundsCount || Number(coverage.priceStatisticsLBInRound) * Number(coverage.priceStatisticsLBStepInRound),
+		MAX_ROUNDS
+	);
+
+	const tokenStates = [];
+	for (const token of tokens) {
+		tokenStates.push(await _readToken(pool, token, roundsCount, web3Instance));
+	}
+	return {
+		version: SNAPSHOT_VERSION,
+		blockNumber: Number(block.number),
+		timestamp: Number(block.timestamp),
+		pool: {
+			address: pool.address,
+			controller,
+			publicSwap,
+			finalized,
+			swapFee: swapFee.toString(),
+			totalSupply: totalSupply.toString(),
+			coverageParameters: coverage
+		},
+		tokens: tokenStates
+	};
+}
+
+function saveSnapshot(file, snapshot) {
+	fs.writeFileSync(file, JSON.stringify(snapshot, null, 2) + '\n');
+}
+
+function loadSnapshot(file) {
+	const snapshot = JSON.parse(fs.readFileSync(file));
+	if (snapshot.version !== SNAPSHOT_VERSION) {
+		throw new Error(`Unsupported snapshot version ${snapshot.version}, expected ${SNAPSHOT_VERSION}`);
+	}
+	return snapshot;
+}
+
+/*
+	The mocks' oracles start from the latest price, so the pool takes it as the initial price: the denorms are
+	multiplied by the tokens' performance (latest / initial price) to keep the weights used by the swaps,
+	then scaled together if needed to fit the weight bounds (scaling down truncates and scaling up rounds up, so
+	that the bound which was hit is met). Throws if they do not fit both MIN_WEIGHT and MAX_TOTAL_WEIGHT.
+*/
+function getRehydratedDenorms(snapshot) {
+	const adjusted = snapshot.tokens.map(token => num.mul(
+		BigInt(token.denorm),
+		num.div(BigInt(token.oracle.rounds[0].price), BigInt(token.initialPrice))
+	));
+	const sum = (weights) => weights.reduce((acc, w) => acc + w, 0n);
+	const total = sum(adjusted);
+	const max = adjusted.reduce((acc, w) => num.max(acc, w), 0n);
+	const min = adjusted.reduce((acc, w) => num.min(acc, w), adjusted[0]);
+	let denorms = adjusted;
+	if (total > MAX_TOTAL_WEIGHT || max > MAX_WEIGHT) {
+		const scale = num.min(num.divTruncated(MAX_TOTAL_WEIGHT, total), num.divTruncated(MAX_WEIGHT, max));
+		denorms = adjusted.map(w => num.mulTruncated(w, scale));
+	} else if (min < MIN_WEIGHT) {
+		const scale = num.div(MIN_WEIGHT, min) + 1n;
+		denorms = adjusted.map(w => num.mul(w, scale));
+	}
+	denorms.forEach(denorm => {
+		if (denorm < MIN_WEIGHT || denorm > MAX_WEIGHT) {
+			throw new Error('The snapshot\'s weights cannot be rescaled within MIN_WEIGHT and MAX_WEIGHT');
+		}
+	});
+	if (sum(denorms) > MAX_TOTAL_WEIGHT) {
+		throw new Error(
+			'The snapshot\'s weights cannot be rescaled within MIN_WEIGHT and MAX_TOTAL_WEIGHT: '
+			+ `their total is ${sum(denorms)} once the smallest one is MIN_WEIGHT`
+		);
+	}
+	return denorms;
+}
+
+/*
+	Deploys the snapshot's pool on a local chain: a TToken per token, a TOracle per oracle holding the
+	snapshot's rounds (their ages being kept relative to the current block) and a pool from the factory with
+	the same balances, weights (see getRehydratedDenorms), parameters, flags and supply. The pool supply is
+	reached by a join or an exit after finalize, so balances may differ from the snapshot's by a few wei.
+	The pool is controlled by `from`, the factory's maxPriceUnpegRatio setting is sent by the factory's owner.
+	contracts: truffle contract abstractions { Pool, TToken, TOracle } and the factory's truffle instance
+	Returns { pool, tokens, oracles }, tokens and oracles mapping the snapshot's addresses to the new instances.
+*/
+async function rehydrateSnapshot(snapshot, contracts, options = {}) {
+	const { Pool, TToken, TOracle, factory } = contracts;
+	const { from, factoryOwner = from } = options;
+	const MAX = (2n ** 256n - 1n).toString();
+	if (snapshot.version !== SNAPSHOT_VERSION) {
+		throw new Error(`Unsupported snapshot version ${snapshot.version}, expected ${SNAPSHOT_VERSION}`);
+	}
+	const { pool: poolState } = snapshot;
+	const totalSupply = BigInt(poolState.totalSupply);
+	// balances bound before finalize, the supply is then adjusted from INIT_POOL_SUPPLY
+	const bindRatio = poolState.finalized && totalSupply > 0n ? num.div(INIT_POOL_SUPPLY, totalSupply) : num.ONE;
+
+	const POOL = await factory.newPool.call({ from });
+	await factory.newPool({ from });
+	const pool = await Pool.at(POOL);
+
+	const tokens = {};
+	const oracles = {};
+	const denorms = getRehydratedDenorms(snapshot);
+	for (const [i, tokenState] of snapshot.tokens.entries()) {
+		const { rounds } = tokenState.oracle;
+		const latestRoundId = BigInt(rounds[0].roundId);
+		const oldestRoundId = rounds.reduce((acc, round) => num.min(acc, BigInt(round.roundId)), latestRoundId);
+		// TOracle takes the consecutive rounds from the latest one, the missing ones have a null price
+		const byRoundId = new Map(rounds.map(round => [BigInt(round.roundId), round]));
+		const prices = [];
+		const ages = [];
+		for (let roundId = latestRoundId; roundId >= oldestRoundId; roundId--) {
+			const round = byRoundId.get(roundId);
+			prices.push(round === undefined ? '0' : round.price);
+			ages.push(round === undefined ? '0' : Math.max(snapshot.timestamp - round.timestamp, 0).toString());
+		}
+		const oracle = await TOracle.new(prices, ages, tokenState.oracle.decimals, latestRoundId.toString(), { from });
+		oracles[tokenState.oracle.address] = oracle;
+
+		const token = await TToken.new(tokenState.name, tokenState.symbol, tokenState.decimals, { from });
+		tokens[tokenState.address] = token;
+		const balance = num.mul(BigInt(tokenState.balance), bindRatio);
+		// enough for the bind and the join, whose amounts are rounded up
+		await token.mint(from, (balance + BigInt(tokenState.balance) + num.ONE).toString(), { from });
+		await token.approve(POOL, MAX, { from });
+		await pool.bindMMM(token.address, balance.toString(), denorms[i].toString(), oracle.address, { from });
+	}
+
+	const coverage = poolState.coverageParameters;
+	await pool.setSwapFee(poolState.swapFee, { from });
+	await pool.setDynamicCoverageFeesZ(coverage.dynamicCoverageFeesZ, { from });
+	await pool.setDynamicCoverageFeesHorizon(coverage.dynamicCoverageFeesHorizon, { from });
+	await pool.setPriceStatisticsLookbackInRound(coverage.priceStatisticsLBInRound, { from });
+	await pool.setPriceStatisticsLookbackInSec(coverage.priceStatisticsLBInSec, { from });
+	await pool.setPriceStatisticsLookbackStepInRound(coverage.priceStatisticsLBStepInRound, { from });
+	await factory.setPoolMaxPriceUnpegRatio(POOL, coverage.maxPriceUnpegRatio, { from: factoryOwner });
+
+	if (poolState.finalized) {
+		await pool.finalize({ from });
+		if (totalSupply > INIT_POOL_SUPPLY) {
+			await pool.joinPool((totalSupply - INIT_POOL_SUPPLY).toString(), snapshot.tokens.map(() => MAX), { from });
+		} else if (totalSupply < INIT_POOL_SUPPLY) {
+			await pool.exitPool((INIT_POOL_SUPPLY - totalSupply).toString(), snapshot.tokens.map(() => '0'), { from });
+		}
+	} else {
+		await pool.setPublicSwap(poolState.publicSwap, { from });
+	}
+
+	return { pool, tokens, oracles };
+}
+
+module.exports = {
+    SNAPSHOT_VERSION,
+    takeSnapshot,
+    saveSnapshot,
+    loadSnapshot,
+    getRehydratedDenorms,
+    rehydrateSnapshot
+};
@@ -0,0 +1,200 @@
+const { parseSwaapError } = require('./errors');
+const num = require('./num');
+
+/*
+	Splits an order between several pools quoting the same pair, the pools being given by their Quoter, so
+	that their marginal prices are equal. The order is measured in slices of amount / steps and the marginal
+	price of a pool at k slices is the quote of its k-th slice: the extra amount out it gives for exact-in
+	orders, the extra amount in it takes for exact-out orders. The coverage spread and the price impact make it
+	worsen as a pool trades more, so for a given marginal price each pool takes the largest number of slices
+	whose marginal price is at least as good (found by bisection), and the common marginal price is the worst
+	one at which the pools take the whole order (found by bisection too). The pools sitting at that price share
+	the rest of the order, the marginal prices are then equal up to one slice.
+	A pool does not get an amount that would make it revert (MAX_IN_RATIO, MAX_OUT_RATIO,
+	MAX_PRICE_UNPEG_RATIO...). Amounts are BigInts in wei.
+*/
+
+const DEFAULT_STEPS = 10000;
+
+// bound of the marginal prices searched, beyond any amount of wei
+const MAX_MARGINAL_PRICE = 2n ** 256n;
+
+function _tryQuote(quote) {
+	try {
+		return quote();
+	} catch (e) {
+		if (parseSwaapError(e) !== null || e.message.startsWith('Panic')) {
+			return null;
+		}
+		throw e;
+	}
+}
+
+// largest k in [0, max] such that predicate(k), predicate being true at 0 and then false past some k
+function _bisect(max, predicate) {
+	let low = 0n;
+	let high = max + 1n;
+	while (high - low > 1n) {
+		const middle = (low + high) / 2n;
+		if (predicate(middle)) {
+			low = middle;
+		} else {
+			high = middle;
+		}
+	}
+	return low;
+}
+
+/*
+	quoteAmount(quoter, amount) --> quoted amount or null if the pool reverts
+	sign: 1n if larger quotes are better (exact in), -1n if smaller ones are (exact out)
+	Returns the amounts of the pools, null if they cannot fill the order.
+*/
+function _split(quoters, amount, steps, quoteAmount, sign) {
+	amount = BigInt(amount);
+	const slice = amount / BigInt(steps) > 0n ? amount / BigInt(steps) : 1n;
+	const maxSlices = (amount + slice - 1n) / slice;
+
+	const pools = quoters.map(quoter => {
+		const quotes = new Map([[0n, 0n]]);
+		const quoteAt = (k) => {
+			if (!quotes.has(k)) {
+				quotes.set(k, quoteAmount(quoter, k * slice));
+			}
+			return quotes.get(k);
+		};
+		// marginal price of the k-th slice, null if the pool reverts; the larger the better
+		const marginalPrice = (k) => {
+			const quoted = quoteAt(k);
+			return quoted === null ? null : sign * (quoted - quoteAt(k - 1n));
+		};
+		return { quoter, marginalPrice };
+	});
+
+	// slices taken by each pool at a marginal price
+	const slicesAt = (price) => pools.map(pool => _bisect(maxSlices, k => {
+		if (k == 0n) {
+			return true;
+		}
+		const marginalPrice = pool.marginalPrice(k);
+		return marginalPrice !== null && marginalPrice >= price;
+	}));
+	const fills = (slices) => slices.reduce((acc, k) => acc + k, 0n) * slice >= amount;
+
+	// low: the pools fill the order at that price, high: they do not
+	let low = -1n;
+	while (!fills(slicesAt(low))) {
+		if (low < -MAX_MARGINAL_PRICE) {
+			return null;
+		}
+		low *= 2n;
+	}
+	let high = 1n;
+	while (fills(slicesAt(high))) {
+		high *= 2n;
+	}
+	while (high - low > 1n) {
+		const middle = (low + high) / 2n;
+		if (fills(slicesAt(middle))) {
+			low = middle;
+		} else {
+			high = middle;
+		}
+	}
+
+	// the pools keep what they take at a better price than the common one and share the rest at that price
+	const slicesAbove = slicesAt(high);
+	const slicesAtPrice = slicesAt(low);
+	let remaining = amount - slicesAbove.reduce((acc, k) => acc + k, 0n) * slice;
+	const amounts = slicesAbove.map((k, i) => {
+		const extra = num.min(remaining, num.max(slicesAtPrice[i] - k, 0n) * slice);
+		remaining -= extra;
+		return k * slice + extra;
+	});
+	if (remaining > 0n) {
+		return null;
+	}
+	return quoters
+		.map((quoter, i) => ({ quoter, amount: amounts[i] }))
+		.filter(allocation => allocation.amount > 0n);
+}
+
+// best single pool for the whole order, null if none can fill it
+function _bestSingle(quoters, amount, quoteAmount, isBetter) {
+	let best = null;
+	for (const quoter of quoters) {
+		const quoted = quoteAmount(quoter, BigInt(amount));
+		if (quoted !== null && (best === null || isBetter(quoted, best.quoted))) {
+			best = { quoter, quoted };
+		}
+	}
+	return best;
+}
+
+/*
+	Exact-in order: splits amountIn of tokenIn to maximize the total amount out of tokenOut.
+	Returns { allocations: [{ pool, amountIn, amountOut, quote }], amountIn, amountOut, bestSingle, improvement },
+	bestSingle being { pool, amountOut } for the best pool taking the whole order (null if none can) and
+	improvement the extra amount out of the split; null if the pools cannot fill the order.
+*/
+function splitGivenIn(quoters, tokenIn, amountIn, tokenOut, steps = DEFAULT_STEPS) {
+	const quoteAmount = (quoter, amount) => {
+		const quote = _tryQuote(() => quoter.getAmountOutGivenInMMM(tokenIn, amount, tokenOut));
+		return quote === null ? null : quote.swapResult.amount;
+	};
+	const isBetter = (a, b) => a > b;
+	const split = _split(quoters, amountIn, steps, quoteAmount, 1n);
+	if (split === null) {
+		return null;
+	}
+	const allocations = split.map(({ quoter, amount }) => {
+		const quote = quoter.getAmountOutGivenInMMM(tokenIn, amount, tokenOut);
+		return { pool: quoter.pool.address, amountIn: amount, amountOut: quote.swapResult.amount, quote };
+	});
+	const amountOut = allocations.reduce((acc, allocation) => acc + allocation.amountOut, 0n);
+	const single = _bestSingle(quoters, amountIn, quoteAmount, isBetter);
+	return {
+		allocations,
+		amountIn: BigInt(amountIn),
+		amountOut,
+		bestSingle: single === null ? null : { pool: single.quoter.pool.address, amountOut: single.quoted },
+		improvement: single === null ? null : amountOut - single.quoted
+	};
+}
+
+/*
+	Exact-out order: splits amountOut of tokenOut to minimize the total amount in of tokenIn.
+	Returns { allocations: [{ pool, amountIn, amountOut, quote }], amountIn, amountOut, bestSingle, improvement },
+	bestSingle being { pool, amountIn } and improvement the amount in saved by the split, as in splitGivenIn.
+*/
+function splitGivenOut(quoters, tokenIn, tokenOut, amountOut, steps = DEFAULT_STEPS) {
+	const MAX_UINT256 = 2n ** 256n - 1n;
+	const quoteAmount = (quoter, amount) => {
+		const quote = _tryQuote(() => quoter.getAmountInGivenOutMMM(tokenIn, MAX_UINT256, tokenOut, amount));
+		return quote === null ? null : quote.swapResult.amount;
+	};
+	const isBetter = (a, b) => a < b;
+	const split = _split(quoters, amountOut, steps, quoteAmount, -1n);
+	if (split === null) {
+		return null;
+	}
+	const allocations = split.map(({ quoter, amount }) => {
+		const quote = quoter.getAmountInGivenOutMMM(tokenIn, MAX_UINT256, tokenOut, amount);
+		return { pool: quoter.pool.address, amountIn: quote.swapResult.amount, amountOut: amount, quote };
+	});
+	const amountIn = allocations.reduce((acc, allocation) => acc + allocation.amountIn, 0n);
+	const single = _bestSingle(quoters, amountOut, quoteAmount, isBetter);
+	return {
+		allocations,
+		amountIn,
+		amountOut: BigInt(amountOut),
+		bestSingle: single === null ? null : { pool: single.quoter.pool.address, amountIn: single.quoted },
+		improvement: single === null ? null : single.quoted - amountIn
+	};
+}
+
+module.exports = {
+    DEFAULT_STEPS,
+    splitGivenIn,
+    splitGivenOut
+};
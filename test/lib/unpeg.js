@@ -0,0 +1,115 @@
+const { Err, formatSwaapError } = require('./errors');
+const { getLatestRound, getTokenRelativePrice } = require('./chainlink_utils');
+const { calcSpotPrice } = require('./math');
+const num = require('./num');
+
+/*
+	Model of the pool's performance-adjusted weights (Pool.getTokenLatestInfo) and of the post-trade
+	price checks of the joinswaps / exitswaps (Pool._checkJoinSwapPrices / Pool._checkExitSwapPrices).
+	All amounts are BigInts in wei as in the contracts.
+	A token's info is { token, decimals, balance, weight, price }:
+	- token: any label (address, symbol) used to report the breaching pairs
+	- decimals: token decimals + oracle decimals (TokenRecord.decimals)
+	- weight: the adjusted weight, see getAdjustedWeight
+	- price: the oracle's latest price
+*/
+
+function _require(condition, errorCode) {
+	if (!condition) {
+		throw new Error(formatSwaapError(errorCode));
+	}
+}
+
+// Pool._getTokenPerformance
+function getTokenPerformance(initialPrice, latestPrice) {
+	return num.div(latestPrice, initialPrice);
+}
+
+// denorm * latestPrice / initialPrice, as in Pool.getTokenLatestInfo
+function getAdjustedWeight(denorm, initialPrice, latestPrice) {
+	return num.mul(denorm, getTokenPerformance(initialPrice, latestPrice));
+}
+
+function _checkPair(infoIn, infoOut, maxPriceUnpegRatio) {
+	const spotPriceAfter = calcSpotPrice(infoIn.balance, infoIn.weight, infoOut.balance, infoOut.weight, 0n);
+	const oraclePrice = getTokenRelativePrice(infoIn.price, infoIn.decimals, infoOut.price, infoOut.decimals);
+	const ratio = num.div(spotPriceAfter, oraclePrice);
+	return {
+		tokenIn: infoIn.token,
+		tokenOut: infoOut.token,
+		spotPriceAfter,
+		oraclePrice,
+		ratio,
+		excess: num.positivePart(ratio - BigInt(maxPriceUnpegRatio))
+	};
+}
+
+/*
+	Post-joinswap check: the spot price of each remaining token in terms of tokenIn must not exceed the
+	oracle's relative price by more than maxPriceUnpegRatio.
+	tokenInInfo.balance should contain the balance after the trade.
+	Returns the breaching pairs { tokenIn, tokenOut, spotPriceAfter, oraclePrice, ratio, excess }, excess being
+	ratio - maxPriceUnpegRatio, in the order of remainingTokensInfo: the first one is the pair on which the
+	contract reverts with MAX_PRICE_UNPEG_RATIO, none means that the check passes.
+*/
+function checkJoinSwapPrices(tokenInInfo, remainingTokensInfo, maxPriceUnpegRatio) {
+	return remainingTokensInfo
+		.map(info => _checkPair(tokenInInfo, info, maxPriceUnpegRatio))
+		.filter(pair => pair.excess > 0n);
+}
+
+/*
+	Post-exitswap check: the spot price of tokenOut in terms of each remaining token must not exceed the
+	oracle's relative price by more than maxPriceUnpegRatio.
+	tokenOutInfo.balance should contain the balance after the trade.
+	Returns the breaching pairs as checkJoinSwapPrices does.
+*/
+function checkExitSwapPrices(tokenOutInfo, remainingTokensInfo, maxPriceUnpegRatio) {
+	return remainingTokensInfo
+		.map(info => _checkPair(info, tokenOutInfo, maxPriceUnpegRatio))
+		.filter(pair => pair.excess > 0n);
+}
+
+// throws SWAAP#44 as the contract would
+function requireNoBreach(breaches) {
+	_require(breaches.length == 0, Err.MAX_PRICE_UNPEG_RATIO);
+}
+
+/*
+	Reads a bound token's info from the pool, token and oracle being truffle instances.
+	With blockTimestamp, the oracle's latest round goes through ChainlinkUtils.getLatestRound's checks.
+*/
+async function readTokenLatestInfo(pool, token, oracle, blockTimestamp) {
+	const [balance, denorm, initialPrice, tokenDecimals, oracleDecimals, latestRoundData] = await Promise.all([
+		pool.getBalance(token.address),
+		pool.getDenormalizedWeight(token.address),
+		pool.getTokenOracleInitialPrice(token.address),
+		token.decimals(),
+		oracle.decimals(),
+		oracle.latestRoundData()
+	]);
+	let latestRound = {
+		roundId: BigInt(latestRoundData[0].toString()),
+		price: BigInt(latestRoundData[1].toString()),
+		timestamp: BigInt(latestRoundData[3].toString())
+	};
+	if (blockTimestamp !== undefined) {
+		latestRound = getLatestRound(latestRound, blockTimestamp);
+	}
+	return {
+		token: token.address,
+		decimals: Number(tokenDecimals) + Number(oracleDecimals),
+		balance: BigInt(balance.toString()),
+		weight: getAdjustedWeight(denorm.toString(), initialPrice.toString(), latestRound.price),
+		price: latestRound.price
+	};
+}
+
+module.exports = {
+    getTokenPerformance,
+    getAdjustedWeight,
+    checkJoinSwapPrices,
+    checkExitSwapPrices,
+    requireNoBreach,
+    readTokenLatestInfo
+};
@@ -0,0 +1,102 @@
+// high precision reference
+const Decimal = require('decimal.js').clone({ precision: 80 });
+const truffleAssert = require('truffle-assertions');
+const logExpMath = require('./lib/log_exp_math');
+const { createRandom } = require('./lib/fuzz');
+
+const TMath = artifacts.require('TMath');
+
+const verbose = process.env.VERBOSE;
+
+// 18 decimal fixed point <--> Decimal
+const ONE = Decimal(10).pow(18);
+const toDecimal = (x) => Decimal(x.toString()).div(ONE);
+const toFixed = (d) => BigInt(Decimal(d).mul(ONE).toFixed(0, Decimal.ROUND_DOWN));
+
+contract('LogExpMath', async () => {
+
+    describe('JS port', () => {
+        let tmath;
+        const random = createRandom(12);
+        const nCases = 20;
+
+        before(async () => {
+            tmath = await TMath.deployed();
+        });
+
+        function assertExact(name, args, expected, actual) {
+            assert.equal(actual.toString(), expected.toString(), `${name}(${args.join(', ')})`);
+        }
+
+        it('exp, ln and log match to the wei', async () => {
+            for (let i = 0; i < nCases; i++) {
+                const x = toFixed(random.between(-41, 130));
+                assertExact('exp', [x], logExpMath.exp(x), await tmath.calcExp(x.toString()));
+                // both ln paths: 36 decimals close to 1, 18 decimals otherwise
+                const a = i % 2 == 0 ? toFixed(random.between(0.9, 1.1)) : toFixed(Decimal(10).pow(random.between(-18, 30)));
+                assertExact('ln', [a], logExpMath.ln(a), await tmath.calcLn(a.toString()));
+                const base = toFixed(random.between(0.5, 20));
+                assertExact('log', [a, base], logExpMath.log(a, base), await tmath.calcLog(a.toString(), base.toString()));
+            }
+        });
+
+        it('pow matches to the wei', async () => {
+            for (let i = 0; i < nCases; i++) {
+                const x = i % 2 == 0 ? toFixed(random.between(0.9, 1.1)) : toFixed(Decimal(10).pow(random.between(-1, 3)));
+                const y = toFixed(random.between(0, 10));
+                assertExact('pow', [x, y], logExpMath.pow(x, y), await tmath.calcLogExpPow(x.toString(), y.toString()));
+            }
+        });
+
+        it('reverts with the same errors', async () => {
+            const cases = [
+                ['calcLogExpPow', 'pow', [(2n ** 255n).toString(), '1'], 'SWAAP#37'],
+                ['calcLogExpPow', 'pow', ['2', logExpMath.MILD_EXPONENT_BOUND.toString()], 'SWAAP#38'],
+                ['calcLogExpPow', 'pow', [(10n ** 30n).toString(), (10n ** 20n).toString()], 'SWAAP#41'],
+                ['calcExp', 'exp', [(131n * 10n ** 18n).toString()], 'SWAAP#42'],
+                ['calcLn', 'ln', ['0'], 'SWAAP#43']
+            ];
+            for (const [contractFunction, jsFunction, args, reason] of cases) {
+                assert.throws(() => logExpMath[jsFunction](...args), reason);
+                await truffleAssert.reverts(tmath[contractFunction](...args), reason);
+            }
+        });
+    });
+
+    describe('Precision', () => {
+        const random = createRandom(13);
+        const nCases = 500;
+
+        // |actual - expected| <= relativeDelta * |expected| + 10 wei
+        function assertClose(name, x, expected, actual, relativeDelta) {
+            const error = actual.sub(expected).abs();
+            const bound = expected.abs().mul(relativeDelta).add(Decimal(10).pow(-17));
+            if (verbose && error.gt(bound)) {
+                console.log(`${name}(${x}): expected ${expected}, actual ${actual}`);
+            }
+            assert.isTrue(error.lte(bound), `${name}(${x})`);
+        }
+
+        it('exp is close to Decimal', async () => {
+            for (let i = 0; i < nCases; i++) {
+                const x = toFixed(random.between(-41, 130));
+                assertClose('exp', x, toDecimal(x).exp(), toDecimal(logExpMath.exp(x)), 10 ** -17);
+            }
+        });
+
+        it('ln is close to Decimal', async () => {
+            for (let i = 0; i < nCases; i++) {
+                const a = i % 2 == 0 ? toFixed(random.between(0.9, 1.1)) : toFixed(Decimal(10).pow(random.between(-18, 30)));
+                assertClose('ln', a, toDecimal(a).ln(), toDecimal(logExpMath.ln(a)), 0);
+            }
+        });
+
+        it('pow is close to Decimal', async () => {
+            for (let i = 0; i < nCases; i++) {
+                const x = toFixed(Decimal(10).pow(random.between(-1, 3)));
+                const y = toFixed(random.between(0, 10));
+                assertClose('pow', x, toDecimal(x).pow(toDecimal(y)), toDecimal(logExpMath.pow(x, y)), 10 ** -16);
+            }
+        });
+    });
+});
@@ -1,21 +1,30 @@
 const Decimal = require('decimal.js');
 const truffleAssert = require('truffle-assertions');
-const { calcRelativeDiff, calcSingleOutGivenPoolIn, calcPoolOutGivenSingleIn } = require('./lib/calc_comparisons');
+const { calcRelativeDiff } = require('./lib/calc_comparisons');
 const {
 		getLogSpreadFactor, getMMMWeight,
-		getTokenBalanceAtEquilibrium, calcOutGivenInMMM,
+		getTokenBalanceAtEquilibrium, calcOutGivenInMMM, calcInGivenOutMMM,
+		explainOutGivenInMMM, explainInGivenOutMMM,
 		calcAdaptiveFeeGivenInAndOut, getOutTargetGivenIn,
 		calcPoolOutGivenSingleInAdaptiveFees,
-		calcSingleOutGivenPoolInAdaptiveFees
+		calcSingleOutGivenPoolInAdaptiveFees,
+		calcPoolOutGivenSingleInMMM,
+		calcSingleOutGivenPoolInMMM,
+		setPrecision
 	} = require('./lib/mmm');
 
 const { getInAmountAtPrice } = require('./lib/mmm');
+const { analyzeHistory, readTradeHistory } = require('./lib/lvr');
+const { PoolReplayer } = require('./lib/replayer');
 
 const TMathMMM = artifacts.require('TMathMMM');
 const TConstantOracle = artifacts.require('TConstantOracle');
 const TOracle = artifacts.require('TOracle');
 
 const errorDelta = 10 ** -8;
+// the reference models running on Decimal values, against the contracts whose approximations allow it
+// (GBM spread, balance at equilibrium) and against the float mode
+const decimalErrorDelta = 10 ** -12;
 
 const verbose = process.env.VERBOSE;
 
@@ -61,7 +70,12 @@ contract('MMM Math', async (accounts) => {
 
 		// Expected logSpreadFactor output
 		const expectedLogSpreadFactor = getLogSpreadFactor(
-			mean, variance, z, horizon
+			Decimal(mean), Decimal(variance), Decimal(z), Decimal(horizon)
+		);
+
+		assert.isAtMost(
+			calcRelativeDiff(expectedLogSpreadFactor, getLogSpreadFactor(mean, variance, z, horizon)).toNumber(),
+			decimalErrorDelta
 		);
 
 		// Checking logSpreadFactor
@@ -73,7 +87,7 @@ contract('MMM Math', async (accounts) => {
 			console.log(`actual: ${actualLogSpreadFactor}`);
 			console.log(`relDif: ${relDifLogSpreadFactor}`);
 		}
-		assert.isAtMost(relDifLogSpreadFactor.toNumber(), errorDelta);
+		assert.isAtMost(relDifLogSpreadFactor.toNumber(), decimalErrorDelta);
 
 		// Library MMMWeight output
 		const result = await math.getMMMWeight.call(
@@ -88,9 +102,13 @@ contract('MMM Math', async (accounts) => {
 
 		// Expected MMMWeight output
 		const [expectedMMMWeight, expectedMMMSpread] = getMMMWeight(
-			weight, mean, variance, z, horizon
+			Decimal(weight), Decimal(mean), Decimal(variance), Decimal(z), Decimal(horizon)
 		);
 
+		const [floatMMMWeight, floatMMMSpread] = getMMMWeight(weight, mean, variance, z, horizon);
+		assert.isAtMost(calcRelativeDiff(expectedMMMWeight, floatMMMWeight).toNumber(), decimalErrorDelta);
+		assert.isAtMost(calcRelativeDiff(expectedMMMSpread, floatMMMSpread).toNumber(), decimalErrorDelta);
+
 		// Checking MMMWeight
 		const actualMMMWeight = Decimal(fromWei(mmmWeight));
 		const relDifMMMWeight = calcRelativeDiff(expectedMMMWeight, actualMMMWeight);
@@ -100,7 +118,7 @@ contract('MMM Math', async (accounts) => {
 			console.log(`actual: ${actualMMMWeight}`);
 			console.log(`relDif: ${relDifMMMWeight}`);
 		}
-		assert.isAtMost(relDifMMMWeight.toNumber(), errorDelta);
+		assert.isAtMost(relDifMMMWeight.toNumber(), decimalErrorDelta);
 
 		// Checking MMMSpread
 		const actualMMMSpread = Decimal(fromWei(mmmSpread));
@@ -111,7 +129,7 @@ contract('MMM Math', async (accounts) => {
 			console.log(`actual: ${actualMMMSpread}`);
 			console.log(`relDif: ${relDifMMMSpread}`);
 		}
-		assert.isAtMost(relDifMMMSpread.toNumber(), errorDelta);
+		assert.isAtMost(relDifMMMSpread.toNumber(), decimalErrorDelta);
 
 	}
 
@@ -134,12 +152,17 @@ contract('MMM Math', async (accounts) => {
 
 		// Expected InAmountAtPrice output
 		const expectedInAmountAtPrice = getTokenBalanceAtEquilibrium(
-			tokenBalanceIn,
-			tokenWeightIn,
-			tokenBalanceOut,
-			tokenWeightOut,
-			relativePrice
+			Decimal(tokenBalanceIn),
+			Decimal(tokenWeightIn),
+			Decimal(tokenBalanceOut),
+			Decimal(tokenWeightOut),
+			Decimal(relativePrice)
+		);
+
+		const floatInAmountAtPrice = getTokenBalanceAtEquilibrium(
+			tokenBalanceIn, tokenWeightIn, tokenBalanceOut, tokenWeightOut, relativePrice
 		);
+		assert.isAtMost(calcRelativeDiff(expectedInAmountAtPrice, floatInAmountAtPrice).toNumber(), decimalErrorDelta);
 
 		// Checking InAmountAtPrice
 		const actualInAmountAtPrice = Decimal(fromWei(inAmountAtPrice));
@@ -150,7 +173,7 @@ contract('MMM Math', async (accounts) => {
 			console.log(`actual: ${actualInAmountAtPrice}`);
 			console.log(`relDif: ${relDifInAmountAtPrice}`);
 		}
-		assert.isAtMost(relDifInAmountAtPrice.toNumber(), errorDelta);
+		assert.isAtMost(relDifInAmountAtPrice.toNumber(), decimalErrorDelta);
 	}
 
 	async function assertCalcOutGivenInMMM(
@@ -496,10 +519,6 @@ contract('MMM Math', async (accounts) => {
 		const otherBalances = [toWei("10"), toWei("400")]
 		const otherWeights = [toWei("5"), toWei("5")]
 
-		const totalAdjustedWeight = parseFloat(fromWei(pivotWeight)) + parseFloat(otherWeights.reduce((acc, v) => acc + parseFloat(fromWei(v)), 0))
-
-		let fee = parseFloat(fromWei(joinexitswapParameters["fee"]));
-
 		let blockHasPriceUpdate = pivotTimestamps[0] == 0;
 		let i = 0;
 		while ((!blockHasPriceUpdate) && (i < otherPrices.length)) {
@@ -508,25 +527,18 @@ contract('MMM Math', async (accounts) => {
 			}
 			++i;
 		}
-		if (blockHasPriceUpdate) {
-			const poolValueInPivotToken = parseFloat(fromWei(pivotBalance)) + otherBalances.reduce((acc, b, idx) => {
-				return acc + parseFloat(fromWei(b)) * (otherPrices[idx][0] / (10**otherDecimals[idx][0])) / (pivotPrices[0] / (10**pivotDecimals[0]))
-			}, 0)
-			fee += calcSingleOutGivenPoolInAdaptiveFees(
-				poolValueInPivotToken,
-				parseFloat(fromWei(pivotBalance)),
-				parseFloat(fromWei(pivotWeight)) / totalAdjustedWeight,
-				parseFloat(fromWei(joinexitswapParameters["amount"])) / parseFloat(fromWei(joinexitswapParameters["poolSupply"]))
-			);
-		}
 
-		const expected = calcSingleOutGivenPoolIn(
-            parseFloat(fromWei(pivotBalance)),
-            parseFloat(fromWei(pivotWeight)),
-            parseFloat(fromWei(joinexitswapParameters["poolSupply"])),
-            totalAdjustedWeight,
-            parseFloat(fromWei(joinexitswapParameters["amount"])),
-            parseFloat(fee)
+		const expected = calcSingleOutGivenPoolInMMM(
+			parseFloat(fromWei(pivotBalance)),
+			parseFloat(fromWei(pivotWeight)),
+			pivotPrices[0] / (10**pivotDecimals[0]),
+			otherBalances.map(b => parseFloat(fromWei(b))),
+			otherWeights.map(w => parseFloat(fromWei(w))),
+			otherPrices.map((p, idx) => p[0] / (10**otherDecimals[idx][0])),
+			parseFloat(fromWei(joinexitswapParameters["poolSupply"])),
+			parseFloat(fromWei(joinexitswapParameters["amount"])),
+			parseFloat(fromWei(joinexitswapParameters["fee"])),
+			blockHasPriceUpdate
 		)
 
 		const actual = await math.calcSingleOutGivenPoolInMMM(
@@ -583,10 +595,6 @@ contract('MMM Math', async (accounts) => {
 		const otherBalances = [toWei("10"), toWei("400")]
 		const otherWeights = [toWei("5"), toWei("5")]
 
-		const totalAdjustedWeight = parseFloat(fromWei(pivotWeight)) + parseFloat(otherWeights.reduce((acc, v) => acc + parseFloat(fromWei(v)), 0))
-
-		let fee = parseFloat(fromWei(joinexitswapParameters["fee"]));
-
 		let blockHasPriceUpdate = pivotTimestamps[0] == 0;
 		let i = 0;
 		while ((!blockHasPriceUpdate) && (i < otherPrices.length)) {
@@ -595,25 +603,18 @@ contract('MMM Math', async (accounts) => {
 			}
 			++i;
 		}
-		if (blockHasPriceUpdate) {
-			const poolValueInPivotToken = parseFloat(fromWei(pivotBalance)) + otherBalances.reduce((acc, b, idx) => {
-				return acc + parseFloat(fromWei(b)) * (otherPrices[idx][0] / (10**otherDecimals[idx][0])) / (pivotPrices[0] / (10**pivotDecimals[0]))
-			}, 0)
-			fee += calcPoolOutGivenSingleInAdaptiveFees(
-				poolValueInPivotToken,
-				parseFloat(fromWei(pivotBalance)),
-				parseFloat(fromWei(pivotWeight)) / totalAdjustedWeight,
-				parseFloat(fromWei(joinexitswapParameters["amount"]))
-			);
-		}
 
-		const expected = calcPoolOutGivenSingleIn(
-            parseFloat(fromWei(pivotBalance)),
-            parseFloat(fromWei(pivotWeight)),
-            parseFloat(fromWei(joinexitswapParameters["poolSupply"])),
-            totalAdjustedWeight,
-            parseFloat(fromWei(joinexitswapParameters["amount"])),
-            parseFloat(fee)
+		const expected = calcPoolOutGivenSingleInMMM(
+			parseFloat(fromWei(pivotBalance)),
+			parseFloat(fromWei(pivotWeight)),
+			pivotPrices[0] / (10**pivotDecimals[0]),
+			otherBalances.map(b => parseFloat(fromWei(b))),
+			otherWeights.map(w => parseFloat(fromWei(w))),
+			otherPrices.map((p, idx) => p[0] / (10**otherDecimals[idx][0])),
+			parseFloat(fromWei(joinexitswapParameters["poolSupply"])),
+			parseFloat(fromWei(joinexitswapParameters["amount"])),
+			parseFloat(fromWei(joinexitswapParameters["fee"])),
+			blockHasPriceUpdate
 		)
 
 		const actual = await math.calcPoolOutGivenSingleInMMM(
@@ -783,4 +784,196 @@ contract('MMM Math', async (accounts) => {
 		)
 
     });
+
+	describe('Quote breakdown', () => {
+
+		const mean = 0.0001;
+		const variance = 0.0002;
+		const z = 1.5;
+		const horizon = 600;
+		const swapFee = 0.0025;
+
+		const sumCosts = (costs) => Object.values(costs).reduce((acc, cost) => acc + cost, 0);
+
+		it('explainOutGivenInMMM matches calcOutGivenInMMM and splits the oracle shortfall', async () => {
+			// the pool holds too much tokenIn: part of the trade goes toward equilibrium
+			const args = [100, 1, 100, 1, 5, swapFee, mean, variance, z, horizon, 1.1];
+			const [expectedAmountOut, expectedSpread] = calcOutGivenInMMM(...args);
+			const quote = explainOutGivenInMMM(...args);
+			assert.equal(quote.legs.length, 2);
+			assert.deepEqual(quote.legs.map(leg => leg.regime), ['towardEquilibrium', 'shortage']);
+			assert.isAtMost(calcRelativeDiff(expectedAmountOut, quote.amountOut).toNumber(), errorDelta);
+			assert.equal(quote.spread, expectedSpread);
+			assert.equal(quote.swapFeePaid, 5 * swapFee);
+			const shortfall = 5 / 1.1 - quote.amountOut;
+			assert.isAtMost(calcRelativeDiff(shortfall, sumCosts(quote.costs)).toNumber(), errorDelta);
+			assert.isAbove(quote.costs.coverageSpread, 0);
+		});
+
+		it('explainOutGivenInMMM has no coverage cost toward equilibrium', async () => {
+			const quote = explainOutGivenInMMM(100, 1, 100, 1, 1, swapFee, mean, variance, z, horizon, 1.1);
+			assert.deepEqual(quote.legs.map(leg => leg.regime), ['towardEquilibrium']);
+			assert.equal(quote.spread, 0);
+			assert.equal(quote.costs.coverageSpread, 0);
+			assert.isBelow(quote.effectivePrice, quote.oraclePrice);
+		});
+
+		it('explainInGivenOutMMM matches calcInGivenOutMMM and splits the oracle surplus', async () => {
+			// the pool holds too little tokenOut: the whole trade is charged the spread
+			const args = [100, 1, 100, 1, 5, swapFee, mean, variance, z, horizon, 0.9];
+			const [expectedAmountIn, expectedSpread] = calcInGivenOutMMM(...args);
+			const quote = explainInGivenOutMMM(...args);
+			assert.deepEqual(quote.legs.map(leg => leg.regime), ['shortage']);
+			assert.isAtMost(calcRelativeDiff(expectedAmountIn, quote.amountIn).toNumber(), errorDelta);
+			assert.equal(quote.spread, expectedSpread);
+			const surplus = quote.amountIn - 5 * 0.9;
+			assert.isAtMost(calcRelativeDiff(surplus, sumCosts(quote.costs)).toNumber(), errorDelta);
+			assert.isAbove(quote.costs.coverageSpread, 0);
+			assert.isAbove(quote.effectivePrice, quote.spotPrice);
+		});
+
+	});
+
+	describe('Decimal precision', () => {
+
+		// mean, variance, z, horizon
+		const args = [0.0001, 0.0002, 1.5, 600];
+
+		afterEach(() => {
+			// the DECIMAL mode starts with the global precision
+			setPrecision(Decimal.precision);
+		});
+
+		it('setPrecision only changes the Decimal mode of the reference model', async () => {
+			const globalPrecision = Decimal.precision;
+			const floatLogSpreadFactor = getLogSpreadFactor(...args);
+
+			setPrecision(5);
+			const lowPrecision = getLogSpreadFactor(...args.map(arg => Decimal(arg)));
+			setPrecision(50);
+			const highPrecision = getLogSpreadFactor(...args.map(arg => Decimal(arg)));
+
+			assert.isAtMost(lowPrecision.sd(), 5);
+			assert.isAbove(highPrecision.sd(), globalPrecision);
+			assert.isAtMost(calcRelativeDiff(highPrecision, lowPrecision).toNumber(), 10 ** -4);
+			assert.isAtMost(calcRelativeDiff(highPrecision, floatLogSpreadFactor).toNumber(), decimalErrorDelta);
+
+			// calc_comparisons and the callers keep the global precision
+			assert.equal(Decimal.precision, globalPrecision);
+			assert.equal(Decimal(1).div(3).sd(), globalPrecision);
+			assert.equal(getLogSpreadFactor(...args), floatLogSpreadFactor);
+		});
+
+	});
+
+	describe('Loss-versus-rebalancing analytics', () => {
+
+		// oracle rounds with 8 decimals
+		const path = (...points) => ({
+			decimals: 8,
+			rows: points.map(([timestamp, price]) => ({ timestamp, price: Decimal(price).mul(1e8).toFixed(0) }))
+		});
+		const pricePaths = { WETH: path([0, 1], [100, 4], [200, 2]), DAI: path([0, 1]) };
+
+		it('an arbitrage loses to the oracle what the pool loses to HODL', async () => {
+			// 50/50 pool without fees, arbitraged to the new oracle price
+			const history = [
+				{ timestamp: 0, amounts: { WETH: 100, DAI: 100 } },
+				{ timestamp: 100, tokenIn: 'DAI', tokenOut: 'WETH', amountIn: 100, amountOut: 50, spread: 0, taxBaseIn: 0 }
+			];
+			const { total } = analyzeHistory(history, pricePaths);
+			assert.equal(total.hodlValueEnd.toNumber(), 500);
+			assert.equal(total.poolValueEnd.toNumber(), 400);
+			// 2 * sqrt(4) / (1 + 4) - 1
+			assert.equal(total.impermanentLossRatio.toNumber(), -0.2);
+			assert.equal(total.netLvr.toNumber(), -total.impermanentLoss.toNumber());
+			assert.equal(total.coverageRecovered.toNumber(), 0);
+			assert.equal(total.recoveredRatio.toNumber(), 0);
+		});
+
+		it('splits the history by period and pair, joins keeping the HODL comparison per share', async () => {
+			const history = [
+				{ timestamp: 0, amounts: { WETH: 100, DAI: 100 } },
+				{ timestamp: 50, tokenIn: 'DAI', tokenOut: 'WETH', amountIn: 100, amountOut: 50, spread: 0, taxBaseIn: 0 },
+				// doubles the pool
+				{ timestamp: 150, amounts: { WETH: 50, DAI: 200 } },
+				{
+					timestamp: 200, tokenIn: 'WETH', tokenOut: 'DAI',
+					amountIn: 100 * (Math.SQRT2 - 1), amountOut: 400 - 400 / Math.SQRT2, spread: 0.01, taxBaseIn: 10
+				}
+			];
+			const paths = { ...pricePaths, WETH: path([0, 1], [50, 4], [200, 2]) };
+			const { total, periods } = analyzeHistory(history, paths, { period: 100 });
+			assert.deepEqual(periods.map(p => [p.start, p.end, p.trades]), [[0, 100, 1], [100, 200, 1]]);
+			assert.deepEqual(Object.keys(total.pairs), ['DAI/WETH']);
+			assert.equal(total.pairs['DAI/WETH'].trades, 2);
+			// the pool ends at the balances of a 50/50 pool arbitraged from a price of 1 to 2
+			assert.isAtMost(calcRelativeDiff(2 * Math.SQRT2 / 3 - 1, total.impermanentLossRatio).toNumber(), decimalErrorDelta);
+			assert.equal(periods[1].poolValueStart.toNumber(), periods[0].poolValueEnd.toNumber());
+			// 10 WETH charged a 1% spread, at a WETH price of 2
+			assert.isAtMost(calcRelativeDiff(10 * 0.01 / 1.01 * 2, total.coverageRecovered).toNumber(), decimalErrorDelta);
+			assert.equal(total.lvr.toNumber(), total.netLvr.add(total.coverageRecovered).toNumber());
+			assert.isAbove(total.recoveredRatio.toNumber(), 0);
+			assert.isBelow(total.recoveredRatio.toNumber(), 1);
+			// an arbitrage without spread
+			assert.equal(periods[0].lvr.toNumber(), 100);
+			assert.equal(periods[0].recoveredRatio.toNumber(), 0);
+		});
+
+		it('reads the tax bases of the swaps in tokenIn units', async () => {
+			// records of a WETH / DAI pool, DAI having 6 decimals, block n being mined at n * 100
+			let logIndex = 0;
+			const call = (blockNumber, transactionHash, method, args = {}) => ({
+				blockNumber, transactionHash, logIndex: logIndex++, event: 'LOG_CALL', args: {}, call: { method, args }
+			});
+			const swap = (blockNumber, transactionHash, method, tokenAmountIn, tokenAmountOut, taxBaseIn) => [
+				call(blockNumber, transactionHash, method),
+				{
+					blockNumber, transactionHash, logIndex: logIndex++, event: 'LOG_SWAP',
+					args: { tokenIn: 'WETH', tokenOut: 'DAI', tokenAmountIn, tokenAmountOut, spread: toWei('0.01'), taxBaseIn }
+				}
+			];
+			const events = [
+				call(1, '0x01', 'bindMMM', { token: 'WETH', balance: toWei('100'), denorm: toWei('5') }),
+				call(1, '0x02', 'bindMMM', { token: 'DAI', balance: '150000000000', denorm: toWei('5') }),
+				// exact out, from shortage to shortage: the tax base is the amount out
+				...swap(2, '0x03', 'swapExactAmountOutMMM', toWei('2'), '3000000000', '3000000000'),
+				// exact out, from abundance to shortage: the tax base is the amount in swapped in shortage
+				...swap(2, '0x04', 'swapExactAmountOutMMM', toWei('2'), '3000000000', toWei('0.5')),
+				// exact in, the tax base being in tokenIn units whatever its value
+				...swap(2, '0x05', 'swapExactAmountInMMM', toWei('2'), '3000000000', '3000000000')
+			];
+			const options = {
+				web3: { eth: { getBlock: async blockNumber => ({ timestamp: blockNumber * 100 }) } },
+				tokenDecimals: { WETH: 18, DAI: 6 }
+			};
+			const history = await readTradeHistory(new PoolReplayer('pool', events), options);
+			const trades = history.filter(entry => entry.amounts === undefined);
+			assert.deepEqual(history.map(entry => entry.timestamp), [100, 100, 200, 200, 200]);
+			assert.deepEqual(trades.map(entry => entry.taxBaseIn.toString()), ['2', '0.5', '3e-9']);
+
+			// checks the first-order estimate of lvr.js, not the spread the pool actually charged
+			const { total } = analyzeHistory(history, { WETH: path([0, 1500]), DAI: path([0, 1]) });
+			assert.isAtMost(
+				calcRelativeDiff(Decimal('2.500000003').mul(0.01).div(1.01).mul(1500), total.coverageRecovered).toNumber(),
+				decimalErrorDelta
+			);
+
+			// a swap is read with the method of its LOG_CALL
+			let error = null;
+			try {
+				await readTradeHistory(new PoolReplayer('pool', events.filter(e => e.transactionHash != '0x03' || e.event == 'LOG_SWAP')), options);
+			} catch (e) {
+				error = e;
+			}
+			assert.equal(error.message, 'No LOG_CALL before the swap of 0x03');
+		});
+
+		it('needs a price for every token at the time of the history', async () => {
+			const history = [{ timestamp: 0, amounts: { WETH: 1, WBTC: 1 } }];
+			assert.throws(() => analyzeHistory(history, pricePaths), 'No price path for WBTC');
+			assert.throws(() => analyzeHistory([{ timestamp: -1, amounts: { WETH: 1 } }], pricePaths), 'No price of WETH at -1');
+		});
+
+	});
 });
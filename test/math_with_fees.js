@@ -1,10 +1,8 @@
 const Decimal = require('decimal.js');
-const {
-    calcSpotPrice,
-    calcOutGivenIn,
-    calcInGivenOut,
-    calcRelativeDiff,
-} = require('./lib/calc_comparisons');
+const { calcRelativeDiff } = require('./lib/calc_comparisons');
+const { PoolSimulator } = require('./lib/pool_simulator');
+const { Err, formatSwaapError, expectSwaapRevert } = require('./lib/errors');
+const num = require('./lib/num');
 
 const Pool = artifacts.require('Pool');
 const Factory = artifacts.require('Factory');
@@ -35,24 +33,17 @@ contract('Pool', async (accounts) => {
     const wethBalance = '4';
     const wethDenorm = '10';
 
-    let currentWethBalance = Decimal(wethBalance);
-    let previousWethBalance = currentWethBalance;
-
     const daiBalance = '12000';
     const daiDenorm = '10';
 
-    let currentDaiBalance = Decimal(daiBalance);
-    let previousDaiBalance = currentDaiBalance;
-
-    let currentPoolBalance = Decimal(0);
-    let previousPoolBalance = Decimal(0);
+    // off-chain replica of the pool's state
+    const simulator = new PoolSimulator();
 
     const sumWeights = Decimal(wethDenorm).add(Decimal(daiDenorm));
     const wethNorm = Decimal(wethDenorm).div(Decimal(sumWeights));
-    const daiNorm = Decimal(daiDenorm).div(Decimal(sumWeights));
 
     async function logAndAssertCurrentBalances() {
-        let expected = currentPoolBalance;
+        let expected = simulator.totalSupply;
         let actual = await pool.totalSupply();
         actual = Decimal(fromWei(actual));
         let relDif = calcRelativeDiff(expected, actual);
@@ -65,7 +56,7 @@ contract('Pool', async (accounts) => {
 
         assert.isAtMost(relDif.toNumber(), errorDelta);
 
-        expected = currentWethBalance;
+        expected = simulator.getBalance(WETH);
         actual = await pool.getBalance(WETH);
         actual = Decimal(fromWei(actual));
         relDif = calcRelativeDiff(expected, actual);
@@ -78,7 +69,7 @@ contract('Pool', async (accounts) => {
 
         assert.isAtMost(relDif.toNumber(), errorDelta);
 
-        expected = currentDaiBalance;
+        expected = simulator.getBalance(DAI);
         actual = await pool.getBalance(DAI);
         actual = Decimal(fromWei(actual));
         relDif = calcRelativeDiff(expected, actual);
@@ -121,6 +112,11 @@ contract('Pool', async (accounts) => {
         await pool.setPublicSwap(true);
         await pool.setSwapFee(toWei(String(swapFee)));
         await pool.setPriceStatisticsLookbackInRound(1); // spread is now 0
+
+        simulator.bindMMM(WETH, wethBalance, wethDenorm, 3000);
+        simulator.bindMMM(DAI, daiBalance, daiDenorm, 1);
+        simulator.setPublicSwap(true);
+        simulator.setSwapFee(swapFee);
     });
 
     describe('With fees', () => {
@@ -138,17 +134,14 @@ contract('Pool', async (accounts) => {
                 toWei(minAmountOut),
                 maxPrice,
             );
+            await pool.swapExactAmountInMMM(tokenIn, toWei(tokenAmountIn), tokenOut, toWei(minAmountOut), maxPrice);
 
             // Checking outputs
-            let expected = calcOutGivenIn(
-                currentWethBalance,
-                wethNorm,
-                currentDaiBalance,
-                daiNorm,
-                tokenAmountIn,
-                swapFee,
+            const [tokenAmountOut, spotPriceAfter] = simulator.swapExactAmountInMMM(
+                tokenIn, tokenAmountIn, tokenOut, minAmountOut, maxPrice
             );
 
+            let expected = tokenAmountOut;
             let actual = Decimal(fromWei(output[0]));
             let relDif = calcRelativeDiff(expected, actual);
 
@@ -161,15 +154,7 @@ contract('Pool', async (accounts) => {
 
             assert.isAtMost(relDif.toNumber(), errorDelta);
 
-            expected = calcSpotPrice(
-                currentWethBalance.plus(Decimal(tokenAmountIn)),
-                wethNorm,
-                currentDaiBalance.sub(actual),
-                daiNorm,
-                swapFee,
-            );
-            // expected = 1 / ((1 - swapFee) * (4 + 2)) / (48 / (4 + 2 * (1 - swapFee)));
-            // expected = ((1 / (1 - swapFee)) * (4 + 2)) / (48 / (4 + 2 * (1 - swapFee)));
+            expected = spotPriceAfter;
             actual = fromWei(output[1]);
             relDif = calcRelativeDiff(expected, actual);
 
@@ -181,6 +166,9 @@ contract('Pool', async (accounts) => {
             }
 
             assert.isAtMost(relDif.toNumber(), errorDelta);
+
+            // Print current balances after operation
+            await logAndAssertCurrentBalances();
         });
 
         it('swapExactAmountOutMMM', async () => {
@@ -197,18 +185,14 @@ contract('Pool', async (accounts) => {
                 toWei(tokenAmountOut),
                 maxPrice,
             );
+            await pool.swapExactAmountOutMMM(tokenIn, maxAmountIn, tokenOut, toWei(tokenAmountOut), maxPrice);
 
             // Checking outputs
-            // let expected = (48 / (4 - 1) - 12) / (1 - swapFee);
-            let expected = calcInGivenOut(
-                currentDaiBalance,
-                daiNorm,
-                currentWethBalance,
-                wethNorm,
-                tokenAmountOut,
-                swapFee,
+            const [tokenAmountIn, spotPriceAfter] = simulator.swapExactAmountOutMMM(
+                tokenIn, maxAmountIn, tokenOut, tokenAmountOut, maxPrice
             );
 
+            let expected = tokenAmountIn;
             let actual = fromWei(output[0]);
             let relDif = calcRelativeDiff(expected, actual);
 
@@ -221,14 +205,7 @@ contract('Pool', async (accounts) => {
 
             assert.isAtMost(relDif.toNumber(), errorDelta);
 
-            expected = calcSpotPrice(
-                currentDaiBalance.plus(actual),
-                daiNorm,
-                currentWethBalance.sub(Decimal(tokenAmountOut)),
-                wethNorm,
-                swapFee,
-            );
-
+            expected = spotPriceAfter;
             actual = fromWei(output[1]);
             relDif = calcRelativeDiff(expected, actual);
 
@@ -240,26 +217,63 @@ contract('Pool', async (accounts) => {
             }
 
             assert.isAtMost(relDif.toNumber(), errorDelta);
+
+            // Print current balances after operation
+            await logAndAssertCurrentBalances();
+        });
+
+        it('swaps revert like the simulator', async () => {
+            // [method, tokenIn, amount, tokenOut, limit, error] with the limit being minAmountOut or maxAmountIn
+            const swaps = [
+                ['swapExactAmountInMMM', WETH, '3', DAI, '0', Err.MAX_IN_RATIO],
+                ['swapExactAmountInMMM', WETH, '0.02', DAI, '1000', Err.LIMIT_OUT],
+                ['swapExactAmountOutMMM', DAI, '2', WETH, MAX, Err.MAX_OUT_RATIO],
+                ['swapExactAmountOutMMM', DAI, '0.02', WETH, '1', Err.LIMIT_IN],
+            ];
+            for (const [method, tokenIn, amount, tokenOut, limit, error] of swaps) {
+                let simulatorError;
+                try {
+                    if (method == 'swapExactAmountInMMM') {
+                        simulator.getAmountOutGivenInMMM(tokenIn, amount, tokenOut, limit, MAX);
+                    } else {
+                        simulator.getAmountInGivenOutMMM(tokenIn, limit, tokenOut, amount, MAX);
+                    }
+                } catch (e) {
+                    simulatorError = e.message;
+                }
+                assert.equal(simulatorError, formatSwaapError(error), `${method} ${amount}`);
+
+                const weiLimit = limit == MAX ? MAX : toWei(limit);
+                await expectSwaapRevert(
+                    method == 'swapExactAmountInMMM'
+                        ? pool.swapExactAmountInMMM(tokenIn, toWei(amount), tokenOut, weiLimit, MAX)
+                        : pool.swapExactAmountOutMMM(tokenIn, weiLimit, tokenOut, toWei(amount), MAX),
+                    simulatorError,
+                    `${method} ${amount}`
+                );
+            }
+            await logAndAssertCurrentBalances();
         });
 
         it('joinPool', async () => {
-            currentPoolBalance = '100';
             await pool.finalize();
+            simulator.finalize();
 
             // Call function
             const pAo = '1';
+            // exact amounts in, as computed by Pool.joinPool
+            const wethBalanceBefore = BigInt((await pool.getBalance(WETH)).toString());
+            const daiBalanceBefore = BigInt((await pool.getBalance(DAI)).toString());
+            const ratio = num.div(toWei(pAo), (await pool.totalSupply()).toString());
+            const wethAmountIn = num.mul(ratio, wethBalanceBefore);
+            const daiAmountIn = num.mul(ratio, daiBalanceBefore);
             await pool.joinPool(toWei(pAo), [MAX, MAX]);
+            assert.equal((await pool.getBalance(WETH)).toString(), (wethBalanceBefore + wethAmountIn).toString());
+            assert.equal((await pool.getBalance(DAI)).toString(), (daiBalanceBefore + daiAmountIn).toString());
 
             // Update balance states
-            previousPoolBalance = Decimal(currentPoolBalance);
-            currentPoolBalance = Decimal(currentPoolBalance).plus(Decimal(pAo));
             // Balances of all tokens increase proportionally to the pool balance
-            previousWethBalance = currentWethBalance;
-            let balanceChange = (Decimal(pAo).div(previousPoolBalance)).mul(previousWethBalance);
-            currentWethBalance = currentWethBalance.plus(balanceChange);
-            previousDaiBalance = currentDaiBalance;
-            balanceChange = (Decimal(pAo).div(previousPoolBalance)).mul(previousDaiBalance);
-            currentDaiBalance = currentDaiBalance.plus(balanceChange);
+            simulator.joinPool(pAo, [MAX, MAX]);
 
             // Print current balances after operation
             await logAndAssertCurrentBalances();
@@ -269,20 +283,12 @@ contract('Pool', async (accounts) => {
             // Call function
             // so that the balances of all tokens will go back exactly to what they were before joinPool()
             const pAi = 1 / (1 - exitFee);
-            const pAiAfterExitFee = pAi * (1 - exitFee);
 
             await pool.exitPool(toWei(String(pAi)), [toWei('0'), toWei('0')]);
 
             // Update balance states
-            previousPoolBalance = currentPoolBalance;
-            currentPoolBalance = currentPoolBalance.sub(Decimal(pAiAfterExitFee));
-            // Balances of all tokens increase proportionally to the pool balance
-            previousWethBalance = currentWethBalance;
-            let balanceChange = (Decimal(pAiAfterExitFee).div(previousPoolBalance)).mul(previousWethBalance);
-            currentWethBalance = currentWethBalance.sub(balanceChange);
-            previousDaiBalance = currentDaiBalance;
-            balanceChange = (Decimal(pAiAfterExitFee).div(previousPoolBalance)).mul(previousDaiBalance);
-            currentDaiBalance = currentDaiBalance.sub(balanceChange);
+            // Balances of all tokens decrease proportionally to the pool balance
+            simulator.exitPool(pAi, [0, 0]);
 
             // Print current balances after operation
             await logAndAssertCurrentBalances();
@@ -292,20 +298,18 @@ contract('Pool', async (accounts) => {
             // Call function
             const poolRatio = 1.005;
             // increase tbalance by 1.005^2 after swap fee
-            const tAi = (1 / (1 - swapFee * (1 - wethNorm))) * (currentWethBalance * (poolRatio ** (1 / wethNorm) - 1));
+            const tAi = (1 / (1 - swapFee * (1 - wethNorm))) * (simulator.getBalance(WETH) * (poolRatio ** (1 / wethNorm) - 1));
 
             const pAo = await pool.joinswapExternAmountInMMM.call(WETH, toWei(String(tAi)), toWei('0'));
             // Execute txn called above
             await pool.joinswapExternAmountInMMM(WETH, toWei(String(tAi)), toWei('0'));
 
             // Update balance states
-            previousWethBalance = currentWethBalance;
-            currentWethBalance = currentWethBalance.plus(Decimal(tAi));
-            previousPoolBalance = currentPoolBalance;
-            currentPoolBalance = currentPoolBalance.mul(Decimal(poolRatio)); // increase by 1.1
+            const previousPoolBalance = simulator.totalSupply;
+            simulator.joinswapExternAmountInMMM(WETH, tAi, 0);
 
             // Check pAo
-            const expected = (currentPoolBalance.sub(previousPoolBalance)); // poolRatio = 1.1
+            const expected = previousPoolBalance.mul(Decimal(poolRatio).sub(1)); // increase by 1.005
             const actual = fromWei(pAo);
             const relDif = calcRelativeDiff(expected, actual);
 
@@ -324,21 +328,19 @@ contract('Pool', async (accounts) => {
         it('exitswapPoolAmountIn', async () => {
             // Call function
             const poolRatioAfterExitFee = 0.995;
-            const pAi = currentPoolBalance * (1 - poolRatioAfterExitFee) * (1 / (1 - exitFee));
+            const pAi = simulator.totalSupply * (1 - poolRatioAfterExitFee) * (1 / (1 - exitFee));
 
             const tAo = await pool.exitswapPoolAmountInMMM.call(WETH, toWei(String(pAi)), toWei('0'));
 
             await pool.exitswapPoolAmountInMMM(WETH, toWei(String(pAi)), toWei('0'));
 
             // Update balance states
-            previousPoolBalance = currentPoolBalance;
-            currentPoolBalance = currentPoolBalance.sub(Decimal(pAi).mul(Decimal(1).sub(Decimal(exitFee))));
-            previousWethBalance = currentWethBalance;
-            const mult = (1 - poolRatioAfterExitFee ** (1 / wethNorm)) * (1 - swapFee * (1 - wethNorm));
-            currentWethBalance = currentWethBalance.sub(previousWethBalance.mul(Decimal(mult)));
+            const previousWethBalance = simulator.getBalance(WETH);
+            simulator.exitswapPoolAmountInMMM(WETH, pAi, 0);
 
             // Check tAo
-            const expected = (previousWethBalance.sub(currentWethBalance)); // 0.4641 -> 1.1^4 - 1 = 0.4641
+            const mult = (1 - poolRatioAfterExitFee ** (1 / wethNorm)) * (1 - swapFee * (1 - wethNorm));
+            const expected = previousWethBalance.mul(Decimal(mult));
             const actual = fromWei(tAo);
             const relDif = calcRelativeDiff(expected, actual);
 
@@ -1,4 +1,6 @@
 const truffleAssert = require('truffle-assertions');
+const num = require('./lib/num');
+const { createRandom } = require('./lib/fuzz');
 
 const TMath = artifacts.require('TMath');
 
@@ -24,4 +26,76 @@ contract('TMath', async () => {
             await truffleAssert.reverts(tmath.calcPow(MAX, 2), 'SWAAP#40');
         });
     });
+
+    describe('JS port', () => {
+        let tmath;
+        const random = createRandom(11);
+        // wei amounts spanning many magnitudes
+        const randomAmount = (maxDigits = 30) => {
+            const digits = random.integer(1, maxDigits);
+            return BigInt(Math.floor(random() * 10 ** Math.min(digits, 15))) * 10n ** BigInt(Math.max(digits - 15, 0));
+        };
+        const nCases = 20;
+
+        before(async () => {
+            tmath = await TMath.deployed();
+        });
+
+        function assertExact(name, args, expected, actual) {
+            assert.equal(actual.toString(), expected.toString(), `${name}(${args.join(', ')})`);
+        }
+
+        it('mul, mulTruncated, div and divTruncated match to the wei', async () => {
+            for (let i = 0; i < nCases; i++) {
+                const a = randomAmount();
+                const b = randomAmount() + 1n;
+                const args = [a.toString(), b.toString()];
+                assertExact('mul', args, num.mul(a, b), await tmath.calcMul(...args));
+                assertExact('mulTruncated', args, num.mulTruncated(a, b), await tmath.calcMulTruncated(...args));
+                assertExact('div', args, num.div(a, b), await tmath.calcDiv(...args));
+                assertExact('divTruncated', args, num.divTruncated(a, b), await tmath.calcDivTruncated(...args));
+            }
+        });
+
+        it('subSign, divInt256 and positivePart match to the wei', async () => {
+            for (let i = 0; i < nCases; i++) {
+                const a = randomAmount();
+                const b = randomAmount() + 1n;
+                const result = await tmath.calcSubSign(a.toString(), b.toString());
+                const [expectedDiff, expectedNegative] = num.subSign(a, b);
+                assert.equal(result[0].toString(), expectedDiff.toString());
+                assert.equal(result[1], expectedNegative);
+
+                const signedA = random() < 0.5 ? -a : a;
+                const signedB = random() < 0.5 ? -b : b;
+                const args = [signedA.toString(), signedB.toString()];
+                assertExact('divInt256', args, num.divInt256(signedA, signedB), await tmath.calcDivInt256(...args));
+                assertExact('positivePart', [args[0]], num.positivePart(signedA), await tmath.calcPositivePart(args[0]));
+            }
+        });
+
+        it('powi, pow and powApprox match to the wei', async () => {
+            for (let i = 0; i < nCases; i++) {
+                // powApprox converges slowly for bases close to 0 or 2
+                const base = num.ONE / 5n + BigInt(Math.floor(random() * 10 ** 15)) * (8n * num.ONE / 5n / 10n ** 15n);
+                const exp = BigInt(Math.floor(random() * 5 * 10 ** 15)) * 10n ** 3n;
+                const n = BigInt(random.integer(0, 20));
+                assertExact('powi', [base, n], num.powi(base, n), await tmath.calcPowi(base.toString(), n.toString()));
+                assertExact('pow', [base, exp], num.pow(base, exp), await tmath.calcPow(base.toString(), exp.toString()));
+                const remain = exp % num.ONE;
+                assertExact(
+                    'powApprox', [base, remain],
+                    num.powApprox(base, remain, num.POW_PRECISION),
+                    await tmath.calcPowApprox(base.toString(), remain.toString(), num.POW_PRECISION.toString())
+                );
+            }
+        });
+
+        it('throws like the contract', async () => {
+            assert.throws(() => num.mul(2, MAX), /Panic/);
+            assert.throws(() => num.div(1, 0), /Panic/);
+            assert.throws(() => num.pow(0, 2), /SWAAP#39/);
+            assert.throws(() => num.pow(MAX, 2), /SWAAP#40/);
+        });
+    });
 });
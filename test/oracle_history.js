@@ -0,0 +1,64 @@
+const path = require('path');
+const { validateHistory, deployTOracleFromHistory } = require('./lib/oracle_history');
+const { getOracleDataHistory } = require('./lib/data');
+
+const TOracle = artifacts.require('TOracle');
+const TWETHOracle = artifacts.require('TWETHOracle');
+
+const wethHistoryFile = path.join(__dirname, 'fixtures', 'oracles', 'weth.csv');
+
+contract('Oracle history importer', async (accounts) => {
+
+	describe('Validation', () => {
+
+		const rows = [
+			{ roundId: '10', price: '1.5', timestamp: '1000' },
+			{ roundId: '11', price: '1.25', timestamp: '1100' },
+			{ roundId: '12', price: '1.75', timestamp: '1200' }
+		];
+
+		it('Scales prices and orders rounds from the oldest', async () => {
+			const history = validateHistory([...rows].reverse(), 8);
+			assert.deepEqual(history.map(r => r.roundId), ['10', '11', '12']);
+			assert.deepEqual(history.map(r => r.price), ['150000000', '125000000', '175000000']);
+		});
+
+		it('Rejects prices with too many decimals', async () => {
+			assert.throws(() => validateHistory(rows, 1), /more than 1 decimals/);
+		});
+
+		it('Rejects unordered rounds and timestamps', async () => {
+			assert.throws(() => validateHistory([rows[0], rows[2], rows[1]], 8), /not ordered/);
+			assert.throws(
+				() => validateHistory([rows[0], { ...rows[1], timestamp: '900' }], 8),
+				/older than round/
+			);
+		});
+
+		it('Rejects missing rounds unless they are filled', async () => {
+			assert.throws(() => validateHistory([rows[0], rows[2]], 8), /missing/);
+			const history = validateHistory([rows[0], rows[2]], 8, { fillGaps: true });
+			assert.deepEqual(history.map(r => r.price), ['150000000', '0', '175000000']);
+		});
+
+	});
+
+	describe('Deployment', () => {
+
+		it('Replays the history of TWETHOracle', async () => {
+			const wethOracle = await TWETHOracle.new();
+			const { oracle, history } = await deployTOracleFromHistory(TOracle, wethHistoryFile);
+			assert.equal(await oracle.decimals(), 8);
+			assert.equal(history.length, 10);
+
+			const [expectedPrices, expectedTimestamps] = await getOracleDataHistory(wethOracle, 10, 1);
+			const [prices, timestamps] = await getOracleDataHistory(oracle, 10, 1);
+			assert.deepEqual(prices, expectedPrices);
+			// TOracle's history ends at the current block, TWETHOracle's at its deployment block
+			const shift = timestamps[0] - expectedTimestamps[0];
+			assert.deepEqual(timestamps.map(t => t - shift), expectedTimestamps);
+		});
+
+	});
+
+});
@@ -1,5 +1,6 @@
 const truffleAssert = require('truffle-assertions');
 const { calcOutGivenIn, calcInGivenOut, calcRelativeDiff } = require('./lib/calc_comparisons');
+const { getTokenRelativePrice } = require('./lib/chainlink_utils');
 
 const Pool = artifacts.require('Pool');
 const Factory = artifacts.require('Factory');
@@ -39,8 +40,18 @@ contract('Pool', async (accounts) => {
     const xxxDecimals = 18
     const xxxWithFeesDecimals = 18
 
-    const daiDecimalsDiffFactor = 10**(daiDecimals - wethDecimals)
-    const mkrDecimalsDiffFactor = 10**(mkdrDecimals - wethDecimals)
+    const oracleDecimals = 8
+    const wethOraclePrice = 2000 * 10**oracleDecimals
+    const mkrOraclePrice = 50 * 10**oracleDecimals
+    const daiOraclePrice = 1 * 10**oracleDecimals
+
+    // price of token 2 in terms of token 1 between their smallest units (wei), as the pool computes it
+    function getRelativePrice(oraclePrice1, decimals1, oraclePrice2, decimals2) {
+        return getTokenRelativePrice(
+            BigInt(oraclePrice1), decimals1 + oracleDecimals,
+            BigInt(oraclePrice2), decimals2 + oracleDecimals
+        );
+    }
 
     let WETHOracleAddress;
 	let MKROracleAddress;
@@ -66,9 +77,9 @@ contract('Pool', async (accounts) => {
         XXX = xxx.address;
         XXXWITHFEES = xxxWithFees.address;
 
-        wethOracle = await TConstantOracle.new((2000 * 10**8).toString());
-        mkrOracle = await TConstantOracle.new((50 * 10**8).toString());
-        daiOracle = await TConstantOracle.new((1 * 10**8).toString());
+        wethOracle = await TConstantOracle.new(wethOraclePrice.toString());
+        mkrOracle = await TConstantOracle.new(mkrOraclePrice.toString());
+        daiOracle = await TConstantOracle.new(daiOraclePrice.toString());
         xxxOracle = await TConstantOracle.new((1 * 10**8).toString());
 
         WETHOracleAddress = wethOracle.address;
@@ -237,7 +248,7 @@ contract('Pool', async (accounts) => {
             assert.equal(5, fromWei(wethDenormWeight));
             assert.equal(0.333333333333333333, fromWei(wethDenormWeight) / totalDenormWeight);
             const mkrBalance = await pool.getBalance(MKR);
-            const relDif = calcRelativeDiff(2000*mkrDecimalsDiffFactor, fromWei(mkrBalance));
+            const relDif = calcRelativeDiff(2000, parseFloat(mkrBalance) / 10**mkdrDecimals);
             assert.isAtMost(relDif.toNumber(), errorDelta);
         });
 
@@ -496,7 +507,7 @@ contract('Pool', async (accounts) => {
         it('User1 joins pool', async () => {
             await pool.joinPool(toWei('5'), [MAX, MAX, MAX], { from: user1 });
             const daiBalance = await pool.getBalance(DAI);
-            const relDif = calcRelativeDiff(105000*daiDecimalsDiffFactor, fromWei(daiBalance));
+            const relDif = calcRelativeDiff(105000, parseFloat(daiBalance) / 10**daiDecimals);
             assert.isAtMost(relDif.toNumber(), errorDelta);
             const userWethBalance = await weth.balanceOf(user1);
             assert.equal(22.5, fromWei(userWethBalance));
@@ -582,45 +593,47 @@ contract('Pool', async (accounts) => {
 
         it('getSpotPriceSansFee', async () => {
             const wethPriceSansFee = await pool.getSpotPriceSansFee(DAI, WETH);
-            const wethPriceSansFeeCheck = (105000 * daiDecimalsDiffFactor / 5) / (52.5 / 5);
-            const relDif = calcRelativeDiff(wethPriceSansFeeCheck, fromWei(wethPriceSansFee));
+            // the pool holds its tokens at the oracle prices
+            const wethPriceSansFeeCheck = getRelativePrice(daiOraclePrice, daiDecimals, wethOraclePrice, wethDecimals);
+            const relDif = calcRelativeDiff(fromWei(wethPriceSansFeeCheck.toString()), fromWei(wethPriceSansFee));
             assert.isAtMost(relDif.toNumber(), errorDelta);
         });
 
         it('Fail swapExactAmountInMMM unbound or over min max ratios', async () => {
             try {
-                await pool.swapExactAmountInMMM(WETH, toWei('2.5'), XXX, toWei('100'), toWei((200 / daiDecimalsDiffFactor).toString()), { from: user2 });
+                await pool.swapExactAmountInMMM(WETH, toWei('2.5'), XXX, toWei('100'), MAX, { from: user2 });
                 throw 'did not revert';
             }
             catch(e) {
                 assert(e.reason, 'SWAAP#02');
             }
             /*await truffleAssert.reverts(
-                pool.swapExactAmountInMMM(WETH, toWei('2.5'), XXX, toWei('100'), toWei((200 / daiDecimalsDiffFactor).toString()), { from: user2 }),
+                pool.swapExactAmountInMMM(WETH, toWei('2.5'), XXX, toWei('100'), MAX, { from: user2 }),
                 '2',
             );*/
             try {
-                await pool.swapExactAmountInMMM(WETH, toWei('26.5'), DAI, toWei('5000'), toWei((200 / daiDecimalsDiffFactor).toString()), { from: user2 });
+                await pool.swapExactAmountInMMM(WETH, toWei('26.5'), DAI, toWei('5000'), MAX, { from: user2 });
                 throw 'did not revert';
             }
             catch(e) {
                 assert(e.reason, 'SWAAP#57');
             }
             /*await truffleAssert.reverts(
-                pool.swapExactAmountInMMM(WETH, toWei('26.5'), DAI, toWei('5000'), toWei((200 / daiDecimalsDiffFactor).toString()), { from: user2 }),
+                pool.swapExactAmountInMMM(WETH, toWei('26.5'), DAI, toWei('5000'), MAX, { from: user2 }),
                 '57',
             );*/
         });
 
         it('swapExactAmountInMMM', async () => {
             // 0.025 WETH -> DAI
-            const expected = calcOutGivenIn(52.5/daiDecimalsDiffFactor, 5, 105000, 5, 0.025/daiDecimalsDiffFactor, 0.0015);
+            const expected = calcOutGivenIn(52.5, 5, 105000, 5, 0.025, 0.0015);
+            const maxPrice = getRelativePrice(wethOraclePrice, wethDecimals, daiOraclePrice, daiDecimals) * 102n / 100n;
             const txr = await pool.swapExactAmountInMMM(
                 WETH,
                 toWei('0.025'),
                 DAI,
                 (49*10**daiDecimals).toString(),
-                toWei((0.00051 / daiDecimalsDiffFactor).toString()),
+                maxPrice.toString(),
                 { from: user2 },
             );
             const log = txr.logs[0];
@@ -642,7 +655,7 @@ contract('Pool', async (accounts) => {
 
             // 182.804672101083406128
             const wethPriceSansFee = await pool.getSpotPriceSansFee(DAI, WETH);
-            const wethPriceSansFeeCheck = (104950.098727 * daiDecimalsDiffFactor / 5) / (52.525 / 5);
+            const wethPriceSansFeeCheck = (104950.098727 * 10**daiDecimals / 5) / (52.525 * 10**wethDecimals / 5);
             assert.approximately(Number(fromWei(wethPriceSansFee)), Number(wethPriceSansFeeCheck), errorDelta);
 
             const daiNormWeight = await pool.getDenormalizedWeight(DAI);
@@ -654,13 +667,14 @@ contract('Pool', async (accounts) => {
 
         it('swapExactAmountOut', async () => {
             // WETH -> 1 MKR
-            const expected = calcInGivenOut(52.525, 5, 2100*mkrDecimalsDiffFactor, 5, 1*mkrDecimalsDiffFactor, 0.0015);
+            const expected = calcInGivenOut(52.525, 5, 2100, 5, 1, 0.0015);
+            const maxPrice = getRelativePrice(wethOraclePrice, wethDecimals, mkrOraclePrice, mkdrDecimals) * 108n / 100n;
             const txr = await pool.swapExactAmountOutMMM(
                 WETH,
                 toWei('0.026'),
                 MKR,
                 (1.0*10**mkdrDecimals).toString(),
-                toWei((0.027 / mkrDecimalsDiffFactor).toString()),
+                maxPrice.toString(),
                 { from: user2 },
             );
             const log = txr.logs[0];
@@ -0,0 +1,323 @@
+const os = require('os');
+const path = require('path');
+const Decimal = require('decimal.js');
+const { calcRelativeDiff } = require('./lib/calc_comparisons');
+const { PoolSimulator } = require('./lib/pool_simulator');
+const {
+	generateSequence, shrinkSequence,
+	writeFixture, readFixtures
+} = require('./lib/fuzz');
+const { advanceTimeAndBlock } = require('./lib/time');
+const { parseSwaapError } = require('./lib/errors');
+
+const Pool = artifacts.require('Pool');
+const Factory = artifacts.require('Factory');
+const TToken = artifacts.require('TToken');
+const TConstantOracle = artifacts.require('TConstantOracle');
+
+const errorDelta = 10 ** -8;
+
+const verbose = process.env.VERBOSE;
+
+// a couple of seeded sequences by default, more when asked for, e.g. FUZZ_SEED=42 FUZZ_RUNS=20 truffle test test/pool_fuzz.js
+const seed = parseInt(process.env.FUZZ_SEED || '1');
+const runs = parseInt(process.env.FUZZ_RUNS || '2');
+const nOperations = parseInt(process.env.FUZZ_OPERATIONS || '20');
+
+// replayed by every run
+const fixturesDirectory = path.join(__dirname, 'fixtures', 'fuzz');
+// where failing sequences are written, e.g. FUZZ_FIXTURES=test/fixtures/fuzz to add them to the replayed ones
+const failuresDirectory = process.env.FUZZ_FIXTURES || path.join(os.tmpdir(), 'swaap-fuzz');
+
+contract('Pool differential fuzzing', async (accounts) => {
+
+	const admin = accounts[0];
+	const { toWei } = web3.utils;
+	const { fromWei } = web3.utils;
+	const MAX = web3.utils.toTwosComplement(-1);
+
+	let factory;
+
+	before(async () => {
+		factory = await Factory.deployed();
+	});
+
+	// 'SWAAP#NN' when the revert comes from the pool, the raw message otherwise
+	function getRevertCode(e) {
+		const error = parseSwaapError(e);
+		return error ? error.reason : e.message;
+	}
+
+	async function execute(f) {
+		try {
+			return { result: await f() };
+		} catch (e) {
+			return { error: getRevertCode(e) };
+		}
+	}
+
+	// token units with at most 18 decimals
+	function toAmount(value) {
+		return Decimal(value).toDecimalPlaces(18, Decimal.ROUND_DOWN).toFixed();
+	}
+
+	function assertClose(name, expected, actual) {
+		const relDif = calcRelativeDiff(expected, actual);
+		if (relDif.toNumber() > errorDelta) {
+			return { reason: name, expected: expected.toString(), actual: actual.toString() };
+		}
+		return null;
+	}
+
+	async function compareStates(pool, simulator, tokens) {
+		const mismatch = assertClose('totalSupply', Decimal(fromWei(await pool.totalSupply())), simulator.totalSupply);
+		if (mismatch !== null) {
+			return mismatch;
+		}
+		for (const token of tokens) {
+			const isBound = await pool.isBound(token);
+			if (isBound != simulator.isBound(token)) {
+				return { reason: `isBound ${token}`, expected: isBound, actual: simulator.isBound(token) };
+			}
+			if (isBound) {
+				const mismatch = assertClose(
+					`balance ${token}`,
+					Decimal(fromWei(await pool.getBalance(token))),
+					simulator.getBalance(token)
+				);
+				if (mismatch !== null) {
+					return mismatch;
+				}
+			}
+		}
+		return null;
+	}
+
+	// runs the operation on the pool and on the simulator, the pool's outcome being the expected one
+	async function runOperation(operation, context) {
+		const { pool, simulator, tokens, oracles, prices } = context;
+
+		const balanceOf = (token) => simulator.isBound(token) ? simulator.getBalance(token) : Decimal(1);
+		const supply = simulator.totalSupply.isZero() ? Decimal(1) : simulator.totalSupply;
+
+		let expected;
+		let actual;
+		switch (operation.type) {
+			case 'bind': {
+				const token = tokens[operation.token];
+				expected = await execute(() => pool.bindMMM(
+					token, toWei(operation.balance), toWei(operation.denorm), oracles[operation.token].address
+				));
+				actual = await execute(() => simulator.bindMMM(
+					token, operation.balance, operation.denorm, prices[operation.token] / 10**8
+				));
+				break;
+			}
+			case 'setSwapFee': {
+				expected = await execute(() => pool.setSwapFee(toWei(operation.swapFee)));
+				actual = await execute(() => simulator.setSwapFee(operation.swapFee));
+				break;
+			}
+			case 'finalize': {
+				expected = await execute(() => pool.finalize());
+				actual = await execute(() => simulator.finalize());
+				break;
+			}
+			case 'join': {
+				const poolAmountOut = toAmount(supply.mul(operation.ratio));
+				expected = await execute(async () => pool.joinPool(
+					toWei(poolAmountOut), (await pool.getTokens()).map(() => MAX)
+				));
+				actual = await execute(() => simulator.joinPool(poolAmountOut, simulator.getTokens().map(() => MAX)));
+				break;
+			}
+			case 'exit': {
+				const poolAmountIn = toAmount(supply.mul(operation.ratio));
+				expected = await execute(async () => pool.exitPool(
+					toWei(poolAmountIn), (await pool.getTokens()).map(() => 0)
+				));
+				actual = await execute(() => simulator.exitPool(poolAmountIn, simulator.getTokens().map(() => 0)));
+				break;
+			}
+			case 'swapIn': {
+				const tokenIn = tokens[operation.tokenIn];
+				const tokenOut = tokens[operation.tokenOut];
+				const tokenAmountIn = toAmount(balanceOf(tokenIn).mul(operation.ratio));
+				expected = await execute(async () => {
+					const txr = await pool.swapExactAmountInMMM(tokenIn, toWei(tokenAmountIn), tokenOut, 0, MAX);
+					const log = txr.logs.find(l => l.event == 'LOG_SWAP');
+					return { amount: Decimal(fromWei(log.args[4])), spread: Decimal(fromWei(log.args[5])) };
+				});
+				actual = await execute(() => {
+					const [swapResult] = simulator.getAmountOutGivenInMMM(tokenIn, tokenAmountIn, tokenOut, 0, MAX);
+					simulator.swapExactAmountInMMM(tokenIn, tokenAmountIn, tokenOut, 0, MAX);
+					return swapResult;
+				});
+				break;
+			}
+			case 'swapOut': {
+				const tokenIn = tokens[operation.tokenIn];
+				const tokenOut = tokens[operation.tokenOut];
+				const tokenAmountOut = toAmount(balanceOf(tokenOut).mul(operation.ratio));
+				expected = await execute(async () => {
+					const txr = await pool.swapExactAmountOutMMM(tokenIn, MAX, tokenOut, toWei(tokenAmountOut), MAX);
+					const log = txr.logs.find(l => l.event == 'LOG_SWAP');
+					return { amount: Decimal(fromWei(log.args[3])), spread: Decimal(fromWei(log.args[5])) };
+				});
+				actual = await execute(() => {
+					const [swapResult] = simulator.getAmountInGivenOutMMM(tokenIn, MAX, tokenOut, tokenAmountOut, MAX);
+					simulator.swapExactAmountOutMMM(tokenIn, MAX, tokenOut, tokenAmountOut, MAX);
+					return swapResult;
+				});
+				break;
+			}
+			case 'joinswap': {
+				const token = tokens[operation.token];
+				const tokenAmountIn = toAmount(balanceOf(token).mul(operation.ratio));
+				expected = await execute(() => pool.joinswapExternAmountInMMM(token, toWei(tokenAmountIn), 0));
+				actual = await execute(() => simulator.joinswapExternAmountInMMM(token, tokenAmountIn, 0));
+				break;
+			}
+			case 'exitswap': {
+				const token = tokens[operation.token];
+				const poolAmountIn = toAmount(supply.mul(operation.ratio));
+				expected = await execute(() => pool.exitswapPoolAmountInMMM(token, toWei(poolAmountIn), 0));
+				actual = await execute(() => simulator.exitswapPoolAmountInMMM(token, poolAmountIn, 0));
+				break;
+			}
+			case 'price': {
+				const token = tokens[operation.token];
+				prices[operation.token] = Math.round(prices[operation.token] * operation.factor);
+				const latestBlock = await web3.eth.getBlock('latest');
+				await oracles[operation.token].addDataPoint(prices[operation.token], latestBlock.timestamp);
+				// the next transactions are not in the same block as the price update (no adaptive fees)
+				await advanceTimeAndBlock(1);
+				if (simulator.isBound(token)) {
+					simulator.setLatestPrice(token, prices[operation.token] / 10**8, false);
+				}
+				return null;
+			}
+			default:
+				throw new Error(`Unknown operation ${operation.type}`);
+		}
+
+		if (expected.error !== actual.error) {
+			return { reason: 'outcome', expected: expected.error || 'success', actual: actual.error || 'success' };
+		}
+		if (expected.error === undefined && operation.type.startsWith('swap')) {
+			const mismatch = assertClose('amount', expected.result.amount, actual.result.amount)
+				|| assertClose('spread', expected.result.spread, actual.result.spread);
+			if (mismatch !== null) {
+				return mismatch;
+			}
+		}
+		return compareStates(pool, simulator, tokens);
+	}
+
+	// resolves to null if the pool and the simulator agree on the whole sequence, to the first mismatch otherwise
+	async function runSequence(sequence) {
+		const POOL = await factory.newPool.call();
+		await factory.newPool();
+		const pool = await Pool.at(POOL);
+
+		const context = {
+			pool,
+			simulator: new PoolSimulator(),
+			tokens: [],
+			oracles: [],
+			prices: sequence.tokens.map(t => t.price)
+		};
+		for (let i = 0; i < sequence.tokens.length; i++) {
+			const token = await TToken.new(`Token ${i}`, `T${i}`, 18);
+			await token.mint(admin, MAX);
+			await token.approve(POOL, MAX);
+			context.tokens.push(token.address);
+			context.oracles.push(await TConstantOracle.new(context.prices[i]));
+		}
+		// a single round of price history --> null GBM estimates, as assumed by the simulator
+		await pool.setPriceStatisticsLookbackInRound(1);
+
+		for (let step = 0; step < sequence.operations.length; step++) {
+			const operation = sequence.operations[step];
+			const mismatch = await runOperation(operation, context);
+			if (verbose) {
+				console.log(`${step} ${JSON.stringify(operation)} ${mismatch === null ? 'ok' : JSON.stringify(mismatch)}`);
+			}
+			if (mismatch !== null) {
+				return { step, operation, ...mismatch };
+			}
+		}
+		return null;
+	}
+
+	describe('Sequences', () => {
+		it('generateSequence replays the same sequence for a seed', async () => {
+			const sequence = generateSequence(seed, nOperations);
+			assert.deepEqual(generateSequence(seed, nOperations), sequence);
+			assert.notDeepEqual(generateSequence(seed + 1, nOperations), sequence);
+			assert.equal(sequence.seed, seed);
+			assert.isAtLeast(sequence.tokens.length, 2);
+			assert.isAtMost(sequence.tokens.length, 4);
+			// bind every token, set the swap fee and finalize before the random operations
+			assert.equal(sequence.operations.length, sequence.tokens.length + 2 + nOperations);
+			assert.deepEqual(
+				sequence.operations.slice(0, sequence.tokens.length).map(o => [o.type, o.token]),
+				sequence.tokens.map((_, i) => ['bind', i])
+			);
+		});
+
+		it('shrinkSequence keeps the operations needed to reproduce the failure', async () => {
+			const sequence = generateSequence(seed, nOperations);
+			const culprits = [sequence.operations[3], sequence.operations[nOperations - 1]];
+			// fails as long as both culprits are run
+			let runs = 0;
+			const fakeRunSequence = async (candidate) => {
+				++runs;
+				return culprits.every(o => candidate.operations.includes(o)) ? { reason: 'culprits' } : null;
+			};
+			const [shrunkSequence, shrunkFailure] = await shrinkSequence(sequence, { reason: 'initial' }, fakeRunSequence);
+			assert.deepEqual(shrunkSequence.operations, culprits);
+			assert.deepEqual(shrunkSequence.tokens, sequence.tokens);
+			assert.equal(shrunkSequence.seed, sequence.seed);
+			assert.deepEqual(shrunkFailure, { reason: 'culprits' });
+			assert.isAtMost(runs, 50);
+		});
+
+		it('shrinkSequence stops after maxRuns executions', async () => {
+			const sequence = generateSequence(seed, nOperations);
+			let runs = 0;
+			const fakeRunSequence = async () => {
+				++runs;
+				return null;
+			};
+			const [shrunkSequence, shrunkFailure] = await shrinkSequence(sequence, { reason: 'initial' }, fakeRunSequence, 3);
+			assert.equal(runs, 3);
+			assert.deepEqual(shrunkSequence.operations, sequence.operations);
+			assert.deepEqual(shrunkFailure, { reason: 'initial' });
+		});
+	});
+
+	describe('Random sequences', () => {
+		[...Array(runs).keys()].forEach(run => {
+			it(`seed ${seed + run}`, async () => {
+				const sequence = generateSequence(seed + run, nOperations);
+				const failure = await runSequence(sequence);
+				if (failure !== null) {
+					const [shrunkSequence, shrunkFailure] = await shrinkSequence(sequence, failure, runSequence);
+					const file = writeFixture(failuresDirectory, shrunkSequence, shrunkFailure);
+					assert.fail(`${JSON.stringify(shrunkFailure)}, minimal reproduction written to ${file}`);
+				}
+			});
+		});
+	});
+
+	describe('Fixtures replay', () => {
+		readFixtures(fixturesDirectory).forEach(fixture => {
+			it(fixture.file, async () => {
+				const failure = await runSequence(fixture);
+				assert.isNull(failure, JSON.stringify(failure));
+			});
+		});
+	});
+
+});
@@ -1,8 +1,25 @@
+const Decimal = require('decimal.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const truffleAssert = require('truffle-assertions');
 const { calcOutGivenIn, calcInGivenOut, calcRelativeDiff } = require('./lib/calc_comparisons');
 const { getOracleDataHistory } = require('./lib/data');
-const { calcOutGivenInMMM, computeMMMSpread } = require('./lib/mmm');
-const { getParametersEstimation, getStartIndices } = require('./lib/gbm_oracle');
+const { calcOutGivenInMMM, calcInGivenOutMMM, computeMMMSpread } = require('./lib/mmm');
+const { getPairwiseParametersEstimation } = require('./lib/gbm_oracle');
+const { expectSwaapRevert } = require('./lib/errors');
+const { checkJoinSwapPrices, checkExitSwapPrices, readTokenLatestInfo } = require('./lib/unpeg');
+const { calcSpotPrice } = require('./lib/math');
+const num = require('./lib/num');
+const { getTokenRelativePrice } = require('./lib/chainlink_utils');
+const { Quoter, MAX_IN_RATIO } = require('./lib/quoter');
+const { getSafeLimits } = require('./lib/limits');
+const { Router } = require('./lib/router');
+const { splitGivenIn, splitGivenOut } = require('./lib/splitter');
+const { takeSnapshot, saveSnapshot, loadSnapshot, rehydrateSnapshot } = require('./lib/snapshot');
+const { PoolReplayer } = require('./lib/replayer');
+const { PositionTracker, positionsToJSON, positionsToCsv } = require('./lib/positions');
+const { analyzeHistory, readTradeHistory } = require('./lib/lvr');
 
 const Pool = artifacts.require('Pool');
 const Factory = artifacts.require('Factory');
@@ -12,6 +29,7 @@ const verbose = process.env.VERBOSE;
 const TWETHOracle = artifacts.require('TWETHOracle');
 const TWBTCOracle = artifacts.require('TWBTCOracle');
 const TDAIOracle = artifacts.require('TDAIOracle');
+const TOracle = artifacts.require('TOracle');
 
 contract('Pool', async (accounts) => {
 
@@ -65,8 +83,7 @@ contract('Pool', async (accounts) => {
 	const wbtcDecimals = 16;
 	const daiDecimals = 14;
 
-	const wbtcDecimalsDiffFactor = 10**(wbtcDecimals - wethDecimals)
-	const daiDecimalsDiffFactor = 10**(daiDecimals - wethDecimals)
+	const oracleDecimals = 8;
 
 	let wethOraclePriceLast; let wbtcOraclePriceLast; let daiOraclePriceLast;
 
@@ -127,9 +144,14 @@ contract('Pool', async (accounts) => {
 
 		await updateState()
 
+        // balances in the smallest units of the tokens / 10**18
         wethInitialBalance = valuePerAsset / wethOraclePriceLast
-        wbtcInitialBalance = valuePerAsset / wbtcOraclePriceLast * wbtcDecimalsDiffFactor
-        daiInitialBalance = valuePerAsset / daiOraclePriceLast * daiDecimalsDiffFactor
+        wbtcInitialBalance = wethInitialBalance * fromWei(
+        	getRelativePrice(_wbtcOraclePrices, wbtcDecimals, _wethOraclePrices, wethDecimals).toString()
+        )
+        daiInitialBalance = wethInitialBalance * fromWei(
+        	getRelativePrice(_daiOraclePrices, daiDecimals, _wethOraclePrices, wethDecimals).toString()
+        )
 
         // Admin balances
         await weth.mint(admin, toWei(wethInitialBalance.toString()));
@@ -147,53 +169,36 @@ contract('Pool', async (accounts) => {
         await dai.mint(user2, toWei('0'), { from: admin });
     });
 
+	// price of token 2 in terms of token 1 between their smallest units (wei), at the oracles' latest prices
+	function getRelativePrice(oraclePrices1, decimals1, oraclePrices2, decimals2) {
+		return getTokenRelativePrice(
+			BigInt(oraclePrices1[0]), decimals1 + oracleDecimals,
+			BigInt(oraclePrices2[0]), decimals2 + oracleDecimals
+		);
+	}
+
+	// limit price of a swap from token 1 to token 2, loose enough not to be reached by the tests
+	function getMaxPrice(oraclePrices1, decimals1, oraclePrices2, decimals2) {
+		return (getRelativePrice(oraclePrices1, decimals1, oraclePrices2, decimals2) * 2n).toString();
+	}
+
     async function updateState() {
     	const lastBlock = await web3.eth.getBlock("latest")
     	const _now = lastBlock.timestamp
     	if (_now != now) {
     		now = _now
 
-    		let wethOracleTimestamps = [..._wethOracleTimestamps]
-    		let daiOracleTimestamps = [..._daiOracleTimestamps]
-			const [wethOracleStartIndexWETHDAI, daiOracleStartIndexWETHDAI] = getStartIndices(
-				wethOracleTimestamps, daiOracleTimestamps,
+			const estimations = getPairwiseParametersEstimation(
+				{
+					WETH: [_wethOraclePrices, _wethOracleTimestamps],
+					WBTC: [_wbtcOraclePrices, _wbtcOracleTimestamps],
+					DAI: [_daiOraclePrices, _daiOracleTimestamps]
+				},
 				priceStatisticsLookbackInRound, priceStatisticsLookbackInSec, now
-			)
-			const [_expectedMeanWETHDAI, _expectedVarianceWETHDAI] = getParametersEstimation(
-				[..._wethOraclePrices], wethOracleTimestamps, wethOracleStartIndexWETHDAI,
-				[..._daiOraclePrices], daiOracleTimestamps, daiOracleStartIndexWETHDAI,
-				priceStatisticsLookbackInSec, now
 			);
-			expectedMeanWETHDAI = _expectedMeanWETHDAI;
-			expectedVarianceWETHDAI = _expectedVarianceWETHDAI;
-
-    		daiOracleTimestamps = [..._daiOracleTimestamps]
-    		let wbtcOracleTimestamps = [..._wbtcOracleTimestamps]
-			const [wbtcOracleStartIndexWBTCDAI, daiOracleStartIndexWBTCDAI] = getStartIndices(
-				wbtcOracleTimestamps, daiOracleTimestamps,
-				priceStatisticsLookbackInRound, priceStatisticsLookbackInSec, now
-			)
-			const [_expectedMeanWBTCDAI, _expectedVarianceWBTCDAI] = getParametersEstimation(
-				[..._wbtcOraclePrices], wbtcOracleTimestamps, wbtcOracleStartIndexWBTCDAI,
-				[..._daiOraclePrices], _daiOracleTimestamps, daiOracleStartIndexWBTCDAI,
-				priceStatisticsLookbackInSec, now
-			);
-			expectedMeanWBTCDAI = _expectedMeanWBTCDAI;
-			expectedVarianceWBTCDAI = _expectedVarianceWBTCDAI;
-
-    		wethOracleTimestamps = [..._wethOracleTimestamps]
-    		wbtcOracleTimestamps = [..._wbtcOracleTimestamps]
-			const [wbtcOracleStartIndexWBTCWETH, wethOracleStartIndexWBTCWETH] = getStartIndices(
-				wbtcOracleTimestamps, wethOracleTimestamps,
-				priceStatisticsLookbackInRound, priceStatisticsLookbackInSec, now
-			)
-			const [_expectedMeanWBTCWETH, _expectedVarianceWBTCWETH] = getParametersEstimation(
-				[..._wbtcOraclePrices], wbtcOracleTimestamps, wbtcOracleStartIndexWBTCWETH,
-				[..._wethOraclePrices], [..._wethOracleTimestamps], wethOracleStartIndexWBTCWETH,
-				priceStatisticsLookbackInSec, now
-			);
-			expectedMeanWBTCWETH = _expectedMeanWBTCWETH;
-			expectedVarianceWBTCWETH = _expectedVarianceWBTCWETH;
+			({ mean: expectedMeanWETHDAI, variance: expectedVarianceWETHDAI } = estimations.WETH.DAI);
+			({ mean: expectedMeanWBTCDAI, variance: expectedVarianceWBTCDAI } = estimations.WBTC.DAI);
+			({ mean: expectedMeanWBTCWETH, variance: expectedVarianceWBTCWETH } = estimations.WBTC.WETH);
 		} else {
 		   now = _now
 		}
@@ -318,18 +323,280 @@ contract('Pool', async (accounts) => {
         it('Fail swapExactAmountInMMM unpegged', async () => {
             // 320 represent about 10% of WETH balance
             try {
-                await pool.swapExactAmountInMMM(WETH, toWei('320'), DAI, toWei('0'), toWei((4000 / daiDecimalsDiffFactor).toString()), { from: user2 });
+                await pool.swapExactAmountInMMM(WETH, toWei('320'), DAI, toWei('0'), getMaxPrice(_wethOraclePrices, wethDecimals, _daiOraclePrices, daiDecimals), { from: user2 });
                 throw 'did not revert';
             }
             catch(e) {
                 assert(e.reason, 'SWAAP#44');
             }
             /*await truffleAssert.reverts(
-                pool.swapExactAmountInMMM(WETH, toWei('320'), DAI, toWei('0'), toWei((4000 / daiDecimalsDiffFactor).toString()), { from: user2 }),
+                pool.swapExactAmountInMMM(WETH, toWei('320'), DAI, toWei('0'), getMaxPrice(_wethOraclePrices, wethDecimals, _daiOraclePrices, daiDecimals), { from: user2 }),
                 '44'
             );*/
         });
 
+        it('Adjusted weights model', async () => {
+            const wethInfo = await readTokenLatestInfo(pool, weth, wethOracle);
+            const daiInfo = await readTokenLatestInfo(pool, dai, daiOracle);
+            const spotPrice = await pool.getSpotPriceSansFee(WETH, DAI);
+            assert.equal(
+                calcSpotPrice(wethInfo.balance, wethInfo.weight, daiInfo.balance, daiInfo.weight).toString(),
+                spotPrice.toString()
+            );
+        });
+
+        it('Predict joinswap unpeg', async () => {
+            const { maxPriceUnpegRatio } = await pool.getCoverageParameters();
+            const wethInfo = await readTokenLatestInfo(pool, weth, wethOracle);
+            const remainingInfos = [
+                await readTokenLatestInfo(pool, wbtc, wbtcOracle),
+                await readTokenLatestInfo(pool, dai, daiOracle)
+            ];
+
+            // 0.5% of WETH balance
+            const smallAmountIn = wethInfo.balance / 200n;
+            let breaches = checkJoinSwapPrices(
+                { ...wethInfo, balance: wethInfo.balance + smallAmountIn },
+                remainingInfos,
+                maxPriceUnpegRatio.toString()
+            );
+            assert.lengthOf(breaches, 0);
+            await pool.getJoinswapExternAmountInMMM(WETH, smallAmountIn.toString());
+
+            // 10% of WETH balance
+            const largeAmountIn = wethInfo.balance / 10n;
+            breaches = checkJoinSwapPrices(
+                { ...wethInfo, balance: wethInfo.balance + largeAmountIn },
+                remainingInfos,
+                maxPriceUnpegRatio.toString()
+            );
+            assert.sameMembers(breaches.map(b => b.tokenOut), [WBTC, DAI]);
+            breaches.forEach(b => assert.isAbove(Number(b.excess), 0));
+            if (verbose) {
+                breaches.forEach(b => console.log(`${b.tokenIn} -> ${b.tokenOut}: ratio ${fromWei(b.ratio.toString())}`));
+            }
+            await expectSwaapRevert(
+                pool.getJoinswapExternAmountInMMM(WETH, largeAmountIn.toString()),
+                'MAX_PRICE_UNPEG_RATIO'
+            );
+        });
+
+        it('Predict exitswap unpeg', async () => {
+            const { maxPriceUnpegRatio } = await pool.getCoverageParameters();
+            const daiInfo = await readTokenLatestInfo(pool, dai, daiOracle);
+            const remainingInfos = [
+                await readTokenLatestInfo(pool, weth, wethOracle),
+                await readTokenLatestInfo(pool, wbtc, wbtcOracle)
+            ];
+            // removing 10% of DAI makes DAI more expensive than its oracle price
+            const breaches = checkExitSwapPrices(
+                { ...daiInfo, balance: daiInfo.balance - daiInfo.balance / 10n },
+                remainingInfos,
+                maxPriceUnpegRatio.toString()
+            );
+            assert.sameMembers(breaches.map(b => b.tokenIn), [WETH, WBTC]);
+            breaches.forEach(b => assert.equal(b.tokenOut, DAI));
+        });
+
+        it('Off-chain quotes match the view functions', async () => {
+            const quoter = await Quoter.fromPool(pool);
+            const checks = [
+                ...['0.1', '1', '10', '50', '5000'].map(amount => ['getAmountOutGivenInMMM', WETH, toWei(amount), DAI, '0', MAX]),
+                ...['100', '10000'].map(amount => ['getAmountInGivenOutMMM', WBTC, MAX, DAI, toWei(amount), MAX]),
+                // 100 DAI, the amounts above being beyond MAX_PRICE_UNPEG_RATIO with DAI's 14 decimals
+                ['getAmountInGivenOutMMM', WBTC, MAX, DAI, (100n * 10n ** BigInt(daiDecimals)).toString(), MAX],
+                ['getAmountOutGivenInMMM', DAI, toWei('1000'), WBTC, '0', MAX]
+            ];
+            const results = [];
+            for (const [method, ...args] of checks) {
+                const { local, onChain, mismatches } = await quoter.crossCheck(method, ...args);
+                if (verbose) {
+                    console.log(method, args, local, onChain);
+                }
+                assert.lengthOf(mismatches, 0, `${method}(${args}): ${mismatches}`);
+                results.push(local);
+            }
+            assert.isTrue(results.some((result, i) => checks[i][0] == 'getAmountInGivenOutMMM' && result.error === undefined));
+        });
+
+        it('Safe limits are accepted by the swaps', async () => {
+            const quoter = await Quoter.fromPool(pool);
+            const options = { slippageBps: 50 };
+
+            const maxTrade = quoter.getMaxTradeAmounts(WETH, DAI);
+            assert.equal(maxTrade.amountIn, num.mul((await pool.getBalance(WETH)).toString(), MAX_IN_RATIO));
+            await expectSwaapRevert(
+                pool.getAmountOutGivenInMMM(WETH, (maxTrade.amountIn + 1n).toString(), DAI, '0', MAX),
+                'MAX_IN_RATIO'
+            );
+
+            const limitsIn = getSafeLimits(quoter, 'swapExactAmountInMMM', WETH, toWei('1'), DAI, options);
+            assert.isAtLeast(Number(limitsIn.deadline), quoter.timestamp);
+            const [amountOut] = Object.values(await pool.swapExactAmountInMMM.call(
+                WETH, toWei('1'), DAI, limitsIn.minAmountOut.toString(), limitsIn.maxPrice.toString(), { from: user2 }
+            ));
+            assert.isTrue(BigInt(amountOut.toString()) >= limitsIn.minAmountOut);
+            await expectSwaapRevert(
+                pool.swapExactAmountInMMM.call(
+                    WETH, toWei('1'), DAI, (2n * limitsIn.quote.swapResult.amount).toString(), limitsIn.maxPrice.toString(),
+                    { from: user2 }
+                ),
+                'LIMIT_OUT'
+            );
+            await expectSwaapRevert(
+                pool.swapExactAmountInMMM.call(
+                    WETH, toWei('1'), DAI, limitsIn.minAmountOut.toString(),
+                    (limitsIn.quote.priceResult.spotPriceBefore - 1n).toString(),
+                    { from: user2 }
+                ),
+                'BAD_LIMIT_PRICE'
+            );
+
+            // 100 DAI: DAI has 14 decimals, toWei('100') would be a million DAI and unpeg the pool (MAX_PRICE_UNPEG_RATIO)
+            const daiAmountOut = (100n * 10n ** BigInt(daiDecimals)).toString();
+            const limitsOut = getSafeLimits(quoter, 'swapExactAmountOutMMM', WBTC, daiAmountOut, DAI, options);
+            const [amountIn] = Object.values(await pool.swapExactAmountOutMMM.call(
+                WBTC, limitsOut.maxAmountIn.toString(), DAI, daiAmountOut, limitsOut.maxPrice.toString(), { from: user2 }
+            ));
+            assert.isTrue(BigInt(amountIn.toString()) <= limitsOut.maxAmountIn);
+            await expectSwaapRevert(
+                pool.swapExactAmountOutMMM.call(
+                    WBTC, (limitsOut.quote.swapResult.amount / 2n).toString(), DAI, daiAmountOut,
+                    limitsOut.maxPrice.toString(), { from: user2 }
+                ),
+                'LIMIT_IN'
+            );
+        });
+
+        it('Routes through several pools', async () => {
+            // second pool: WETH / DAI only
+            const POOL2 = await factory.newPool.call();
+            await factory.newPool();
+            const pool2 = await Pool.at(POOL2);
+            const wethAmount = 100;
+            const daiAmount = (wethAmount * fromWei(
+                getRelativePrice(_daiOraclePrices, daiDecimals, _wethOraclePrices, wethDecimals).toString()
+            )).toFixed(6);
+            await weth.mint(admin, toWei(wethAmount.toString()));
+            await dai.mint(admin, toWei(daiAmount));
+            await weth.approve(POOL2, MAX);
+            await dai.approve(POOL2, MAX);
+            await pool2.bindMMM(WETH, toWei(wethAmount.toString()), toWei('5'), WETHOracleAddress);
+            await pool2.bindMMM(DAI, toWei(daiAmount), toWei('5'), DAIOracleAddress);
+            await pool2.setSwapFee(baseSwapFee);
+            await pool2.finalize();
+
+            await expectSwaapRevert(Router.fromPools([pool, { address: WETH }], { factory }), 'NOT_POOL');
+
+            const router = await Router.fromPools([pool, pool2], { factory });
+            const paths = router.findPaths(WBTC, DAI, 2);
+            assert.sameMembers(paths.map(path => path.length), [1, 2]);
+
+            const route = router.getBestRouteGivenIn(WBTC, toWei('0.01'), DAI, { maxHops: 2, slippageBps: 50 });
+            assert.isNotNull(route);
+            for (const hop of route.hops) {
+                const hopPool = await Pool.at(hop.pool);
+                const { swapResult } = await hopPool.getAmountOutGivenInMMM.call(
+                    hop.tokenIn, hop.amountIn.toString(), hop.tokenOut, hop.minAmountOut.toString(), hop.maxPrice.toString()
+                );
+                assert.equal(swapResult.amount.toString(), hop.amountOut.toString());
+            }
+            const directRoute = router.getBestRouteGivenIn(WBTC, toWei('0.01'), DAI, { maxHops: 1, slippageBps: 50 });
+            assert.isTrue(route.minAmountOut >= directRoute.minAmountOut);
+
+            const routeOut = router.getBestRouteGivenOut(WBTC, DAI, toWei('10'), { maxHops: 2, slippageBps: 50 });
+            assert.isNotNull(routeOut);
+            assert.equal(routeOut.hops[routeOut.hops.length - 1].amountOut, BigInt(toWei('10')));
+            for (let i = 1; i < routeOut.hops.length; i++) {
+                assert.equal(routeOut.hops[i - 1].amountOut, routeOut.hops[i].maxAmountIn);
+            }
+        });
+
+        it('Splits orders between the WETH / DAI pools', async () => {
+            // second pool: WETH / DAI only
+            const POOL2 = await factory.newPool.call();
+            await factory.newPool();
+            const pool2 = await Pool.at(POOL2);
+            const wethAmount = 100;
+            const daiAmount = (wethAmount * fromWei(
+                getRelativePrice(_daiOraclePrices, daiDecimals, _wethOraclePrices, wethDecimals).toString()
+            )).toFixed(6);
+            await weth.mint(admin, toWei(wethAmount.toString()));
+            await dai.mint(admin, toWei(daiAmount));
+            await weth.approve(POOL2, MAX);
+            await dai.approve(POOL2, MAX);
+            await pool2.bindMMM(WETH, toWei(wethAmount.toString()), toWei('5'), WETHOracleAddress);
+            await pool2.bindMMM(DAI, toWei(daiAmount), toWei('5'), DAIOracleAddress);
+            await pool2.setSwapFee(baseSwapFee);
+            await pool2.finalize();
+
+            const { number: blockNumber } = await web3.eth.getBlock('latest');
+            const quoters = [await Quoter.fromPool(pool, { blockNumber }), await Quoter.fromPool(pool2, { blockNumber })];
+
+            const splitIn = splitGivenIn(quoters, WETH, toWei('5'), DAI);
+            assert.isNotNull(splitIn);
+            assert.equal(splitIn.allocations.reduce((acc, a) => acc + a.amountIn, 0n), BigInt(toWei('5')));
+            assert.isTrue(splitIn.improvement >= 0n);
+            for (const allocation of splitIn.allocations) {
+                const { swapResult } = await (await Pool.at(allocation.pool)).getAmountOutGivenInMMM.call(
+                    WETH, allocation.amountIn.toString(), DAI, '0', MAX
+                );
+                assert.equal(swapResult.amount.toString(), allocation.amountOut.toString());
+            }
+
+            // pool2 alone cannot take it (MAX_PRICE_UNPEG_RATIO), the split still fills the order
+            const splitLarge = splitGivenIn(quoters, WETH, toWei('12'), DAI);
+            assert.isNotNull(splitLarge);
+            assert.equal(splitLarge.bestSingle.pool, POOL);
+
+            const splitOut = splitGivenOut(quoters, WETH, DAI, toWei('10'));
+            assert.isNotNull(splitOut);
+            assert.equal(splitOut.allocations.reduce((acc, a) => acc + a.amountOut, 0n), BigInt(toWei('10')));
+            assert.isTrue(splitOut.improvement >= 0n);
+        });
+
+        it('Snapshots the pool and rehydrates it', async () => {
+            const file = path.join(os.tmpdir(), `swaap-snapshot-${Date.now()}.json`);
+            let snapshot;
+            try {
+                saveSnapshot(file, await takeSnapshot(pool));
+                snapshot = loadSnapshot(file);
+            } finally {
+                fs.rmSync(file, { force: true });
+            }
+            assert.lengthOf(snapshot.tokens, 3);
+            assert.isTrue(snapshot.pool.finalized);
+            assert.equal(snapshot.pool.swapFee, baseSwapFee);
+            assert.isAtMost(
+                snapshot.tokens.find(t => t.address == WETH).oracle.rounds.length,
+                priceStatisticsLookbackInRound * priceStatisticsLookbackStepInRound
+            );
+
+            const { pool: copy, tokens } = await rehydrateSnapshot(
+                snapshot, { Pool, TToken, TOracle, factory }, { from: admin }
+            );
+            assert.equal((await copy.totalSupply()).toString(), snapshot.pool.totalSupply);
+            const coverageParameters = await copy.getCoverageParameters();
+            for (const [field, value] of Object.entries(snapshot.pool.coverageParameters)) {
+                assert.equal(coverageParameters[field].toString(), value);
+            }
+            for (const token of snapshot.tokens) {
+                const balance = await copy.getBalance(tokens[token.address].address);
+                assert.isAtMost(calcRelativeDiff(token.balance, balance.toString()).toNumber(), 10 ** -12);
+            }
+
+            const { timestamp } = await web3.eth.getBlock('latest');
+            const quoter = await Quoter.fromPool(pool, { timestamp });
+            const copyQuoter = await Quoter.fromPool(copy, { timestamp });
+            const expected = quoter.getAmountOutGivenInMMM(WETH, toWei('1'), DAI);
+            const actual = copyQuoter.getAmountOutGivenInMMM(tokens[WETH].address, toWei('1'), tokens[DAI].address);
+            assert.isAtMost(
+                calcRelativeDiff(expected.priceResult.spotPriceBefore, actual.priceResult.spotPriceBefore).toNumber(),
+                10 ** -12
+            );
+            assert.isAtMost(calcRelativeDiff(expected.swapResult.amount, actual.swapResult.amount).toNumber(), 10 ** -3);
+        });
+
         it('swapExactAmountInMMM WETH -> DAI', async () => {
             // 1 WETH -> DAI
             const amount = 1
@@ -344,7 +611,7 @@ contract('Pool', async (accounts) => {
 	                toWei(amount.toString()),
 	                DAI,
 	                0,
-	                toWei((10000 / daiDecimalsDiffFactor).toString()),
+	                getMaxPrice(_wethOraclePrices, wethDecimals, _daiOraclePrices, daiDecimals),
 	                { from: user2 }
 	            );
 	            console.log("gas:", gas)
@@ -355,7 +622,7 @@ contract('Pool', async (accounts) => {
                 toWei(amount.toString()),
                 DAI,
                 0,
-                toWei((10000 / daiDecimalsDiffFactor).toString()),
+                getMaxPrice(_wethOraclePrices, wethDecimals, _daiOraclePrices, daiDecimals),
                 { from: user2 }
             );
             const log = txr.logs[0];
@@ -402,8 +669,8 @@ contract('Pool', async (accounts) => {
             assert.equal(fromWei(userDaiBalance), Number(fromWei(log.args[4])));
 
             const wethPrice = await pool.getSpotPriceSansFee(DAI, WETH);
-			const wethPriceSansFeeCheck = ((parseFloat(daiBalance) / 10**daiDecimals - expectedAmount)  / 5) / ((parseFloat(wethBalance) / 10**wethDecimals + amount) / 5);
-            assert.approximately(Number(fromWei(wethPrice) / daiDecimalsDiffFactor), Number(wethPriceSansFeeCheck), errorDelta);
+			const wethPriceSansFeeCheck = ((parseFloat(daiBalance) - expectedAmount * 10**daiDecimals)  / 5) / ((parseFloat(wethBalance) + amount * 10**wethDecimals) / 5);
+            assert.isAtMost(calcRelativeDiff(wethPriceSansFeeCheck, fromWei(wethPrice)).toNumber(), errorDelta);
 
             const tokens = await pool.getTokens();
             const weights = await Promise.all(tokens.map(t => pool.getDenormalizedWeight(t)));
@@ -442,7 +709,7 @@ contract('Pool', async (accounts) => {
 					(amount * 10**wbtcDecimals).toString(),
 					WETH,
 					0,
-					toWei((10000 * wbtcDecimalsDiffFactor).toString()),
+					getMaxPrice(_wbtcOraclePrices, wbtcDecimals, _wethOraclePrices, wethDecimals),
 					{ from: user2 }
 				);
 				console.log("gas:", gas)
@@ -453,7 +720,7 @@ contract('Pool', async (accounts) => {
                 (amount * 10**wbtcDecimals).toString(),
                 WETH,
                 0,
-				toWei((10000 * wbtcDecimalsDiffFactor).toString()),
+				getMaxPrice(_wbtcOraclePrices, wbtcDecimals, _wethOraclePrices, wethDecimals),
                 { from: user2 }
             );
             const log = txr.logs[0];
@@ -483,8 +750,8 @@ contract('Pool', async (accounts) => {
             assert.isAtMost(relDifSpread.toNumber(), spreadErrorDelta);
 
             const wbtcPrice = await pool.getSpotPriceSansFee(WETH, WBTC);
-            const wbtcPriceSansFeeCheck = ((parseFloat(wethBalance) / 10**wethDecimals - expectedAmount)  / 5) / ((parseFloat(wbtcBalance) / 10**wbtcDecimals + amount) / 5);
-            assert.approximately(Number(fromWei(wbtcPrice) * wbtcDecimalsDiffFactor), Number(wbtcPriceSansFeeCheck), errorDelta);
+            const wbtcPriceSansFeeCheck = ((parseFloat(wethBalance) - expectedAmount * 10**wethDecimals)  / 5) / ((parseFloat(wbtcBalance) + amount * 10**wbtcDecimals) / 5);
+            assert.isAtMost(calcRelativeDiff(wbtcPriceSansFeeCheck, fromWei(wbtcPrice)).toNumber(), errorDelta);
 
             const tokens = await pool.getTokens();
             const weights = await Promise.all(tokens.map(t => pool.getDenormalizedWeight(t)));
@@ -523,7 +790,7 @@ contract('Pool', async (accounts) => {
 					toWei('1000000000000000000000000000'), // large maxAmountIn
 					WETH,
 					toWei(expectedAmount.toString()),
-					toWei((10000 * wbtcDecimalsDiffFactor).toString()),
+					getMaxPrice(_wbtcOraclePrices, wbtcDecimals, _wethOraclePrices, wethDecimals),
 					{ from: user2 }
 				);
 				console.log("gas:", gas)
@@ -534,7 +801,7 @@ contract('Pool', async (accounts) => {
                 toWei('1000000000000000000000000000'), // large maxAmountIn
                 WETH,
                 toWei(expectedAmount.toString()),
-				toWei((10000 * wbtcDecimalsDiffFactor).toString()),
+				getMaxPrice(_wbtcOraclePrices, wbtcDecimals, _wethOraclePrices, wethDecimals),
                 { from: user2 }
             );
             const log = txr.logs[0];
@@ -550,6 +817,29 @@ contract('Pool', async (accounts) => {
                 console.log(`relDif  : ${relDifAmount}`);
             }
 
+			const [expectedAmountIn, expectedSpreadIn] = calcInGivenOutMMM(
+				parseFloat(wbtcBalance) / 10**wbtcDecimals,
+				5,
+				parseFloat(wethBalance) / 10**wethDecimals,
+				5,
+				parseFloat(log.args[4]) / 10**wethDecimals,
+				0.003,
+				expectedMeanWBTCWETH,
+				expectedVarianceWBTCWETH,
+				z,
+				horizon,
+				relativePrice
+			);
+            const relDifAmountIn = calcRelativeDiff(expectedAmountIn, actualAmount);
+            if (verbose) {
+                console.log('swapExactAmountOutMMM calcInGivenOutMMM');
+                console.log(`expected: ${expectedAmountIn}`);
+                console.log(`actual  : ${actualAmount}`);
+                console.log(`relDif  : ${relDifAmountIn}`);
+            }
+            assert.isAtMost(relDifAmountIn.toNumber(), errorDelta);
+            assert.isAtMost(calcRelativeDiff(expectedSpreadIn, fromWei(log.args[5])).toNumber(), spreadErrorDelta);
+
 			const actualSpread = fromWei(log.args[5]);
             const relDifSpread = calcRelativeDiff(expectedSpread, actualSpread);
             if (verbose) {
@@ -563,8 +853,8 @@ contract('Pool', async (accounts) => {
             assert.isAtMost(relDifSpread.toNumber(), spreadErrorDelta);
 
             const wbtcPrice = await pool.getSpotPriceSansFee(WETH, WBTC);
-            const wbtcPriceSansFeeCheck = ((parseFloat(wethBalance) / 10**wethDecimals - expectedAmount)  / 5) / ((parseFloat(wbtcBalance) / 10**wbtcDecimals + amount) / 5);
-            assert.approximately(Number(fromWei(wbtcPrice) * wbtcDecimalsDiffFactor), Number(wbtcPriceSansFeeCheck), errorDelta);
+            const wbtcPriceSansFeeCheck = ((parseFloat(wethBalance) - expectedAmount * 10**wethDecimals)  / 5) / ((parseFloat(wbtcBalance) + amount * 10**wbtcDecimals) / 5);
+            assert.isAtMost(calcRelativeDiff(wbtcPriceSansFeeCheck, fromWei(wbtcPrice)).toNumber(), errorDelta);
 
             const tokens = await pool.getTokens();
             const weights = await Promise.all(tokens.map(t => pool.getDenormalizedWeight(t)));
@@ -574,5 +864,92 @@ contract('Pool', async (accounts) => {
             assert.equal(0.333333333333333333, fromWei(wethDenormWeight) / totalDenormWeight);
         });
 
+        it('Replays the pool history from its events', async () => {
+            // a direct transfer is only accounted for by gulp
+            await weth.transfer(POOL, toWei('1'), { from: user1 });
+            await pool.gulp(WETH, { from: user1 });
+
+            const replayer = await PoolReplayer.fromChain(POOL, { poolAbi: Pool.abi });
+            const { number } = await web3.eth.getBlock('latest');
+            const state = replayer.getStateAt(number);
+            assert.sameOrderedMembers(state.tokens, await pool.getTokens());
+            for (const token of state.tokens) {
+                assert.equal(state.records[token].balance.toString(), (await pool.getBalance(token)).toString());
+                assert.equal(state.records[token].initialPrice.toString(), (await pool.getTokenOracleInitialPrice(token)).toString());
+            }
+            assert.equal(state.totalSupply.toString(), (await pool.totalSupply()).toString());
+            assert.equal(state.swapFee.toString(), baseSwapFee);
+            assert.equal(state.controller, admin);
+
+            const history = replayer.getHistory();
+            assert.isFalse(history[0].finalized);
+            assert.isTrue(history[history.length - 1].finalized);
+
+            const results = await replayer.verify({ poolAbi: Pool.abi, samples: 20 });
+            assert.isAbove(results.length, 1);
+            results.forEach(({ blockNumber, mismatches }) => assert.deepEqual(mismatches, [], `block ${blockNumber}`));
+        });
+
+        it('Tracks the LP positions', async () => {
+            // user1 passes a fifth of the shares of its join to user2, with their cost basis
+            await pool.transfer(user2, toWei('1'), { from: user1 });
+
+            const tracker = await PositionTracker.fromChain(POOL, { poolAbi: Pool.abi });
+            const report = await tracker.getPositions();
+            assert.equal(report.totalSupply.toString(), (await pool.totalSupply()).toString());
+            assert.includeMembers(report.positions.map(p => p.address), [admin, user1, user2]);
+
+            const tokens = await pool.getTokens();
+            for (const position of report.positions.filter(p => p.shares > 0n)) {
+                assert.equal(position.shares.toString(), (await pool.balanceOf(position.address)).toString());
+                const amountsOut = await pool.getExitPool(position.shares.toString());
+                tokens.forEach((token, i) => assert.equal(position.redeemable[token].toString(), amountsOut[i].toString()));
+                assert.isTrue(position.depositedValue > 0n);
+                assert.equal(position.pnlVsHold, position.currentValue - position.holdValue);
+            }
+            const [position1, position2] = [user1, user2].map(user => report.positions.find(p => p.address == user));
+            const diff = position1.depositedValue - 4n * position2.depositedValue;
+            assert.isTrue(diff >= 0n && diff <= 4n);
+            assert.equal(position2.tradingIncome, 0n);
+
+            const csv = positionsToCsv(report).trim().split('\n');
+            assert.lengthOf(csv, report.positions.length + 1);
+            assert.equal(csv[0].split(',').length, 11 + 3 * tokens.length);
+            const json = JSON.parse(positionsToJSON(report));
+            assert.equal(json.positions.find(p => p.address == user2).shares, toWei('1'));
+        });
+
+        it('Measures the impermanent loss and the LVR of the pool history', async () => {
+            const replayer = await PoolReplayer.fromChain(POOL, { poolAbi: Pool.abi });
+            const tokenDecimals = { [WETH]: wethDecimals, [WBTC]: wbtcDecimals, [DAI]: daiDecimals };
+            const history = await readTradeHistory(replayer, { tokenDecimals });
+            const swaps = replayer.events.filter(e => e.event == 'LOG_SWAP');
+            assert.isAbove(swaps.length, 0);
+            assert.lengthOf(history.filter(entry => entry.amounts === undefined), swaps.length);
+
+            // constant prices: the latest answers of the oracles
+            const pricePaths = {};
+            for (const [token, oracle] of [[WETH, wethOracle], [WBTC, wbtcOracle], [DAI, daiOracle]]) {
+                const { answer } = await oracle.latestRoundData();
+                pricePaths[token] = { decimals: Number(await oracle.decimals()), rows: [{ timestamp: 0, price: answer.toString() }] };
+            }
+            const { total } = analyzeHistory(history, pricePaths);
+            assert.equal(total.trades, swaps.length);
+            assert.deepEqual(Object.keys(total.pairs).sort(), [...new Set(swaps.map(({ args }) => (
+                args.tokenIn < args.tokenOut ? `${args.tokenIn}/${args.tokenOut}` : `${args.tokenOut}/${args.tokenIn}`
+            )))].sort());
+
+            // the history replays the pool's balances
+            let poolValue = Decimal(0);
+            for (const token of await pool.getTokens()) {
+                const balance = Decimal((await pool.getBalance(token)).toString()).div(Decimal(10).pow(tokenDecimals[token]));
+                const { rows: [{ price }], decimals } = pricePaths[token];
+                poolValue = poolValue.add(balance.mul(price).div(Decimal(10).pow(decimals)));
+            }
+            assert.isAtMost(calcRelativeDiff(poolValue, total.poolValueEnd).toNumber(), 10 ** -12);
+            assert.isTrue(total.coverageRecovered.gte(0));
+            assert.equal(total.lvr.toString(), total.netLvr.add(total.coverageRecovered).toString());
+        });
+
     });
 });